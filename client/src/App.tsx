@@ -3,10 +3,12 @@ import { SocketProvider, useSocket } from './context/SocketContext';
 import Lobby from './components/Lobby';
 import TradingGame from './components/TradingGame';
 import GameEnd from './components/GameEnd';
+import SpectatorView from './components/SpectatorView';
+import FacilitatorDashboard from './components/FacilitatorDashboard';
 import './App.css';
 
 const AppContent: React.FC = () => {
-  const { connected, gameState, playerState } = useSocket();
+  const { connected, gameState, playerState, viewRole } = useSocket();
 
   // Not connected
   if (!connected) {
@@ -21,6 +23,14 @@ const AppContent: React.FC = () => {
     );
   }
 
+  // Watching without a seat
+  if (gameState && viewRole === 'facilitator') {
+    return <FacilitatorDashboard />;
+  }
+  if (gameState && viewRole === 'spectator') {
+    return <SpectatorView />;
+  }
+
   // Game ended
   if (gameState?.status === 'ended' && playerState) {
     return <GameEnd />;
@@ -0,0 +1,102 @@
+import React, { useState } from 'react';
+import { useSocket } from '../context/SocketContext';
+import './AdminPanel.css';
+
+const TIME_STEPS = [30, 60, 120];
+
+// Host-only controls for a running game: clock, per-product halts, players
+const AdminPanel: React.FC = () => {
+  const { config, gameState, playerState, setPaused, addTime, setTradingHalted, kickPlayer, endGame } = useSocket();
+  const [open, setOpen] = useState(false);
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  if (!gameState || !playerState || gameState.hostPlayerId !== playerState.playerId) return null;
+
+  const run = async (action: () => Promise<any>) => {
+    setLoading(true);
+    setError('');
+    const result: any = await action();
+    setLoading(false);
+    if (!result.success) {
+      setError(result.error);
+    }
+  };
+
+  const handleKick = (playerId: string, name: string) => {
+    if (window.confirm(`Remove ${name} from the game and cancel their orders?`)) {
+      run(() => kickPlayer(playerId));
+    }
+  };
+
+  const handleEnd = () => {
+    if (window.confirm('End the game now? Everyone is scored on what they hold.')) {
+      run(endGame);
+    }
+  };
+
+  return (
+    <div className="admin-panel">
+      <button type="button" className="admin-toggle" onClick={() => setOpen(!open)}>
+        🛠️ Host controls {gameState.paused && <span className="admin-paused">PAUSED</span>} {open ? '▾' : '▸'}
+      </button>
+
+      {open && (
+        <div className="admin-body">
+          <div className="admin-row">
+            <button
+              className={`admin-btn ${gameState.paused ? 'resume' : ''}`}
+              onClick={() => run(() => setPaused(!gameState.paused))}
+              disabled={loading}
+            >
+              {gameState.paused ? '▶ Resume' : '⏸ Pause'}
+            </button>
+            {TIME_STEPS.map(seconds => (
+              <button key={seconds} className="admin-btn" onClick={() => run(() => addTime(seconds))} disabled={loading}>
+                +{seconds}s
+              </button>
+            ))}
+          </div>
+
+          <h4>Trading</h4>
+          <div className="admin-row">
+            {config?.products.map(product => {
+              const halted = gameState.haltedProducts.includes(product);
+              return (
+                <button
+                  key={product}
+                  className={`admin-btn ${halted ? 'halted' : ''}`}
+                  onClick={() => run(() => setTradingHalted(product, !halted))}
+                  disabled={loading}
+                  title={halted ? `Resume trading in ${product}` : `Halt trading in ${product}`}
+                >
+                  {halted ? '⛔' : '✅'} {product}
+                </button>
+              );
+            })}
+          </div>
+
+          <h4>Players</h4>
+          <div className="admin-players">
+            {gameState.players.filter(p => p.playerId !== gameState.hostPlayerId).map(p => (
+              <div key={p.playerId} className="admin-player">
+                <span>{p.isBot && '🤖 '}{p.name}{!p.connected && ' (offline)'}</span>
+                <button className="admin-kick" onClick={() => handleKick(p.playerId, p.name)} disabled={loading}>
+                  Remove
+                </button>
+              </div>
+            ))}
+          </div>
+
+          <button className="admin-btn end" onClick={handleEnd} disabled={loading}>
+            End game now
+          </button>
+
+          {error && <p className="error">{error}</p>}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AdminPanel;
@@ -0,0 +1,115 @@
+import React from 'react';
+import { useSocket } from '../context/SocketContext';
+import OrderBook from './OrderBook';
+import RecentTrades from './RecentTrades';
+import NewsTicker from './NewsTicker';
+import './FacilitatorDashboard.css';
+
+const formatTime = (seconds: number) => {
+  const mins = Math.floor(seconds / 60);
+  const secs = seconds % 60;
+  return `${mins}:${secs.toString().padStart(2, '0')}`;
+};
+
+const formatMoney = (value: number) => `${value < 0 ? '-' : ''}$${Math.abs(Math.round(value * 100) / 100)}`;
+
+// Full-information view for the person running the session, sized for a projector:
+// named order books and every player's holdings and live P&L
+const FacilitatorDashboard: React.FC = () => {
+  const { config, gameState, facilitatorState, remainingTime, stopWatching } = useSocket();
+
+  if (!gameState) return null;
+
+  const products = config?.products || [];
+  const players = facilitatorState?.players || [];
+  const status = facilitatorState?.status ?? gameState.status;
+
+  return (
+    <div className="facilitator-dashboard">
+      <header className="facilitator-header">
+        <div className="header-left">
+          <h1>🥪 Game {gameState.joinCode}</h1>
+          <span className="facilitator-badge">Facilitator</span>
+        </div>
+        <div className="facilitator-clock">
+          {status === 'running' ? formatTime(remainingTime) : status === 'lobby' ? 'Lobby' : 'Game over'}
+          {gameState.paused && <span className="facilitator-paused">Paused</span>}
+        </div>
+        <div className="facilitator-totals">
+          <span>{facilitatorState?.tradeCount ?? 0} trades</span>
+          <span>{formatMoney(facilitatorState?.volume ?? 0)} traded</span>
+          <button className="btn btn-secondary" onClick={stopWatching}>Leave</button>
+        </div>
+      </header>
+
+      <NewsTicker />
+
+      <div className="facilitator-content">
+        <table className="facilitator-players">
+          <thead>
+            <tr>
+              <th>#</th>
+              <th>Player</th>
+              <th>Cash</th>
+              {products.map(product => <th key={product}>{product}</th>)}
+              <th>Sets</th>
+              <th>Est. value</th>
+              <th>P&amp;L</th>
+            </tr>
+          </thead>
+          <tbody>
+            {players.map((player, index) => (
+              <tr key={player.playerId} className={player.connected ? '' : 'disconnected'}>
+                <td>{index + 1}</td>
+                <td className="player-cell">
+                  {player.isBot && '🤖 '}{player.name}
+                  {player.openOrders > 0 && <span className="open-orders">{player.openOrders} open</span>}
+                </td>
+                <td>
+                  {formatMoney(player.cash)}
+                  {player.reservedCash > 0 && <span className="reserved"> ({formatMoney(player.reservedCash)} held)</span>}
+                </td>
+                {products.map(product => <td key={product}>{player.inventory[product] || 0}</td>)}
+                <td title={Object.entries(player.sets).map(([name, count]) => `${count} × ${name}`).join(', ')}>
+                  {player.completeSets}
+                </td>
+                <td>{formatMoney(player.estimatedValue)}</td>
+                <td className={player.pnl >= 0 ? 'positive' : 'negative'}>
+                  {player.pnl >= 0 ? '+' : ''}{formatMoney(player.pnl)}
+                </td>
+              </tr>
+            ))}
+            {players.length === 0 && (
+              <tr>
+                <td colSpan={products.length + 6} className="empty">No players yet</td>
+              </tr>
+            )}
+          </tbody>
+        </table>
+
+        <div className="facilitator-market">
+          <div className="facilitator-books">
+            {products.map(product => (
+              <OrderBook
+                key={product}
+                showNames
+                halted={gameState.haltedProducts.includes(product)}
+                orderBook={facilitatorState?.orderBooks[product] || {
+                  product,
+                  bids: [],
+                  asks: [],
+                  bestBid: null,
+                  bestAsk: null,
+                  spread: null
+                }}
+              />
+            ))}
+          </div>
+          <RecentTrades />
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default FacilitatorDashboard;
@@ -0,0 +1,150 @@
+import React, { useEffect, useState } from 'react';
+import { useSocket } from '../context/SocketContext';
+import { GameAnalyticsReport, SpreadSample } from '../types';
+import './GameAnalytics.css';
+
+interface GameAnalyticsProps {
+  gameId: string;
+}
+
+const SPARK_WIDTH = 120;
+const SPARK_HEIGHT = 24;
+
+const money = (value: number | null) => (value === null ? '–' : `$${value}`);
+const signed = (value: number | null) => (value === null ? '–' : `${value >= 0 ? '+' : '-'}$${Math.abs(value)}`);
+const tone = (value: number | null) => (value === null || value === 0 ? '' : value > 0 ? 'positive' : 'negative');
+
+// Bid-ask spread over the game; gaps where one side of the book was empty
+const SpreadSparkline: React.FC<{ samples: SpreadSample[] }> = ({ samples }) => {
+  const quoted = samples.filter(s => s.spread !== null);
+  if (quoted.length < 2) return <span className="spread-sparkline empty">–</span>;
+
+  const duration = Math.max(1, samples[samples.length - 1].time);
+  const maxSpread = Math.max(1, ...quoted.map(s => s.spread as number));
+  const points = quoted
+    .map(s => `${((s.time / duration) * SPARK_WIDTH).toFixed(1)},${(SPARK_HEIGHT - ((s.spread as number) / maxSpread) * (SPARK_HEIGHT - 2) - 1).toFixed(1)}`)
+    .join(' ');
+
+  return (
+    <svg className="spread-sparkline" viewBox={`0 0 ${SPARK_WIDTH} ${SPARK_HEIGHT}`} preserveAspectRatio="none">
+      <title>{`Widest spread $${maxSpread}`}</title>
+      <polyline points={points} className="spread-line" />
+    </svg>
+  );
+};
+
+// Post-game report: how each player traded and how each market behaved
+const GameAnalytics: React.FC<GameAnalyticsProps> = ({ gameId }) => {
+  const { getGameAnalytics, playerState } = useSocket();
+  const [report, setReport] = useState<GameAnalyticsReport | null>(null);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    getGameAnalytics(gameId).then((result: any) => {
+      if (result.success) {
+        setReport(result.report);
+      } else {
+        setError(result.error);
+      }
+    });
+  }, [gameId, getGameAnalytics]);
+
+  if (error) return <div className="game-analytics-message">{error}</div>;
+  if (!report) return <div className="game-analytics-message">Crunching the numbers...</div>;
+
+  return (
+    <div className="game-analytics">
+      <section>
+        <h2>Traders</h2>
+        <div className="analytics-table-wrap">
+          <table className="analytics-table">
+            <thead>
+              <tr>
+                <th>Player</th>
+                <th title="Trades taken part in">Trades</th>
+                <th title="Units bought / sold">Bought / Sold</th>
+                <th title="Average price paid, and the premium over scrap value per unit">Avg Buy</th>
+                <th title="Average price received, and the premium over scrap value per unit">Avg Sell</th>
+                <th title="Cash gained by trading better than each product's VWAP">Edge</th>
+                <th title="Profit locked in by selling, against average cost">Realized</th>
+                <th title="Complete sets the starting inventory could form → sets held at the end">Sets</th>
+                <th title="Units filled / units ordered">Fill</th>
+                <th title="Orders sent per trade">Orders / Trade</th>
+                <th>P&L</th>
+              </tr>
+            </thead>
+            <tbody>
+              {report.players.map(p => (
+                <tr key={p.playerId} className={p.playerId === playerState?.playerId ? 'me' : ''}>
+                  <td className="analytics-name">
+                    {p.name}
+                    {p.isBot && <span className="analytics-bot">bot</span>}
+                  </td>
+                  <td>{p.tradeCount}</td>
+                  <td>{p.bought} / {p.sold}</td>
+                  <td>
+                    {money(p.avgBuyPrice)}
+                    {p.buyPremium !== null && <span className="analytics-premium">{signed(p.buyPremium)}</span>}
+                  </td>
+                  <td>
+                    {money(p.avgSellPrice)}
+                    {p.sellPremium !== null && <span className="analytics-premium">{signed(p.sellPremium)}</span>}
+                  </td>
+                  <td className={tone(p.realizedEdge)}>{signed(p.realizedEdge)}</td>
+                  <td className={tone(p.realizedPnl)}>{signed(p.realizedPnl)}</td>
+                  <td>{p.startingSets} → {p.setsFormed}</td>
+                  <td>{p.fillRatio === null ? '–' : `${Math.round(p.fillRatio * 100)}%`}</td>
+                  <td>
+                    {p.orderToTradeRatio ?? '–'}
+                    {(p.ordersCancelled > 0 || p.amends > 0) && (
+                      <span className="analytics-premium">{p.ordersCancelled} cxl · {p.amends} amd</span>
+                    )}
+                  </td>
+                  <td className={tone(p.pnl)}>{signed(p.pnl)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </section>
+
+      <section>
+        <h2>Markets</h2>
+        <div className="analytics-table-wrap">
+          <table className="analytics-table">
+            <thead>
+              <tr>
+                <th>Product</th>
+                <th>Trades</th>
+                <th>Volume</th>
+                <th title="Volume-weighted average price">VWAP</th>
+                <th>Scrap</th>
+                <th>Open → Close</th>
+                <th>Range</th>
+                <th title="Average gap between best bid and best ask while both were quoted">Avg Spread</th>
+                <th>Spread Over Time</th>
+              </tr>
+            </thead>
+            <tbody>
+              {report.products.map(m => (
+                <tr key={m.product}>
+                  <td className="analytics-name product">{m.product}</td>
+                  <td>{m.tradeCount}</td>
+                  <td>{m.volume}</td>
+                  <td>{money(m.vwap)}</td>
+                  <td>${m.scrapValue}</td>
+                  <td>{m.open === null ? '–' : `$${m.open} → $${m.close}`}</td>
+                  <td>{m.low === null ? '–' : `$${m.low} – $${m.high}`}</td>
+                  <td>{money(m.averageSpread)}</td>
+                  <td><SpreadSparkline samples={m.spreads} /></td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </section>
+    </div>
+  );
+};
+
+export default GameAnalytics;
@@ -1,17 +1,28 @@
-import React from 'react';
+import React, { useState } from 'react';
 import { useSocket } from '../context/SocketContext';
 import Leaderboard from './Leaderboard';
+import GameAnalytics from './GameAnalytics';
+import Replay from './Replay';
 import './GameEnd.css';
 
 const GameEnd: React.FC = () => {
-  const { finalScore, playerState, leaderboard, config, resetGame } = useSocket();
+  const { finalScore, playerState, gameState, leaderboard, config, resetGame } = useSocket();
+  const [showReplay, setShowReplay] = useState(false);
+  const [tab, setTab] = useState<'results' | 'analytics'>('results');
 
   const myRank = leaderboard.findIndex(e => e.playerId === playerState?.playerId) + 1;
+  // Only the host starts over, unless they have left
+  const host = gameState?.players.find(p => p.playerId === gameState.hostPlayerId);
+  const canReset = gameState?.hostPlayerId === playerState?.playerId || !host?.connected;
 
   const handleNewGame = async () => {
     await resetGame();
   };
 
+  if (showReplay && gameState) {
+    return <Replay gameId={gameState.gameId} onClose={() => setShowReplay(false)} />;
+  }
+
   return (
     <div className="game-end">
       <div className="game-end-header">
@@ -22,52 +33,94 @@ const GameEnd: React.FC = () => {
         {myRank > 3 && <div className="rank-banner">You finished #{myRank}</div>}
       </div>
 
-      <div className="game-end-content">
-        <div className="score-breakdown">
-          <h2>Your Final Score</h2>
+      <div className="game-end-tabs">
+        <button className={tab === 'results' ? 'active' : ''} onClick={() => setTab('results')}>
+          Results
+        </button>
+        <button className={tab === 'analytics' ? 'active' : ''} onClick={() => setTab('analytics')}>
+          Analytics
+        </button>
+      </div>
 
-          {finalScore && (
-            <div className="breakdown-card">
-              <div className="breakdown-row">
-                <span className="label">Cash</span>
-                <span className="value">${finalScore.cash}</span>
-              </div>
+      {tab === 'analytics' && gameState ? (
+        <GameAnalytics gameId={gameState.gameId} />
+      ) : (
+        <div className="game-end-content">
+          <div className="score-breakdown">
+            <h2>Your Final Score</h2>
 
-              <div className="breakdown-row highlight">
-                <span className="label">Complete Sandwiches ({finalScore.completeSets} x ${config?.setValue})</span>
-                <span className="value positive">${finalScore.setsValue}</span>
-              </div>
+            {finalScore && (
+              <div className="breakdown-card">
+                <div className="breakdown-row">
+                  <span className="label">Cash</span>
+                  <span className="value">${finalScore.cash}</span>
+                </div>
 
-              <div className="breakdown-row">
-                <span className="label">Leftover Ingredients (scrap)</span>
-                <span className="value">${finalScore.scrapValue}</span>
-              </div>
+                <div className="breakdown-row highlight">
+                  <span className="label">Complete Sets ({finalScore.completeSets})</span>
+                  <span className="value positive">${finalScore.setsValue}</span>
+                </div>
 
-              <div className="breakdown-row total">
-                <span className="label">Total Score</span>
-                <span className="value">${finalScore.totalScore}</span>
-              </div>
+                {finalScore.sets && Object.keys(finalScore.sets).length > 0 && (
+                  <div className="sets-formed">
+                    {Object.entries(finalScore.sets).map(([name, count]) => {
+                      const value = config?.setRecipes.find(set => set.name === name)?.value;
+                      return (
+                        <div key={name} className="set-formed">
+                          <span>{count} × {name}{value !== undefined && ` @ $${value}`}</span>
+                          {value !== undefined && <span>${count * value}</span>}
+                        </div>
+                      );
+                    })}
+                  </div>
+                )}
+
+                <div className="breakdown-row">
+                  <span className="label">Leftover Ingredients (scrap)</span>
+                  <span className="value">${finalScore.scrapValue}</span>
+                </div>
 
-              <div className="pnl-display">
-                <span className="pnl-label">Profit/Loss</span>
-                <span className={`pnl-value ${finalScore.pnl >= 0 ? 'positive' : 'negative'}`}>
-                  {finalScore.pnl >= 0 ? '+' : ''}${finalScore.pnl}
-                </span>
+                <div className="breakdown-row total">
+                  <span className="label">Total Score</span>
+                  <span className="value">${finalScore.totalScore}</span>
+                </div>
+
+                <div className="pnl-display">
+                  <span className="pnl-label">Profit/Loss</span>
+                  <span className={`pnl-value ${finalScore.pnl >= 0 ? 'positive' : 'negative'}`}>
+                    {finalScore.pnl >= 0 ? '+' : ''}${finalScore.pnl}
+                  </span>
+                </div>
               </div>
-            </div>
-          )}
-        </div>
+            )}
+          </div>
 
-        <div className="final-leaderboard">
-          <Leaderboard />
+          <div className="final-leaderboard">
+            <Leaderboard />
+          </div>
         </div>
-      </div>
+      )}
 
       <div className="game-end-footer">
-        <button className="btn btn-primary btn-large" onClick={handleNewGame}>
-          New Game
+        <button className="btn btn-secondary btn-large" onClick={() => setShowReplay(true)}>
+          Watch Replay
         </button>
-        <p>Start a new game session for all players</p>
+        {canReset ? (
+          <>
+            <button className="btn btn-primary btn-large" onClick={handleNewGame}>
+              New Game
+            </button>
+            <p>Start a new game session for all players</p>
+          </>
+        ) : (
+          <p>Waiting for the host to start a new game...</p>
+        )}
+        {config?.inventoryAllocation.seed && (
+          <p className="deal-seed">
+            Inventory seed <strong>{config.inventoryAllocation.seed}</strong> ({config.inventoryAllocation.strategy}):
+            enter it under Game settings to deal the same starting inventories again
+          </p>
+        )}
       </div>
     </div>
   );
@@ -0,0 +1,252 @@
+import React, { useState } from 'react';
+import { AllocationStrategy, GameConfig, GameSettings, ValuationMethod } from '../types';
+import './GameSettingsForm.css';
+
+interface GameSettingsFormProps {
+  defaults: GameConfig;
+  onChange: (settings: GameSettings) => void;
+}
+
+type NumberSetting = 'gameDuration' | 'startingCash' | 'setValue' | 'minOrderSize' | 'maxOrderSize' |
+  'startingInventoryMinPerProduct' | 'inventorySeed';
+
+const NUMBER_FIELDS: { key: NumberSetting & keyof GameConfig; label: string }[] = [
+  { key: 'gameDuration', label: 'Duration (s)' },
+  { key: 'startingCash', label: 'Starting cash ($)' },
+  { key: 'setValue', label: 'Set value ($)' },
+  { key: 'minOrderSize', label: 'Min order size' },
+  { key: 'maxOrderSize', label: 'Max order size' }
+];
+
+const STRATEGY_LABELS: Record<AllocationStrategy, string> = {
+  random: 'Random',
+  balanced: 'Balanced value',
+  scarcity: 'Scarce product'
+};
+
+export const VALUATION_LABELS: Record<ValuationMethod, string> = {
+  projected: 'Projected score (sets + scrap)',
+  scrap: 'Scrap value',
+  mid: 'Mid price',
+  last: 'Last trade price'
+};
+
+// Raw form input; blank strings and nulls keep the default
+interface Draft {
+  numbers: Partial<Record<NumberSetting, string>>;
+  scrapValues: Record<string, string>;
+  setRecipe: Record<string, string>;
+  showOrderNames: boolean | null;
+  strategy: AllocationStrategy | null;
+  valuationMethod: ValuationMethod | null;
+  scarceProduct: string;
+  scarceSupply: string;
+}
+
+const EMPTY_DRAFT: Draft = {
+  numbers: {},
+  scrapValues: {},
+  setRecipe: {},
+  showOrderNames: null,
+  strategy: null,
+  valuationMethod: null,
+  scarceProduct: '',
+  scarceSupply: ''
+};
+
+// Host's rule overrides for a new game. Blank fields keep the server default;
+// the server validates everything when the game is created.
+const GameSettingsForm: React.FC<GameSettingsFormProps> = ({ defaults, onChange }) => {
+  const [open, setOpen] = useState(false);
+  const [draft, setDraft] = useState<Draft>(EMPTY_DRAFT);
+
+  // Value and recipe overrides apply to the primary (first) recipe
+  const primarySet = defaults.setRecipes[0]?.name || 'set';
+  const allocation = defaults.inventoryAllocation;
+  const strategy = draft.strategy ?? allocation.strategy;
+
+  const buildSettings = (next: Draft): GameSettings => {
+    const settings: GameSettings = {};
+    for (const [key, value] of Object.entries(next.numbers)) {
+      if (value && value.trim() !== '') settings[key as NumberSetting] = parseFloat(value);
+    }
+
+    const perProduct = (values: Record<string, string>) => {
+      const entries = Object.entries(values).filter(([, value]) => value.trim() !== '');
+      return entries.length > 0
+        ? Object.fromEntries(entries.map(([product, value]) => [product, parseFloat(value)]))
+        : undefined;
+    };
+    const scrap = perProduct(next.scrapValues);
+    const recipe = perProduct(next.setRecipe);
+    if (scrap) settings.scrapValues = scrap;
+    if (recipe) settings.setRecipe = recipe;
+    if (next.showOrderNames !== null) settings.showOrderNames = next.showOrderNames;
+    if (next.valuationMethod !== null) settings.valuationMethod = next.valuationMethod;
+
+    if (next.strategy !== null) settings.startingInventoryStrategy = next.strategy;
+    if (next.scarceProduct || next.scarceSupply.trim() !== '') {
+      settings.startingInventoryScarcity = {
+        product: next.scarceProduct || allocation.scarcity?.product || defaults.products[0],
+        totalSupply: next.scarceSupply.trim() !== ''
+          ? parseFloat(next.scarceSupply)
+          : allocation.scarcity?.totalSupply ?? 0
+      };
+    }
+    return settings;
+  };
+
+  const update = (patch: Partial<Draft>) => {
+    const next = { ...draft, ...patch };
+    setDraft(next);
+    onChange(buildSettings(next));
+  };
+
+  const numberInput = (key: NumberSetting, placeholder: string) => (
+    <input
+      type="number"
+      min="0"
+      step="1"
+      value={draft.numbers[key] ?? ''}
+      placeholder={placeholder}
+      onChange={(e) => update({ numbers: { ...draft.numbers, [key]: e.target.value } })}
+    />
+  );
+
+  return (
+    <div className="game-settings">
+      <button type="button" className="settings-toggle" onClick={() => setOpen(!open)}>
+        ⚙️ Game settings {open ? '▾' : '▸'}
+      </button>
+
+      {open && (
+        <div className="settings-body">
+          <div className="settings-grid">
+            {NUMBER_FIELDS.map(field => (
+              <label key={field.key} className="setting">
+                <span>{field.key === 'setValue' ? `${primarySet} value ($)` : field.label}</span>
+                {numberInput(field.key, defaults[field.key].toString())}
+              </label>
+            ))}
+          </div>
+
+          <table className="settings-products">
+            <thead>
+              <tr>
+                <th>Ingredient</th>
+                <th>Scrap value ($)</th>
+                <th>Per {primarySet}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {defaults.products.map(product => (
+                <tr key={product}>
+                  <td className="product-name">{product}</td>
+                  <td>
+                    <input
+                      type="number"
+                      min="0"
+                      step="0.5"
+                      value={draft.scrapValues[product] ?? ''}
+                      placeholder={defaults.scrapValues[product].toString()}
+                      onChange={(e) => update({ scrapValues: { ...draft.scrapValues, [product]: e.target.value } })}
+                    />
+                  </td>
+                  <td>
+                    <input
+                      type="number"
+                      min="0"
+                      step="1"
+                      value={draft.setRecipe[product] ?? ''}
+                      placeholder={(defaults.setRecipe[product] || 0).toString()}
+                      onChange={(e) => update({ setRecipe: { ...draft.setRecipe, [product]: e.target.value } })}
+                    />
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          <h4 className="settings-heading">Starting inventory</h4>
+          <div className="settings-strategies">
+            {(Object.keys(STRATEGY_LABELS) as AllocationStrategy[]).map(option => (
+              <button
+                key={option}
+                type="button"
+                className={`strategy-btn ${strategy === option ? 'active' : ''}`}
+                onClick={() => update({ strategy: option })}
+              >
+                {STRATEGY_LABELS[option]}
+              </button>
+            ))}
+          </div>
+
+          <div className="settings-grid">
+            {strategy === 'balanced' && (
+              <label className="setting">
+                <span>Min units per product</span>
+                {numberInput('startingInventoryMinPerProduct', allocation.minPerProduct.toString())}
+              </label>
+            )}
+            {strategy === 'scarcity' && (
+              <>
+                <label className="setting">
+                  <span>Scarce product</span>
+                  <select
+                    value={draft.scarceProduct || allocation.scarcity?.product || ''}
+                    onChange={(e) => update({ scarceProduct: e.target.value })}
+                  >
+                    {!allocation.scarcity && <option value="">Choose...</option>}
+                    {defaults.products.map(product => (
+                      <option key={product} value={product}>{product}</option>
+                    ))}
+                  </select>
+                </label>
+                <label className="setting">
+                  <span>Total units at the table</span>
+                  <input
+                    type="number"
+                    min="0"
+                    step="1"
+                    value={draft.scarceSupply}
+                    placeholder={(allocation.scarcity?.totalSupply ?? 0).toString()}
+                    onChange={(e) => update({ scarceSupply: e.target.value })}
+                  />
+                </label>
+              </>
+            )}
+            <label className="setting">
+              <span>Seed (to re-deal a game)</span>
+              {numberInput('inventorySeed', 'Random')}
+            </label>
+          </div>
+
+          <div className="settings-grid">
+            <label className="setting">
+              <span>Live standings value</span>
+              <select
+                value={draft.valuationMethod ?? defaults.valuationMethod}
+                onChange={(e) => update({ valuationMethod: e.target.value as ValuationMethod })}
+              >
+                {(Object.keys(VALUATION_LABELS) as ValuationMethod[]).map(method => (
+                  <option key={method} value={method}>{VALUATION_LABELS[method]}</option>
+                ))}
+              </select>
+            </label>
+          </div>
+
+          <label className="setting-checkbox">
+            <input
+              type="checkbox"
+              checked={draft.showOrderNames ?? defaults.showOrderNames}
+              onChange={(e) => update({ showOrderNames: e.target.checked })}
+            />
+            Show player names in the order book
+          </label>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default GameSettingsForm;
@@ -0,0 +1,111 @@
+import React, { useState } from 'react';
+import { useSocket } from '../context/SocketContext';
+import { HouseBotType } from '../types';
+import './HouseBotControls.css';
+
+const OPTION_LABELS: Record<string, string> = {
+  interval: 'Acts every (s)',
+  spread: 'Spread ($)',
+  size: 'Quote size',
+  skew: 'Inventory skew ($/unit)',
+  maxPosition: 'Max position',
+  activity: 'Activity (0-1)',
+  maxSize: 'Max order size',
+  priceNoise: 'Price noise (0-1)',
+  marketOrderRatio: 'Market order share (0-1)',
+  orderLifetime: 'Order lifetime (s)',
+  minEdge: 'Min edge ($)'
+};
+
+// Options that take whole numbers
+const INTEGER_OPTIONS = ['interval', 'size', 'maxPosition', 'maxSize', 'orderLifetime'];
+
+// Host-only lobby panel for seating built-in bots
+const HouseBotControls: React.FC = () => {
+  const { config, gameState, addHouseBot } = useSocket();
+  const [type, setType] = useState<HouseBotType>('marketMaker');
+  const [options, setOptions] = useState<Record<string, string>>({});
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  const houseBots = config?.houseBots;
+  if (!houseBots || !gameState) return null;
+
+  const botCount = gameState.players.filter(p => p.houseBot).length;
+  const defaults = houseBots.options[type];
+
+  const handleTypeChange = (newType: HouseBotType) => {
+    setType(newType);
+    setOptions({});
+    setError('');
+  };
+
+  const handleAddBot = async (e: React.FormEvent) => {
+    e.preventDefault();
+    const values: Record<string, number> = {};
+    for (const [key, value] of Object.entries(options)) {
+      if (value.trim() === '') continue;
+      const number = parseFloat(value);
+      if (isNaN(number) || number < 0) {
+        setError(`Invalid ${OPTION_LABELS[key] || key}`);
+        return;
+      }
+      values[key] = number;
+    }
+
+    setLoading(true);
+    setError('');
+    const result: any = await addHouseBot(type, values);
+    setLoading(false);
+    if (!result.success) {
+      setError(result.error);
+    }
+  };
+
+  return (
+    <form className="house-bot-controls" onSubmit={handleAddBot}>
+      <h3>🤖 House Bots ({botCount} / {houseBots.maxPerGame})</h3>
+
+      <div className="bot-types">
+        {(Object.keys(houseBots.labels) as HouseBotType[]).map(botType => (
+          <button
+            key={botType}
+            type="button"
+            className={`bot-type-btn ${type === botType ? 'active' : ''}`}
+            onClick={() => handleTypeChange(botType)}
+          >
+            {houseBots.labels[botType]}
+          </button>
+        ))}
+      </div>
+
+      <div className="bot-options">
+        {Object.entries(defaults).map(([key, value]) => (
+          <label key={key} className="bot-option">
+            <span>{OPTION_LABELS[key] || key}</span>
+            <input
+              type="number"
+              min="0"
+              step={INTEGER_OPTIONS.includes(key) ? '1' : '0.1'}
+              value={options[key] ?? ''}
+              placeholder={value.toString()}
+              onChange={(e) => setOptions({ ...options, [key]: e.target.value })}
+            />
+          </label>
+        ))}
+      </div>
+
+      <button
+        type="submit"
+        className="btn btn-secondary"
+        disabled={loading || botCount >= houseBots.maxPerGame || gameState.playerCount >= gameState.maxPlayers}
+      >
+        {loading ? 'Adding...' : `Add ${houseBots.labels[type]}`}
+      </button>
+
+      {error && <p className="error">{error}</p>}
+    </form>
+  );
+};
+
+export default HouseBotControls;
@@ -1,11 +1,19 @@
 import React from 'react';
 import { useSocket } from '../context/SocketContext';
+import { LeaderboardEntry } from '../types';
 import './Leaderboard.css';
 
-const Leaderboard: React.FC = () => {
-  const { leaderboard, playerState, gameState } = useSocket();
+interface LeaderboardProps {
+  // Override the live standings (e.g. for a replay)
+  entries?: LeaderboardEntry[];
+  final?: boolean;
+}
 
-  const isGameEnded = gameState?.status === 'ended';
+const Leaderboard: React.FC<LeaderboardProps> = ({ entries, final }) => {
+  const { leaderboard: liveLeaderboard, playerState, gameState } = useSocket();
+
+  const leaderboard = entries ?? liveLeaderboard;
+  const isGameEnded = final ?? gameState?.status === 'ended';
 
   return (
     <div className="leaderboard">
@@ -21,6 +29,7 @@ const Leaderboard: React.FC = () => {
               {index === 0 ? '👑' : `#${index + 1}`}
             </div>
             <div className="player-name">
+              {entry.isBot && <span className="bot-badge" title="Bot">🤖</span>}
               {entry.name}
               {entry.playerId === playerState?.playerId && ' (You)'}
             </div>
@@ -48,6 +57,14 @@ const Leaderboard: React.FC = () => {
                     <span className="stat-label">Est. Value</span>
                     <span className="stat-value">${entry.estimatedValue}</span>
                   </div>
+                  {entry.pnl !== undefined && (
+                    <div className="stat">
+                      <span className="stat-label">PnL</span>
+                      <span className={`stat-value ${entry.pnl >= 0 ? 'positive' : 'negative'}`}>
+                        {entry.pnl >= 0 ? '+' : ''}${entry.pnl}
+                      </span>
+                    </div>
+                  )}
                   <div className="stat">
                     <span className="stat-label">Sets</span>
                     <span className="stat-value">🥪 {entry.completeSets}</span>
@@ -1,23 +1,79 @@
 import React, { useState } from 'react';
 import { useSocket } from '../context/SocketContext';
+import HouseBotControls from './HouseBotControls';
+import GameSettingsForm from './GameSettingsForm';
+import ScenarioPicker from './ScenarioPicker';
+import { AllocationStrategy, GameConfig, GameSettings, InventoryAllocation } from '../types';
 import './Lobby.css';
 
+// How starting inventories are dealt, in words
+const ALLOCATION_DESCRIPTIONS: Record<AllocationStrategy, (allocation: InventoryAllocation) => string> = {
+  random: () => 'Random starting inventories',
+  balanced: ({ minPerProduct }) => `Balanced starting inventories, at least ${minPerProduct} of each ingredient`,
+  scarcity: ({ scarcity }) => `Only ${scarcity?.totalSupply} ${scarcity?.product} dealt across the whole table`
+};
+
 const Lobby: React.FC = () => {
-  const { gameState, config, createGame, joinGame, startGame, playerState } = useSocket();
+  const { gameState, games, scenarios, config, createGame, selectGame, deselectGame, joinGame, watchGame, facilitateGame, startGame, removeHouseBot, kickPlayer, playerState, notice, clearNotice } = useSocket();
   const [playerName, setPlayerName] = useState('');
+  const [joinCode, setJoinCode] = useState('');
   const [error, setError] = useState('');
   const [loading, setLoading] = useState(false);
+  const [settings, setSettings] = useState<GameSettings>({});
+  const [scenarioId, setScenarioId] = useState<string | null>(null);
+  const [passcode, setPasscode] = useState('');
 
   const handleCreateGame = async () => {
     setLoading(true);
     setError('');
-    const result: any = await createGame();
+    const result: any = await createGame(settings, scenarioId);
+    setLoading(false);
+    if (!result.success) {
+      setError(result.error);
+    }
+  };
+
+  // Overrides are per scenario (products can differ), so start over on a switch
+  const handleSelectScenario = (id: string | null) => {
+    setScenarioId(id);
+    setSettings({});
+  };
+
+  const handleSelectGame = async (game: { gameId?: string; joinCode?: string }) => {
+    setLoading(true);
+    setError('');
+    const result: any = await selectGame(game);
     setLoading(false);
     if (!result.success) {
       setError(result.error);
     }
   };
 
+  const handleJoinByCode = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!joinCode.trim()) {
+      setError('Please enter a game code');
+      return;
+    }
+    await handleSelectGame({ joinCode: joinCode.trim() });
+  };
+
+  const handleFacilitate = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setLoading(true);
+    setError('');
+    const result: any = await facilitateGame(joinCode.trim(), passcode.trim());
+    setLoading(false);
+    if (!result.success) {
+      setError(result.error);
+    }
+  };
+
+  const handleBack = async () => {
+    setError('');
+    await deselectGame();
+  };
+
   const handleJoinGame = async (e: React.FormEvent) => {
     e.preventDefault();
     if (!playerName.trim()) {
@@ -43,16 +99,78 @@ const Lobby: React.FC = () => {
     }
   };
 
+  const handleRemoveBot = async (playerId: string) => {
+    setError('');
+    const result: any = await removeHouseBot(playerId);
+    if (!result.success) {
+      setError(result.error);
+    }
+  };
+
+  const handleKick = async (playerId: string) => {
+    setError('');
+    const result: any = await kickPlayer(playerId);
+    if (!result.success) {
+      setError(result.error);
+    }
+  };
+
   const isHost = playerState && gameState && gameState.hostPlayerId === playerState.playerId;
 
-  // No game exists - show create game
+  // Rules of the selected game, or of the scenario about to be created
+  const renderRules = (rules: GameConfig | null = config) => rules && (
+    <div className="game-rules">
+      <h3>Game Rules{rules.scenario ? `: ${rules.scenario.name}` : ''}</h3>
+      <ul>
+        <li>⏱️ Trade for {rules.gameDuration} seconds, starting with ${rules.startingCash}</li>
+        <li>🧺 Form complete sets:</li>
+        <ul>
+          {rules.setRecipes.map(set => (
+            <li key={set.name}>
+              {set.name} (${set.value}): {Object.entries(set.recipe).map(([p, n]) => `${n} × ${p}`).join(', ')}
+            </li>
+          ))}
+        </ul>
+        <li>📦 Leftover ingredients valued at scrap prices:</li>
+        <ul>
+          {rules.products.map(p => (
+            <li key={p}>{p}: ${rules.scrapValues[p]}</li>
+          ))}
+        </ul>
+        <li>🎲 {ALLOCATION_DESCRIPTIONS[rules.inventoryAllocation.strategy](rules.inventoryAllocation)}</li>
+        <li>📏 Orders of {rules.minOrderSize} to {rules.maxOrderSize} units</li>
+        {rules.scheduledEventCount > 0 && (
+          <li>📰 Watch the news: {rules.scheduledEventCount} market events are scheduled during the game</li>
+        )}
+        <li>🎯 Goal: Maximize your final portfolio value!</li>
+      </ul>
+    </div>
+  );
+
+  // No game selected - show create game and the game picker
   if (!gameState) {
+    const scenario = scenarios.find(s => s.scenarioId === scenarioId);
+    const newGameRules: GameConfig | null = config && (scenario ? { ...config, ...scenario, scenario } : config);
+
     return (
       <div className="lobby">
         <div className="lobby-card">
           <h1>🥪 Sandwich Trading Exchange</h1>
           <p className="subtitle">Trade ingredients, form sandwiches, maximize profit!</p>
 
+          {notice && (
+            <p className="error notice" onClick={clearNotice} title="Dismiss">
+              {notice} ✕
+            </p>
+          )}
+
+          <ScenarioPicker
+            scenarios={scenarios}
+            selectedId={scenarioId}
+            onSelect={handleSelectScenario}
+            disabled={loading}
+          />
+
           <button
             className="btn btn-primary btn-large"
             onClick={handleCreateGame}
@@ -61,24 +179,69 @@ const Lobby: React.FC = () => {
             {loading ? 'Creating...' : 'Create New Game'}
           </button>
 
+          {newGameRules && <GameSettingsForm key={scenarioId ?? ''} defaults={newGameRules} onChange={setSettings} />}
+
+          <form className="join-code-form" onSubmit={handleJoinByCode}>
+            <input
+              type="text"
+              placeholder="Game code"
+              value={joinCode}
+              onChange={(e) => setJoinCode(e.target.value.toUpperCase())}
+              maxLength={5}
+              disabled={loading}
+            />
+            <button
+              type="submit"
+              className="btn btn-secondary"
+              disabled={loading || !joinCode.trim()}
+            >
+              Find Game
+            </button>
+          </form>
+
+          <form className="join-code-form facilitator-form" onSubmit={handleFacilitate}>
+            <input
+              type="password"
+              placeholder="Facilitator passcode"
+              value={passcode}
+              onChange={(e) => setPasscode(e.target.value)}
+              maxLength={6}
+              disabled={loading}
+            />
+            <button
+              type="submit"
+              className="btn btn-secondary"
+              disabled={loading || !joinCode.trim() || !passcode.trim()}
+              title="Enter the game code above and the host's passcode"
+            >
+              Facilitate
+            </button>
+          </form>
+
           {error && <p className="error">{error}</p>}
 
-          {config && (
-            <div className="game-rules">
-              <h3>Game Rules</h3>
-              <ul>
-                <li>⏱️ Trade for {config.gameDuration} seconds</li>
-                <li>🧺 Form complete sandwiches worth ${config.setValue}</li>
-                <li>📦 Leftover ingredients valued at scrap prices:</li>
-                <ul>
-                  {config.products.map(p => (
-                    <li key={p}>{p}: ${config.scrapValues[p]}</li>
-                  ))}
-                </ul>
-                <li>🎯 Goal: Maximize your final portfolio value!</li>
-              </ul>
-            </div>
-          )}
+          <div className="games-list">
+            <h3>Open Games</h3>
+            {games.filter(g => g.status !== 'ended').length === 0 ? (
+              <p className="info">No games yet - create one!</p>
+            ) : (
+              games.filter(g => g.status !== 'ended').map(g => (
+                <button
+                  key={g.gameId}
+                  type="button"
+                  className="game-row"
+                  onClick={() => handleSelectGame({ gameId: g.gameId })}
+                  disabled={loading}
+                >
+                  <span className="game-code">{g.joinCode}</span>
+                  <span className={`game-status ${g.status}`}>{g.status}</span>
+                  <span className="game-players">{g.playerCount} / {g.maxPlayers}</span>
+                </button>
+              ))
+            )}
+          </div>
+
+          {renderRules(newGameRules)}
         </div>
       </div>
     );
@@ -90,7 +253,9 @@ const Lobby: React.FC = () => {
       <div className="lobby">
         <div className="lobby-card">
           <h1>🥪 Join Game</h1>
-          <p className="subtitle">{gameState.playerCount} / {gameState.maxPlayers} players</p>
+          <p className="subtitle">
+            Game <span className="game-code">{gameState.joinCode}</span> · {gameState.playerCount} / {gameState.maxPlayers} players
+          </p>
 
           <form onSubmit={handleJoinGame}>
             <input
@@ -110,6 +275,10 @@ const Lobby: React.FC = () => {
             </button>
           </form>
 
+          <button className="btn btn-secondary watch-btn" onClick={watchGame} disabled={loading}>
+            👀 Watch without joining
+          </button>
+
           {error && <p className="error">{error}</p>}
 
           <div className="players-list">
@@ -118,6 +287,12 @@ const Lobby: React.FC = () => {
               <div key={p.playerId} className="player-chip">{p.name}</div>
             ))}
           </div>
+
+          {renderRules()}
+
+          <button className="btn btn-link" onClick={handleBack} disabled={loading}>
+            ← Back to games
+          </button>
         </div>
       </div>
     );
@@ -128,12 +303,17 @@ const Lobby: React.FC = () => {
     <div className="lobby">
       <div className="lobby-card">
         <h1>🥪 Game Lobby</h1>
-        <p className="subtitle">Waiting for host to start...</p>
+        <p className="subtitle">
+          Game code <span className="game-code">{gameState.joinCode}</span> · Waiting for host to start...
+        </p>
 
         <div className="player-info">
           <h3>Welcome, {playerState.name}!</h3>
           <p>Starting Cash: ${playerState.cash}</p>
-          <p>Starting Inventory:</p>
+          <p>
+            Starting Inventory
+            {config?.inventoryAllocation.strategy === 'scarcity' && ' (re-dealt when the game starts, for the seats taken)'}:
+          </p>
           <div className="inventory-display">
             {config?.products.map(p => (
               <div key={p} className="inventory-item">
@@ -148,13 +328,34 @@ const Lobby: React.FC = () => {
         <div className="players-list">
           <h3>Players ({gameState.playerCount} / {gameState.maxPlayers})</h3>
           {gameState.players.map(p => (
-            <div key={p.playerId} className={`player-chip ${p.playerId === playerState.playerId ? 'you' : ''}`}>
-              {p.name} {p.playerId === gameState.hostPlayerId && '👑'}
+            <div key={p.playerId} className={`player-chip ${p.playerId === playerState.playerId ? 'you' : ''} ${p.connected ? '' : 'disconnected'}`}>
+              {p.isBot && '🤖 '}{p.name} {p.playerId === gameState.hostPlayerId && '👑'}
               {p.playerId === playerState.playerId && ' (You)'}
+              {isHost && p.houseBot && (
+                <button className="remove-bot-btn" onClick={() => handleRemoveBot(p.playerId)} title="Remove bot">
+                  ✕
+                </button>
+              )}
+              {isHost && !p.houseBot && p.playerId !== gameState.hostPlayerId && (
+                <button className="remove-bot-btn" onClick={() => handleKick(p.playerId)} title="Remove player">
+                  ✕
+                </button>
+              )}
             </div>
           ))}
         </div>
 
+        {renderRules()}
+
+        {isHost && playerState.facilitatorPasscode && (
+          <p className="facilitator-passcode">
+            Facilitator passcode <strong>{playerState.facilitatorPasscode}</strong>: open the full-information
+            dashboard on a projector with game code {gameState.joinCode} and this passcode
+          </p>
+        )}
+
+        {isHost && <HouseBotControls />}
+
         {isHost ? (
           <button
             className="btn btn-primary btn-large"
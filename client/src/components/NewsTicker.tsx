@@ -0,0 +1,44 @@
+import React from 'react';
+import { useSocket } from '../context/SocketContext';
+import { NewsItem } from '../types';
+import './NewsTicker.css';
+
+interface NewsTickerProps {
+  // Override the live news (e.g. for a replay)
+  items?: NewsItem[];
+}
+
+const formatGameTime = (seconds: number) => {
+  const mins = Math.floor(seconds / 60);
+  const secs = Math.floor(seconds % 60);
+  return `${mins}:${secs.toString().padStart(2, '0')}`;
+};
+
+// Scheduled market events, newest first; the latest one is highlighted
+const NewsTicker: React.FC<NewsTickerProps> = ({ items }) => {
+  const { news: liveNews, playerState } = useSocket();
+
+  const news = [...(items ?? liveNews)].reverse();
+
+  const isForMe = (item: NewsItem) =>
+    !!playerState && item.grants.some(grant => grant.playerId === playerState.playerId);
+
+  return (
+    <div className="news-ticker">
+      <span className="news-label">📰 News</span>
+      <div className="news-items">
+        {news.map((item, i) => (
+          <span
+            key={item.newsId}
+            className={`news-item ${i === 0 ? 'latest' : ''} ${isForMe(item) ? 'for-me' : ''}`}
+          >
+            <span className="news-time">[{formatGameTime(item.at)}]</span> {item.headline}
+          </span>
+        ))}
+        {news.length === 0 && <span className="news-empty">No news yet</span>}
+      </div>
+    </div>
+  );
+};
+
+export default NewsTicker;
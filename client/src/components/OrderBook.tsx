@@ -1,23 +1,32 @@
 import React from 'react';
-import { OrderBookDepth } from '../types';
+import { OrderBookDepth, PriceLevel } from '../types';
 import './OrderBook.css';
 
 interface OrderBookProps {
   orderBook: OrderBookDepth;
-  onSelectPrice: (price: number, side: 'buy' | 'sell') => void;
+  onSelectPrice?: (price: number, side: 'buy' | 'sell') => void;
+  // List who owns each level's orders (needs a book sent with names)
+  showNames?: boolean;
+  halted?: boolean;
 }
 
-const OrderBook: React.FC<OrderBookProps> = ({ orderBook, onSelectPrice }) => {
+const OrderBook: React.FC<OrderBookProps> = ({ orderBook, onSelectPrice, showNames = false, halted = false }) => {
   const maxQuantity = Math.max(
     ...orderBook.bids.map(b => b.quantity),
     ...orderBook.asks.map(a => a.quantity),
     1
   );
 
+  const renderNames = (level: PriceLevel) => showNames && (
+    <span className="level-names">
+      {level.orders.map(o => `${o.playerName ?? '?'} ${o.quantity}`).join(', ')}
+    </span>
+  );
+
   return (
     <div className="order-book">
       <div className="order-book-header">
-        <h3>{orderBook.product.toUpperCase()}</h3>
+        <h3>{orderBook.product.toUpperCase()}{halted && <span className="halted-badge">HALTED</span>}</h3>
         <div className="spread">
           {orderBook.spread !== null ? (
             <span>Spread: ${orderBook.spread}</span>
@@ -38,13 +47,14 @@ const OrderBook: React.FC<OrderBookProps> = ({ orderBook, onSelectPrice }) => {
             <div
               key={`ask-${level.price}`}
               className="level ask"
-              onClick={() => onSelectPrice(level.price, 'buy')}
+              onClick={() => onSelectPrice?.(level.price, 'buy')}
             >
               <div
                 className="level-bar"
                 style={{ width: `${(level.quantity / maxQuantity) * 100}%` }}
               />
               <span className="price">${level.price}</span>
+              {renderNames(level)}
               <span className="quantity">{level.quantity}</span>
             </div>
           ))}
@@ -69,13 +79,14 @@ const OrderBook: React.FC<OrderBookProps> = ({ orderBook, onSelectPrice }) => {
             <div
               key={`bid-${level.price}`}
               className="level bid"
-              onClick={() => onSelectPrice(level.price, 'sell')}
+              onClick={() => onSelectPrice?.(level.price, 'sell')}
             >
               <div
                 className="level-bar"
                 style={{ width: `${(level.quantity / maxQuantity) * 100}%` }}
               />
               <span className="price">${level.price}</span>
+              {renderNames(level)}
               <span className="quantity">{level.quantity}</span>
             </div>
           ))}
@@ -1,12 +1,55 @@
-import React from 'react';
+import React, { useState } from 'react';
 import { useSocket } from '../context/SocketContext';
+import { Order } from '../types';
+import PnlChart from './PnlChart';
+import { VALUATION_LABELS } from './GameSettingsForm';
 import './PlayerStatus.css';
 
+const PRODUCT_ICONS: Record<string, string> = {
+  bread: '🍞',
+  veggies: '🥬',
+  cheese: '🧀',
+  meat: '🥩',
+  buns: '🍔',
+  patties: '🥩',
+  pickles: '🥒'
+};
+
 const PlayerStatus: React.FC = () => {
-  const { config, playerState, cancelOrder } = useSocket();
+  const { config, playerState, pnlHistory, remainingTime, amendOrder, cancelOrder } = useSocket();
+  const [editingId, setEditingId] = useState<string | null>(null);
+  const [editQuantity, setEditQuantity] = useState('');
+  const [editPrice, setEditPrice] = useState('');
 
   if (!playerState || !config) return null;
 
+  const startEditing = (order: Order) => {
+    setEditingId(order.orderId);
+    setEditQuantity(order.remainingQuantity.toString());
+    setEditPrice(order.price?.toString() || '');
+  };
+
+  // Smaller size at the same price keeps queue priority; anything else is re-queued
+  const handleAmendOrder = async (e: React.FormEvent, order: Order) => {
+    e.preventDefault();
+    const quantity = Number(editQuantity);
+    const price = parseFloat(editPrice);
+    if (!Number.isInteger(quantity) || quantity <= 0 || isNaN(price) || price <= 0) {
+      alert('Invalid quantity or price');
+      return;
+    }
+
+    const result: any = await amendOrder(order.orderId, { quantity, price });
+    if (!result.success) {
+      alert(result.error);
+    } else {
+      setEditingId(null);
+    }
+  };
+
+  const signed = (amount: number) => `${amount >= 0 ? '+' : '-'}$${Math.abs(amount)}`;
+  const pnlClass = (amount: number) => (amount >= 0 ? 'positive' : 'negative');
+
   const handleCancelOrder = async (orderId: string) => {
     const result: any = await cancelOrder(orderId);
     if (!result.success) {
@@ -19,6 +62,12 @@ const PlayerStatus: React.FC = () => {
       <div className="status-section">
         <h3>💰 Cash</h3>
         <div className="cash-display">${playerState.cash}</div>
+        {playerState.reservedCash > 0 && (
+          <div className="cash-breakdown">
+            <span>Available ${playerState.availableCash}</span>
+            <span className="reserved">Reserved ${playerState.reservedCash}</span>
+          </div>
+        )}
       </div>
 
       <div className="status-section">
@@ -26,14 +75,16 @@ const PlayerStatus: React.FC = () => {
         <div className="inventory-grid">
           {config.products.map(product => (
             <div key={product} className="inventory-item">
-              <span className="item-icon">
-                {product === 'bread' && '🍞'}
-                {product === 'veggies' && '🥬'}
-                {product === 'cheese' && '🧀'}
-                {product === 'meat' && '🥩'}
-              </span>
+              <span className="item-icon">{PRODUCT_ICONS[product] || '📦'}</span>
               <span className="item-name">{product}</span>
-              <span className="item-count">{playerState.inventory[product] || 0}</span>
+              <span className="item-count">
+                {playerState.inventory[product] || 0}
+                {(playerState.reservedInventory[product] || 0) > 0 && (
+                  <span className="item-reserved" title="Reserved by open sell orders">
+                    {' '}({playerState.reservedInventory[product]} held)
+                  </span>
+                )}
+              </span>
               <span className="item-value">${(playerState.inventory[product] || 0) * config.scrapValues[product]}</span>
             </div>
           ))}
@@ -49,7 +100,10 @@ const PlayerStatus: React.FC = () => {
         <div className="sets-display">
           <div className="sets-count">{playerState.completeSets}</div>
           <div className="sets-label">Complete Sets</div>
-          <div className="sets-value">Worth ${playerState.completeSets * config.setValue}</div>
+          {config.setRecipes.length > 1 && Object.entries(playerState.sets).map(([name, count]) => (
+            <div key={name} className="sets-label">{count} × {name}</div>
+          ))}
+          <div className="sets-value">Worth ${playerState.setsValue}</div>
         </div>
       </div>
 
@@ -60,19 +114,69 @@ const PlayerStatus: React.FC = () => {
             <div className="no-orders">No open orders</div>
           ) : (
             playerState.openOrders.map(order => (
-              <div key={order.orderId} className={`order-item ${order.side}`}>
-                <div className="order-info">
-                  <span className="order-side">{order.side.toUpperCase()}</span>
-                  <span className="order-qty">{order.remainingQuantity}</span>
-                  <span className="order-product">{order.product}</span>
-                  <span className="order-price">@ ${order.price}</span>
-                </div>
-                <button
-                  className="cancel-btn"
-                  onClick={() => handleCancelOrder(order.orderId)}
-                >
-                  ✕
-                </button>
+              <div key={order.orderId} className={`order-item ${order.side} ${order.status}`}>
+                {editingId === order.orderId ? (
+                  <form className="order-edit" onSubmit={(e) => handleAmendOrder(e, order)}>
+                    <span className="order-side">{order.side.toUpperCase()}</span>
+                    <input
+                      type="number"
+                      value={editQuantity}
+                      onChange={(e) => setEditQuantity(e.target.value)}
+                      min="1"
+                      title="Quantity"
+                      autoFocus
+                    />
+                    <span className="order-product">{order.product} @ $</span>
+                    <input
+                      type="number"
+                      value={editPrice}
+                      onChange={(e) => setEditPrice(e.target.value)}
+                      min="1"
+                      step="1"
+                      title="Price"
+                    />
+                    <button type="submit" className="edit-btn" title="Amend order">✓</button>
+                    <button type="button" className="cancel-btn" onClick={() => setEditingId(null)} title="Discard changes">
+                      ↩
+                    </button>
+                  </form>
+                ) : (
+                  <>
+                    <div className="order-info">
+                      <span className="order-side">{order.side.toUpperCase()}</span>
+                      <span className="order-qty">{order.remainingQuantity}</span>
+                      <span className="order-product">{order.product}</span>
+                      <span className="order-price">{order.price !== null ? `@ $${order.price}` : '@ MKT'}</span>
+                      {order.status === 'pending' && (
+                        <span className="order-stop" title="Waiting for the last trade price to reach the stop">
+                          STOP {order.side === 'buy' ? '≥' : '≤'} ${order.stopPrice}
+                        </span>
+                      )}
+                      {order.status === 'triggered' && (
+                        <span className="order-tif" title={`Stop at $${order.stopPrice} triggered`}>TRIGGERED</span>
+                      )}
+                      {order.timeInForce === 'post_only' && <span className="order-tif">POST</span>}
+                      {order.timeInForce === 'gtd' && order.expiresAt !== null && (
+                        <span className="order-tif" title="Good till game second">
+                          {Math.max(0, order.expiresAt - (config.gameDuration - remainingTime))}s
+                        </span>
+                      )}
+                    </div>
+                    <div className="order-actions">
+                      {order.orderType === 'limit' && order.status !== 'pending' && (
+                        <button className="edit-btn" onClick={() => startEditing(order)} title="Edit order">
+                          ✎
+                        </button>
+                      )}
+                      <button
+                        className="cancel-btn"
+                        onClick={() => handleCancelOrder(order.orderId)}
+                      >
+                        ✕
+                      </button>
+                    </div>
+                  </>
+                )}
               </div>
             ))
           )}
@@ -86,18 +190,38 @@ const PlayerStatus: React.FC = () => {
           <span>${playerState.cash}</span>
         </div>
         <div className="summary-row">
-          <span>Inventory (scrap):</span>
-          <span>${playerState.inventoryValue}</span>
+          <span>Leftover (scrap):</span>
+          <span>${playerState.estimatedValue - playerState.cash - playerState.setsValue}</span>
         </div>
         <div className="summary-row">
-          <span>Sets ({playerState.completeSets} × ${config.setValue}):</span>
-          <span>${playerState.completeSets * config.setValue}</span>
+          <span>Sets ({playerState.completeSets}):</span>
+          <span>${playerState.setsValue}</span>
         </div>
         <div className="summary-row total">
           <span>Est. Total:</span>
-          <span>${playerState.cash + playerState.inventoryValue}</span>
+          <span>${playerState.estimatedValue}</span>
         </div>
       </div>
+
+      {playerState.valuation && (
+        <div className="status-section summary">
+          <h3>📈 P&L</h3>
+          <div className="pnl-method">Marked at {VALUATION_LABELS[playerState.valuation.method].toLowerCase()}</div>
+          <div className="summary-row">
+            <span>Realized:</span>
+            <span className={pnlClass(playerState.valuation.realizedPnl)}>{signed(playerState.valuation.realizedPnl)}</span>
+          </div>
+          <div className="summary-row">
+            <span>Unrealized:</span>
+            <span className={pnlClass(playerState.valuation.unrealizedPnl)}>{signed(playerState.valuation.unrealizedPnl)}</span>
+          </div>
+          <div className="summary-row total">
+            <span>Total P&L:</span>
+            <span className={pnlClass(playerState.valuation.pnl)}>{signed(playerState.valuation.pnl)}</span>
+          </div>
+          <PnlChart samples={pnlHistory} />
+        </div>
+      )}
     </div>
   );
 };
@@ -0,0 +1,38 @@
+import React from 'react';
+import { PnlSample } from '../types';
+import './PnlChart.css';
+
+interface PnlChartProps {
+  samples: PnlSample[];
+}
+
+const WIDTH = 240;
+const HEIGHT = 60;
+
+// P&L over game time as a line, with the break-even level marked
+const PnlChart: React.FC<PnlChartProps> = ({ samples }) => {
+  if (samples.length < 2) {
+    return <div className="pnl-chart empty">The chart fills in as the game runs</div>;
+  }
+
+  const start = samples[0].time;
+  const span = Math.max(1, samples[samples.length - 1].time - start);
+  // Always include zero so the break-even line is on the chart
+  const high = Math.max(0, ...samples.map(s => s.pnl));
+  const low = Math.min(0, ...samples.map(s => s.pnl));
+  const range = Math.max(1, high - low);
+
+  const x = (time: number) => ((time - start) / span) * WIDTH;
+  const y = (pnl: number) => HEIGHT - ((pnl - low) / range) * HEIGHT;
+  const points = samples.map(s => `${x(s.time).toFixed(1)},${y(s.pnl).toFixed(1)}`).join(' ');
+  const latest = samples[samples.length - 1].pnl;
+
+  return (
+    <svg className="pnl-chart" viewBox={`0 0 ${WIDTH} ${HEIGHT}`} preserveAspectRatio="none">
+      <line className="pnl-zero" x1={0} x2={WIDTH} y1={y(0)} y2={y(0)} />
+      <polyline className={`pnl-line ${latest >= 0 ? 'positive' : 'negative'}`} points={points} />
+    </svg>
+  );
+};
+
+export default PnlChart;
@@ -0,0 +1,111 @@
+import React from 'react';
+import { Candle } from '../types';
+import './PriceChart.css';
+
+interface PriceChartProps {
+  product: string;
+  candles: Candle[];
+  interval: number; // Bar length in seconds
+}
+
+const WIDTH = 300;
+const PRICE_HEIGHT = 100;
+const VOLUME_HEIGHT = 30;
+const MAX_BARS = 30; // Older bars scroll off the left
+const MIN_SLOTS = 12; // Keep the first few bars from filling the chart
+
+const formatGameTime = (seconds: number) => {
+  const mins = Math.floor(seconds / 60);
+  const secs = Math.floor(seconds % 60);
+  return `${mins}:${secs.toString().padStart(2, '0')}`;
+};
+
+// Candlesticks with a VWAP line and volume underneath, on the game clock
+const PriceChart: React.FC<PriceChartProps> = ({ product, candles, interval }) => {
+  if (candles.length === 0) {
+    return (
+      <div className="price-chart">
+        <div className="price-chart-header">
+          <span className="price-chart-title">{product}</span>
+        </div>
+        <div className="price-chart-empty">No trades yet</div>
+      </div>
+    );
+  }
+
+  // Bars sit in time slots, so quiet intervals show up as gaps
+  const bars = candles.slice(-MAX_BARS);
+  const firstTime = bars[0].time;
+  const slots = Math.max(MIN_SLOTS, (bars[bars.length - 1].time - firstTime) / interval + 1);
+  const slotWidth = WIDTH / slots;
+  const x = (bar: Candle) => ((bar.time - firstTime) / interval + 0.5) * slotWidth;
+
+  const high = Math.max(...bars.map(b => b.high));
+  const low = Math.min(...bars.map(b => b.low));
+  const padding = Math.max(0.5, (high - low) * 0.1);
+  const top = high + padding;
+  const range = top - (low - padding);
+  const y = (price: number) => ((top - price) / range) * PRICE_HEIGHT;
+
+  const maxVolume = Math.max(...bars.map(b => b.volume));
+  const volumeHeight = (bar: Candle) => (bar.volume / maxVolume) * (VOLUME_HEIGHT - 2);
+
+  const last = bars[bars.length - 1];
+  const change = last.close - bars[0].open;
+  const vwapPoints = bars.map(b => `${x(b).toFixed(1)},${y(b.vwap).toFixed(1)}`).join(' ');
+
+  return (
+    <div className="price-chart">
+      <div className="price-chart-header">
+        <span className="price-chart-title">{product}</span>
+        <span className="price-chart-last">${last.close}</span>
+        <span className={`price-chart-change ${change >= 0 ? 'up' : 'down'}`}>
+          {change >= 0 ? '▲' : '▼'} {Math.abs(change)}
+        </span>
+        <span className="price-chart-vwap" title={`VWAP of the ${interval}s bar starting ${formatGameTime(last.time)}`}>
+          VWAP ${last.vwap}
+        </span>
+      </div>
+      <svg
+        className="price-chart-svg"
+        viewBox={`0 0 ${WIDTH} ${PRICE_HEIGHT + VOLUME_HEIGHT}`}
+        preserveAspectRatio="none"
+      >
+        {bars.map(bar => {
+          const up = bar.close >= bar.open;
+          const bodyTop = y(Math.max(bar.open, bar.close));
+          return (
+            <g key={bar.time} className={up ? 'candle up' : 'candle down'}>
+              <title>
+                {`${formatGameTime(bar.time)}  O ${bar.open}  H ${bar.high}  L ${bar.low}  C ${bar.close}  Vol ${bar.volume}  VWAP ${bar.vwap}`}
+              </title>
+              <line x1={x(bar)} x2={x(bar)} y1={y(bar.high)} y2={y(bar.low)} className="candle-wick" />
+              <rect
+                x={x(bar) - slotWidth * 0.3}
+                y={bodyTop}
+                width={slotWidth * 0.6}
+                height={Math.max(1, y(Math.min(bar.open, bar.close)) - bodyTop)}
+                className="candle-body"
+              />
+              <rect
+                x={x(bar) - slotWidth * 0.3}
+                y={PRICE_HEIGHT + VOLUME_HEIGHT - volumeHeight(bar)}
+                width={slotWidth * 0.6}
+                height={volumeHeight(bar)}
+                className="candle-volume"
+              />
+            </g>
+          );
+        })}
+        {bars.length > 1 && <polyline points={vwapPoints} className="vwap-line" />}
+      </svg>
+      <div className="price-chart-axis">
+        <span>{formatGameTime(firstTime)}</span>
+        <span>${low} – ${high}</span>
+        <span>{formatGameTime(last.time + interval)}</span>
+      </div>
+    </div>
+  );
+};
+
+export default PriceChart;
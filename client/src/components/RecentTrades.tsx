@@ -1,9 +1,17 @@
 import React from 'react';
 import { useSocket } from '../context/SocketContext';
+import { Trade } from '../types';
 import './RecentTrades.css';
 
-const RecentTrades: React.FC = () => {
-  const { recentTrades, playerState } = useSocket();
+interface RecentTradesProps {
+  // Override the live trade feed (e.g. for a replay)
+  trades?: Trade[];
+}
+
+const RecentTrades: React.FC<RecentTradesProps> = ({ trades }) => {
+  const { recentTrades: liveTrades, playerState } = useSocket();
+
+  const recentTrades = trades ?? liveTrades;
 
   const formatTime = (timestamp: string) => {
     const date = new Date(timestamp);
@@ -0,0 +1,181 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { useSocket } from '../context/SocketContext';
+import { ReplayState, ReplayTimeline } from '../types';
+import OrderBook from './OrderBook';
+import Leaderboard from './Leaderboard';
+import RecentTrades from './RecentTrades';
+import NewsTicker from './NewsTicker';
+import './Replay.css';
+
+interface ReplayProps {
+  gameId: string;
+  onClose: () => void;
+}
+
+// Playback advances this many game-seconds per tick
+const PLAYBACK_STEP = 1;
+const PLAYBACK_INTERVAL_MS = 500;
+
+const Replay: React.FC<ReplayProps> = ({ gameId, onClose }) => {
+  const { getReplayTimeline, getReplayState } = useSocket();
+  const [timeline, setTimeline] = useState<ReplayTimeline | null>(null);
+  const [replayState, setReplayState] = useState<ReplayState | null>(null);
+  const [time, setTime] = useState(0);
+  const [playing, setPlaying] = useState(false);
+  const [error, setError] = useState('');
+  const latestRequest = useRef(0);
+
+  // Load the timeline once
+  useEffect(() => {
+    getReplayTimeline(gameId).then((result: any) => {
+      if (result.success) {
+        setTimeline(result.timeline);
+      } else {
+        setError(result.error);
+      }
+    });
+  }, [gameId, getReplayTimeline]);
+
+  // Fetch the market state whenever the scrubber moves, ignoring stale replies
+  useEffect(() => {
+    if (!timeline) return;
+    const request = ++latestRequest.current;
+    getReplayState(gameId, time).then((result: any) => {
+      if (request !== latestRequest.current) return;
+      if (result.success) {
+        setReplayState(result.state);
+      } else {
+        setError(result.error);
+      }
+    });
+  }, [gameId, time, timeline, getReplayState]);
+
+  // Playback
+  useEffect(() => {
+    if (!playing || !timeline) return;
+    const interval = setInterval(() => {
+      setTime(t => {
+        const next = Math.min(timeline.duration, t + PLAYBACK_STEP);
+        if (next >= timeline.duration) setPlaying(false);
+        return next;
+      });
+    }, PLAYBACK_INTERVAL_MS);
+    return () => clearInterval(interval);
+  }, [playing, timeline]);
+
+  const formatTime = (seconds: number) => {
+    const whole = Math.floor(seconds);
+    const mins = Math.floor(whole / 60);
+    const secs = whole % 60;
+    return `${mins}:${secs.toString().padStart(2, '0')}`;
+  };
+
+  const togglePlaying = () => {
+    if (!timeline) return;
+    if (!playing && time >= timeline.duration) setTime(0);
+    setPlaying(p => !p);
+  };
+
+  const jumpToMoment = (direction: 1 | -1) => {
+    if (!timeline) return;
+    const times = timeline.moments.map(m => m.time);
+    const target = direction === 1
+      ? times.find(t => t > time + 0.001)
+      : [...times].reverse().find(t => t < time - 0.001);
+    if (target !== undefined) {
+      setPlaying(false);
+      setTime(target);
+    }
+  };
+
+  if (error) {
+    return (
+      <div className="replay">
+        <p className="error">{error}</p>
+        <button className="btn btn-primary" onClick={onClose}>Back</button>
+      </div>
+    );
+  }
+
+  if (!timeline) {
+    return (
+      <div className="replay">
+        <p className="replay-loading">Loading replay...</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="replay">
+      <header className="replay-header">
+        <h1>🎬 Replay · Game {timeline.joinCode}</h1>
+        <button className="btn btn-secondary" onClick={onClose}>Close Replay</button>
+      </header>
+
+      <div className="replay-controls">
+        <button className="replay-btn" onClick={() => jumpToMoment(-1)} title="Previous moment">⏮</button>
+        <button className="replay-btn" onClick={togglePlaying}>{playing ? '⏸' : '▶'}</button>
+        <button className="replay-btn" onClick={() => jumpToMoment(1)} title="Next moment">⏭</button>
+
+        <div className="scrubber">
+          <div className="scrubber-moments">
+            {timeline.duration > 0 && timeline.moments.map((m, i) => (
+              <span
+                key={i}
+                className={`scrubber-moment ${m.type}`}
+                style={{ left: `${(m.time / timeline.duration) * 100}%` }}
+                title={`${formatTime(m.time)} · ${m.type === 'news' ? m.headline : `${m.quantity} ${m.product} @ $${m.price}`}`}
+                onClick={() => {
+                  setPlaying(false);
+                  setTime(m.time);
+                }}
+              />
+            ))}
+          </div>
+          <input
+            type="range"
+            min={0}
+            max={timeline.duration}
+            step={0.1}
+            value={time}
+            onChange={(e) => {
+              setPlaying(false);
+              setTime(parseFloat(e.target.value));
+            }}
+          />
+        </div>
+
+        <span className="replay-time">
+          {formatTime(time)} / {formatTime(timeline.duration)}
+        </span>
+      </div>
+
+      <NewsTicker items={replayState?.news || []} />
+
+      <div className="replay-content">
+        <div className="order-books-grid">
+          {timeline.products.map(product => (
+            <OrderBook
+              key={product}
+              orderBook={replayState?.orderBooks[product] || {
+                product,
+                bids: [],
+                asks: [],
+                bestBid: null,
+                bestAsk: null,
+                spread: null
+              }}
+            />
+          ))}
+        </div>
+
+        <div className="sidebar">
+          <Leaderboard entries={replayState?.leaderboard || []} final={false} />
+          <RecentTrades trades={replayState?.recentTrades || []} />
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default Replay;
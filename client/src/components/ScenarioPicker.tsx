@@ -0,0 +1,49 @@
+import React from 'react';
+import { Scenario } from '../types';
+import './ScenarioPicker.css';
+
+interface ScenarioPickerProps {
+  scenarios: Scenario[];
+  selectedId: string | null;
+  onSelect: (scenarioId: string | null) => void;
+  disabled?: boolean;
+}
+
+// Lobby list of the server's scenarios; null is the standard config.json game
+const ScenarioPicker: React.FC<ScenarioPickerProps> = ({ scenarios, selectedId, onSelect, disabled }) => {
+  if (scenarios.length === 0) return null;
+
+  const selected = scenarios.find(s => s.scenarioId === selectedId);
+
+  return (
+    <div className="scenario-picker">
+      <h3>Scenario</h3>
+      <div className="scenario-options">
+        <button
+          type="button"
+          className={`scenario-btn ${selectedId === null ? 'active' : ''}`}
+          onClick={() => onSelect(null)}
+          disabled={disabled}
+        >
+          Standard
+        </button>
+        {scenarios.map(scenario => (
+          <button
+            key={scenario.scenarioId}
+            type="button"
+            className={`scenario-btn ${selectedId === scenario.scenarioId ? 'active' : ''}`}
+            onClick={() => onSelect(scenario.scenarioId)}
+            disabled={disabled}
+          >
+            {scenario.name}
+          </button>
+        ))}
+      </div>
+      <p className="scenario-description">
+        {selected ? selected.description : 'The server\'s default market.'}
+      </p>
+    </div>
+  );
+};
+
+export default ScenarioPicker;
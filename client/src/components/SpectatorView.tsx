@@ -0,0 +1,66 @@
+import React from 'react';
+import { useSocket } from '../context/SocketContext';
+import OrderBook from './OrderBook';
+import Leaderboard from './Leaderboard';
+import RecentTrades from './RecentTrades';
+import NewsTicker from './NewsTicker';
+import './SpectatorView.css';
+
+const formatTime = (seconds: number) => {
+  const mins = Math.floor(seconds / 60);
+  const secs = seconds % 60;
+  return `${mins}:${secs.toString().padStart(2, '0')}`;
+};
+
+// Read-only view of a game for anyone who has not taken a seat
+const SpectatorView: React.FC = () => {
+  const { config, gameState, orderBooks, remainingTime, stopWatching } = useSocket();
+
+  if (!gameState) return null;
+
+  return (
+    <div className="spectator-view">
+      <header className="spectator-header">
+        <div className="header-left">
+          <h1>🥪 Sandwich Exchange</h1>
+          <span className="spectator-badge">👀 Spectating {gameState.joinCode}</span>
+        </div>
+        <div className="spectator-timer">
+          {gameState.status === 'running' && formatTime(remainingTime)}
+          {gameState.paused && ' (paused)'}
+          {gameState.status === 'lobby' && 'Waiting for the host to start'}
+          {gameState.status === 'ended' && 'Game over'}
+        </div>
+        <button className="btn btn-secondary" onClick={stopWatching}>Leave</button>
+      </header>
+
+      <NewsTicker />
+
+      <div className="spectator-content">
+        <div className="order-books-grid">
+          {config?.products.map(product => (
+            <OrderBook
+              key={product}
+              halted={gameState.haltedProducts.includes(product)}
+              orderBook={orderBooks[product] || {
+                product,
+                bids: [],
+                asks: [],
+                bestBid: null,
+                bestAsk: null,
+                spread: null
+              }}
+            />
+          ))}
+        </div>
+
+        <div className="sidebar">
+          <Leaderboard />
+          <RecentTrades />
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SpectatorView;
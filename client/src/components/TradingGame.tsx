@@ -1,14 +1,17 @@
 import React, { useState } from 'react';
 import { useSocket } from '../context/SocketContext';
 import OrderBook from './OrderBook';
+import PriceChart from './PriceChart';
 import TradingPanel from './TradingPanel';
 import PlayerStatus from './PlayerStatus';
 import Leaderboard from './Leaderboard';
 import RecentTrades from './RecentTrades';
+import NewsTicker from './NewsTicker';
+import AdminPanel from './AdminPanel';
 import './TradingGame.css';
 
 const TradingGame: React.FC = () => {
-  const { config, orderBooks, remainingTime, playerState } = useSocket();
+  const { config, gameState, orderBooks, remainingTime, playerState, candles, candleInterval, setCandleInterval, notice, clearNotice } = useSocket();
   const [selectedProduct, setSelectedProduct] = useState(config?.products[0] || 'bread');
   const [selectedPrice, setSelectedPrice] = useState<number | null>(null);
   const [selectedSide, setSelectedSide] = useState<'buy' | 'sell' | null>(null);
@@ -40,7 +43,7 @@ const TradingGame: React.FC = () => {
           <span className="player-name">{playerState?.name}</span>
         </div>
         <div className="timer" style={{ color: getTimeColor() }}>
-          <span className="timer-label">Time Remaining</span>
+          <span className="timer-label">{gameState?.paused ? 'Paused by host' : 'Time Remaining'}</span>
           <span className="timer-value">{formatTime(remainingTime)}</span>
         </div>
         <div className="header-right">
@@ -57,25 +60,51 @@ const TradingGame: React.FC = () => {
         </div>
       </header>
 
+      {notice && (
+        <p className="game-notice" onClick={clearNotice} title="Dismiss">
+          {notice} ✕
+        </p>
+      )}
+
+      <NewsTicker />
+
       {/* Main Content */}
       <div className="game-content">
         {/* Order Books */}
         <div className="order-books-section">
-          <h2>Order Books</h2>
+          <div className="order-books-heading">
+            <h2>Order Books</h2>
+            <div className="candle-intervals">
+              {config?.candleIntervals.map(interval => (
+                <button
+                  key={interval}
+                  className={`interval-btn ${interval === candleInterval ? 'active' : ''}`}
+                  onClick={() => setCandleInterval(interval)}
+                >
+                  {interval}s
+                </button>
+              ))}
+            </div>
+          </div>
           <div className="order-books-grid">
             {config?.products.map(product => (
-              <OrderBook
-                key={product}
-                orderBook={orderBooks[product] || {
-                  product,
-                  bids: [],
-                  asks: [],
-                  bestBid: null,
-                  bestAsk: null,
-                  spread: null
-                }}
-                onSelectPrice={(price, side) => handleSelectPrice(product, price, side)}
-              />
+              <div key={product} className="product-market">
+                <OrderBook
+                  orderBook={orderBooks[product] || {
+                    product,
+                    bids: [],
+                    asks: [],
+                    bestBid: null,
+                    bestAsk: null,
+                    spread: null
+                  }}
+                  halted={gameState?.haltedProducts.includes(product)}
+                  onSelectPrice={(price, side) => handleSelectPrice(product, price, side)}
+                />
+                {candleInterval !== null && (
+                  <PriceChart product={product} candles={candles[product] || []} interval={candleInterval} />
+                )}
+              </div>
             ))}
           </div>
         </div>
@@ -95,6 +124,7 @@ const TradingGame: React.FC = () => {
 
         {/* Right Sidebar */}
         <div className="sidebar">
+          <AdminPanel />
           <PlayerStatus />
           <Leaderboard />
           <RecentTrades />
@@ -103,9 +133,10 @@ const TradingGame: React.FC = () => {
 
       {/* Game Rules Reminder */}
       <div className="rules-reminder">
-        <strong>Goal:</strong> Form complete sandwiches (1 of each: 🍞🥬🧀🥩) worth ${config?.setValue || 30}.
-        Leftover ingredients: bread=${config?.scrapValues.bread}, veggies=${config?.scrapValues.veggies},
-        cheese=${config?.scrapValues.cheese}, meat=${config?.scrapValues.meat}
+        <strong>Goal:</strong> Form complete sets: {config?.setRecipes.map(set => (
+          `${set.name} (${Object.entries(set.recipe).map(([p, n]) => `${n} ${p}`).join(' + ')}) = $${set.value}`
+        )).join(', ')}.
+        Leftover ingredients: {config?.products.map(p => `${p}=$${config.scrapValues[p]}`).join(', ')}
       </div>
     </div>
   );
@@ -1,7 +1,24 @@
 import React, { useState } from 'react';
 import { useSocket } from '../context/SocketContext';
+import { FillPolicy, OrderOptions, OrderType, TimeInForce } from '../types';
+import { checkPrice, formatBandPrice, getTickSize, snapPrice } from '../priceRules';
 import './TradingPanel.css';
 
+const ORDER_TYPE_OPTIONS: { value: OrderType; label: string; title: string }[] = [
+  { value: 'limit', label: 'Limit', title: 'Trade at your price or better' },
+  { value: 'market', label: 'Market', title: 'Trade now at the best available prices' },
+  { value: 'stop', label: 'Stop', title: 'Becomes a market order when the last trade reaches the stop price' },
+  { value: 'stop_limit', label: 'Stop-Limit', title: 'Becomes a limit order when the last trade reaches the stop price' }
+];
+
+const TIME_IN_FORCE_OPTIONS: { value: TimeInForce; label: string; title: string }[] = [
+  { value: 'gtc', label: 'GTC', title: 'Good till cancelled: rests until filled or cancelled' },
+  { value: 'ioc', label: 'IOC', title: 'Immediate or cancel: fill what crosses now, cancel the rest' },
+  { value: 'fok', label: 'FOK', title: 'Fill or kill: fill the whole quantity now or nothing' },
+  { value: 'post_only', label: 'Post', title: 'Post only: rejected if it would trade on arrival' },
+  { value: 'gtd', label: 'GTD', title: 'Good for a number of game seconds, then expires' }
+];
+
 interface TradingPanelProps {
   selectedProduct: string;
   selectedPrice: number | null;
@@ -15,12 +32,18 @@ const TradingPanel: React.FC<TradingPanelProps> = ({
   selectedSide,
   onClearSelection
 }) => {
-  const { config, playerState, placeOrder } = useSocket();
+  const { config, gameState, playerState, orderBooks, placeOrder } = useSocket();
   const [product, setProduct] = useState(selectedProduct);
   const [side, setSide] = useState<'buy' | 'sell'>(selectedSide || 'buy');
-  const [orderType, setOrderType] = useState<'limit' | 'market'>('limit');
+  const [orderType, setOrderType] = useState<OrderType>('limit');
+  const [stopPrice, setStopPrice] = useState('');
   const [quantity, setQuantity] = useState('1');
   const [price, setPrice] = useState(selectedPrice?.toString() || '');
+  const [fillPolicy, setFillPolicy] = useState<FillPolicy>('ioc');
+  const [maxSlippage, setMaxSlippage] = useState('');
+  const [priceCap, setPriceCap] = useState('');
+  const [timeInForce, setTimeInForce] = useState<TimeInForce>('gtc');
+  const [expireAfter, setExpireAfter] = useState('30');
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
   const [success, setSuccess] = useState('');
@@ -38,56 +61,143 @@ const TradingPanel: React.FC<TradingPanelProps> = ({
     setSuccess('');
     setLoading(true);
 
-    const qty = parseInt(quantity);
-    const prc = orderType === 'limit' ? parseFloat(price) : undefined;
+    const qty = Number(quantity);
+    const hasLimitPrice = orderType === 'limit' || orderType === 'stop_limit';
+    const prc = hasLimitPrice ? parseFloat(price) : undefined;
 
-    if (isNaN(qty) || qty <= 0) {
-      setError('Invalid quantity');
+    if (!Number.isInteger(qty) || qty <= 0) {
+      setError('Quantity must be a whole number');
       setLoading(false);
       return;
     }
 
-    if (orderType === 'limit' && (prc === undefined || isNaN(prc) || prc <= 0)) {
+    if (hasLimitPrice && (prc === undefined || isNaN(prc) || prc <= 0)) {
       setError('Invalid price for limit order');
       setLoading(false);
       return;
     }
 
-    const result: any = await placeOrder(product, side, orderType, qty, prc);
+    // Same tick and band rules the engine enforces
+    if (hasLimitPrice && config && prc !== undefined) {
+      const priceError = checkPrice(config, product, prc, orderBooks[product]?.priceBand);
+      if (priceError) {
+        setError(priceError);
+        setLoading(false);
+        return;
+      }
+    }
+
+    const options: OrderOptions = {};
+    if (orderType === 'stop' || orderType === 'stop_limit') {
+      const stop = parseFloat(stopPrice);
+      if (isNaN(stop) || stop <= 0) {
+        setError('Invalid stop price');
+        setLoading(false);
+        return;
+      }
+      if (config && snapPrice(config, product, stop) !== stop) {
+        setError(`Stop price must be on the tick grid; nearest is ${snapPrice(config, product, stop)}`);
+        setLoading(false);
+        return;
+      }
+      options.stopPrice = stop;
+    }
+    if (orderType === 'limit') {
+      options.timeInForce = timeInForce;
+      if (timeInForce === 'gtd') {
+        const seconds = parseInt(expireAfter);
+        if (isNaN(seconds) || seconds <= 0) {
+          setError('Invalid expiry for GTD order');
+          setLoading(false);
+          return;
+        }
+        options.expireAfter = seconds;
+      }
+    }
+    if (orderType === 'market') {
+      options.fillPolicy = fillPolicy;
+      if (fillPolicy === 'protected') {
+        const slippage = maxSlippage ? parseFloat(maxSlippage) : undefined;
+        const cap = priceCap ? parseFloat(priceCap) : undefined;
+        if (slippage === undefined && cap === undefined) {
+          setError('Set a max slippage or a price cap');
+          setLoading(false);
+          return;
+        }
+        options.maxSlippage = slippage;
+        options.priceCap = cap;
+      }
+    }
+
+    const result: any = await placeOrder(product, side, orderType, qty, prc, options);
     setLoading(false);
 
     if (!result.success) {
       setError(result.error);
     } else {
-      setSuccess(`Order placed! ${result.trades?.length || 0} trades executed`);
+      const tradeCount = result.trades?.length || 0;
+      if (result.order.status === 'pending') {
+        setSuccess(`Stop placed: triggers when ${product} trades at $${result.order.stopPrice}`);
+      } else if (orderType === 'market') {
+        const filled = result.order.quantity - result.order.remainingQuantity;
+        const policy = result.order.fillPolicy === 'protected'
+          ? `Protected @ $${result.order.protectionPrice ?? '-'}`
+          : 'IOC';
+        const unfilled = result.unfilledQuantity > 0 ? `, ${result.unfilledQuantity} unfilled (cancelled)` : '';
+        setSuccess(`${policy}: filled ${filled}/${result.order.quantity} in ${tradeCount} trades${unfilled}`);
+      } else if (result.unfilledQuantity > 0) {
+        const label = TIME_IN_FORCE_OPTIONS.find(o => o.value === result.order.timeInForce)?.label;
+        setSuccess(`${label}: ${tradeCount} trades executed, ${result.unfilledQuantity} unfilled (cancelled)`);
+      } else {
+        setSuccess(`Order placed! ${tradeCount} trades executed`);
+      }
       setQuantity('1');
-      setTimeout(() => setSuccess(''), 3000);
+      setTimeout(() => setSuccess(''), 5000);
     }
   };
 
+  // Snap a typed price onto the product's tick grid when the field loses focus
+  const snapInput = (value: string, setValue: (value: string) => void) => {
+    const parsed = parseFloat(value);
+    if (!config || isNaN(parsed) || parsed <= 0) return;
+    setValue(snapPrice(config, product, parsed).toString());
+  };
+
+  const priceStep = (value: string) => {
+    if (!config) return 1;
+    return getTickSize(config, product, parseFloat(value) || 0);
+  };
+
+  const band = orderBooks[product]?.priceBand;
+
   const estimatedCost = () => {
     if (!price || !quantity) return null;
-    const total = parseFloat(price) * parseInt(quantity);
+    const total = parseFloat(price) * Number(quantity);
     if (isNaN(total)) return null;
     return total;
   };
 
   const canAfford = () => {
     if (!playerState) return false;
-    const qty = parseInt(quantity);
-    if (isNaN(qty) || qty <= 0) return false;
+    const qty = Number(quantity);
+    if (!Number.isInteger(qty) || qty <= 0) return false;
     if (side === 'buy') {
-      if (orderType === 'market') {
-        // For market orders, just check player has some cash
-        return playerState.cash > 0;
+      if (orderType === 'market' || orderType === 'stop') {
+        // For market and stop orders, just check player has some cash
+        return playerState.availableCash > 0;
       }
       const cost = estimatedCost();
-      return cost !== null && playerState.cash >= cost;
+      return cost !== null && playerState.availableCash >= cost;
     } else {
-      return (playerState.inventory[product] || 0) >= qty;
+      return (playerState.availableInventory[product] || 0) >= qty;
     }
   };
 
+  // The host can pause the game or halt a product
+  const marketClosed = gameState?.paused
+    ? 'Trading is paused by the host'
+    : gameState?.haltedProducts.includes(product) ? `Trading in ${product} is halted` : null;
+
   return (
     <div className="trading-panel">
       <h3>Place Order</h3>
@@ -135,23 +245,97 @@ const TradingPanel: React.FC<TradingPanelProps> = ({
         <div className="form-group">
           <label>Order Type</label>
           <div className="type-buttons">
-            <button
-              type="button"
-              className={`type-btn ${orderType === 'limit' ? 'active' : ''}`}
-              onClick={() => setOrderType('limit')}
-            >
-              Limit
-            </button>
-            <button
-              type="button"
-              className={`type-btn ${orderType === 'market' ? 'active' : ''}`}
-              onClick={() => setOrderType('market')}
-            >
-              Market
-            </button>
+            {ORDER_TYPE_OPTIONS.map(option => (
+              <button
+                key={option.value}
+                type="button"
+                className={`type-btn ${orderType === option.value ? 'active' : ''}`}
+                onClick={() => setOrderType(option.value)}
+                title={option.title}
+              >
+                {option.label}
+              </button>
+            ))}
           </div>
         </div>
 
+        {/* Time in Force (for limit orders) */}
+        {orderType === 'limit' && (
+          <div className="form-group">
+            <label>Time in Force</label>
+            <div className="type-buttons">
+              {TIME_IN_FORCE_OPTIONS.map(option => (
+                <button
+                  key={option.value}
+                  type="button"
+                  className={`type-btn tif-btn ${timeInForce === option.value ? 'active' : ''}`}
+                  onClick={() => setTimeInForce(option.value)}
+                  title={option.title}
+                >
+                  {option.label}
+                </button>
+              ))}
+            </div>
+            {timeInForce === 'gtd' && (
+              <div className="protection-inputs">
+                <input
+                  type="number"
+                  value={expireAfter}
+                  onChange={(e) => setExpireAfter(e.target.value)}
+                  min="1"
+                  step="1"
+                  placeholder="Seconds"
+                />
+              </div>
+            )}
+          </div>
+        )}
+
+        {/* Fill Policy (for market orders) */}
+        {orderType === 'market' && (
+          <div className="form-group">
+            <label>Fill Policy</label>
+            <div className="type-buttons">
+              <button
+                type="button"
+                className={`type-btn ${fillPolicy === 'ioc' ? 'active' : ''}`}
+                onClick={() => setFillPolicy('ioc')}
+                title="Fill what the book offers now, cancel the rest"
+              >
+                IOC
+              </button>
+              <button
+                type="button"
+                className={`type-btn ${fillPolicy === 'protected' ? 'active' : ''}`}
+                onClick={() => setFillPolicy('protected')}
+                title="Like IOC, but never trade past a worst price"
+              >
+                Protected
+              </button>
+            </div>
+            {fillPolicy === 'protected' && (
+              <div className="protection-inputs">
+                <input
+                  type="number"
+                  value={maxSlippage}
+                  onChange={(e) => setMaxSlippage(e.target.value)}
+                  min="0"
+                  step="0.5"
+                  placeholder="Max slippage %"
+                />
+                <input
+                  type="number"
+                  value={priceCap}
+                  onChange={(e) => setPriceCap(e.target.value)}
+                  min="1"
+                  step="1"
+                  placeholder={side === 'buy' ? 'Max price' : 'Min price'}
+                />
+              </div>
+            )}
+          </div>
+        )}
+
         {/* Quantity */}
         <div className="form-group">
           <label>Quantity</label>
@@ -159,23 +343,45 @@ const TradingPanel: React.FC<TradingPanelProps> = ({
             type="number"
             value={quantity}
             onChange={(e) => setQuantity(e.target.value)}
-            min="1"
-            max="100"
+            min={config?.minOrderSize ?? 1}
+            max={config?.maxOrderSize}
           />
         </div>
 
-        {/* Price (for limit orders) */}
-        {orderType === 'limit' && (
+        {/* Stop Price (for stop orders) */}
+        {(orderType === 'stop' || orderType === 'stop_limit') && (
+          <div className="form-group">
+            <label>Stop Price</label>
+            <input
+              type="number"
+              value={stopPrice}
+              onChange={(e) => setStopPrice(e.target.value)}
+              onBlur={() => snapInput(stopPrice, setStopPrice)}
+              min="1"
+              step={priceStep(stopPrice)}
+              placeholder={side === 'buy' ? 'Trigger at or above' : 'Trigger at or below'}
+            />
+          </div>
+        )}
+
+        {/* Price (for limit and stop-limit orders) */}
+        {(orderType === 'limit' || orderType === 'stop_limit') && (
           <div className="form-group">
             <label>Price</label>
             <input
               type="number"
               value={price}
               onChange={(e) => setPrice(e.target.value)}
-              min="1"
-              step="1"
+              onBlur={() => snapInput(price, setPrice)}
+              min={band?.min ?? 1}
+              max={band?.max ?? undefined}
+              step={priceStep(price)}
               placeholder="Enter price"
             />
+            <div className="price-hint">
+              Tick ${priceStep(price)}
+              {band && ` · Allowed $${formatBandPrice(band.min)}–${band.max !== null ? `$${formatBandPrice(band.max)}` : '∞'}`}
+            </div>
           </div>
         )}
 
@@ -185,9 +391,9 @@ const TradingPanel: React.FC<TradingPanelProps> = ({
             <>
               <div className="summary-row">
                 <span>Available Cash:</span>
-                <span>${playerState?.cash || 0}</span>
+                <span>${playerState?.availableCash || 0}</span>
               </div>
-              {orderType === 'limit' && estimatedCost() !== null && (
+              {(orderType === 'limit' || orderType === 'stop_limit') && estimatedCost() !== null && (
                 <div className="summary-row">
                   <span>Est. Cost:</span>
                   <span className={canAfford() ? 'affordable' : 'not-affordable'}>
@@ -199,18 +405,19 @@ const TradingPanel: React.FC<TradingPanelProps> = ({
           ) : (
             <div className="summary-row">
               <span>Available {product}:</span>
-              <span>{playerState?.inventory[product] || 0}</span>
+              <span>{playerState?.availableInventory[product] || 0}</span>
             </div>
           )}
         </div>
 
+        {marketClosed && <p className="error">{marketClosed}</p>}
         {error && <p className="error">{error}</p>}
         {success && <p className="success">{success}</p>}
 
         <button
           type="submit"
           className={`submit-btn ${side}`}
-          disabled={loading || !canAfford()}
+          disabled={loading || !canAfford() || !!marketClosed}
         >
           {loading ? 'Placing...' : `${side.toUpperCase()} ${quantity} ${product.toUpperCase()}`}
         </button>
@@ -1,30 +1,61 @@
-import React, { createContext, useContext, useEffect, useState, useCallback, ReactNode } from 'react';
+import React, { createContext, useContext, useEffect, useRef, useState, useCallback, ReactNode } from 'react';
 import { io, Socket } from 'socket.io-client';
-import { GameConfig, GameState, PlayerState, OrderBookDepth, LeaderboardEntry, Trade, PnLBreakdown } from '../types';
+import { GameConfig, GameState, GameSummary, PlayerState, OrderBookDepth, OrderBookDelta, LeaderboardEntry, Trade, PnLBreakdown, OrderOptions, OrderType, HouseBotType, GameSettings, Scenario, NewsItem, ViewRole, FacilitatorState, PnlSample, Candle, CandleUpdate } from '../types';
+import { applyOrderBookDelta, classifyDelta } from '../orderBookDeltas';
 
 interface SocketContextType {
   socket: Socket | null;
   connected: boolean;
   config: GameConfig | null;
+  games: GameSummary[];
+  scenarios: Scenario[];
   gameState: GameState | null;
   playerState: PlayerState | null;
   orderBooks: Record<string, OrderBookDepth>;
   leaderboard: LeaderboardEntry[];
   recentTrades: Trade[];
+  news: NewsItem[];
+  pnlHistory: PnlSample[]; // Our P&L over the game so far
+  candles: Record<string, Candle[]>; // Price bars per product, oldest first
+  candleInterval: number | null; // Bar length in seconds
   remainingTime: number;
   finalScore: PnLBreakdown | null;
+  viewRole: ViewRole | null; // Watching the selected game without a seat
+  facilitatorState: FacilitatorState | null;
+  notice: string | null; // e.g. after being removed from a game, or when inventories are re-dealt at the start
 
   // Actions
-  createGame: () => Promise<any>;
+  createGame: (settings?: GameSettings, scenarioId?: string | null) => Promise<any>;
+  selectGame: (game: { gameId?: string; joinCode?: string }) => Promise<any>;
+  deselectGame: () => Promise<any>;
   joinGame: (name: string) => Promise<any>;
+  watchGame: () => Promise<any>;
+  facilitateGame: (joinCode: string, passcode: string) => Promise<any>;
+  stopWatching: () => Promise<any>;
   startGame: () => Promise<any>;
-  placeOrder: (product: string, side: 'buy' | 'sell', orderType: 'limit' | 'market', quantity: number, price?: number) => Promise<any>;
+  addHouseBot: (type: HouseBotType, options: Record<string, number>) => Promise<any>;
+  removeHouseBot: (playerId: string) => Promise<any>;
+  setPaused: (paused: boolean) => Promise<any>;
+  addTime: (seconds: number) => Promise<any>;
+  setTradingHalted: (product: string, halted: boolean) => Promise<any>;
+  kickPlayer: (playerId: string) => Promise<any>;
+  endGame: () => Promise<any>;
+  clearNotice: () => void;
+  setCandleInterval: (interval: number) => void;
+  placeOrder: (product: string, side: 'buy' | 'sell', orderType: OrderType, quantity: number, price?: number, options?: OrderOptions) => Promise<any>;
+  amendOrder: (orderId: string, changes: { quantity?: number; price?: number }) => Promise<any>;
   cancelOrder: (orderId: string) => Promise<any>;
   resetGame: () => Promise<any>;
+  getReplayTimeline: (gameId: string) => Promise<any>;
+  getReplayState: (gameId: string, time: number) => Promise<any>;
+  getGameAnalytics: (gameId: string) => Promise<any>;
 }
 
 const SocketContext = createContext<SocketContextType | null>(null);
 
+// localStorage key for the token that lets us reclaim our seat after a drop
+const SESSION_TOKEN_KEY = 'sandwichExchange.sessionToken';
+
 export const useSocket = () => {
   const context = useContext(SocketContext);
   if (!context) {
@@ -41,22 +72,63 @@ export const SocketProvider: React.FC<SocketProviderProps> = ({ children }) => {
   const [socket, setSocket] = useState<Socket | null>(null);
   const [connected, setConnected] = useState(false);
   const [config, setConfig] = useState<GameConfig | null>(null);
+  const [games, setGames] = useState<GameSummary[]>([]);
+  const [scenarios, setScenarios] = useState<Scenario[]>([]);
   const [gameState, setGameState] = useState<GameState | null>(null);
   const [playerState, setPlayerState] = useState<PlayerState | null>(null);
   const [orderBooks, setOrderBooks] = useState<Record<string, OrderBookDepth>>({});
+  // Latest books outside React state, so deltas apply to what we last stored
+  const orderBooksRef = useRef<Record<string, OrderBookDepth>>({});
   const [leaderboard, setLeaderboard] = useState<LeaderboardEntry[]>([]);
   const [recentTrades, setRecentTrades] = useState<Trade[]>([]);
+  const [news, setNews] = useState<NewsItem[]>([]);
+  const [pnlHistory, setPnlHistory] = useState<PnlSample[]>([]);
+  const [candles, setCandles] = useState<Record<string, Candle[]>>({});
+  const [candleInterval, setCandleInterval] = useState<number | null>(null);
+  // Bar length we are subscribed to, so updates for an old one are dropped
+  const candleIntervalRef = useRef<number | null>(null);
   const [remainingTime, setRemainingTime] = useState(0);
   const [finalScore, setFinalScore] = useState<PnLBreakdown | null>(null);
+  const [viewRole, setViewRole] = useState<ViewRole | null>(null);
+  const [facilitatorState, setFacilitatorState] = useState<FacilitatorState | null>(null);
+  const [notice, setNotice] = useState<string | null>(null);
 
   useEffect(() => {
     // Connect to server - use current host for LAN play
     const serverUrl = process.env.REACT_APP_SERVER_URL || `http://${window.location.hostname}:3001`;
     const newSocket = io(serverUrl);
 
+    const storeOrderBooks = (books: Record<string, OrderBookDepth>) => {
+      orderBooksRef.current = books;
+      setOrderBooks(books);
+    };
+
+    // Products with a snapshot request in flight after a missed delta
+    const resyncing = new Set<string>();
+    const resyncOrderBook = (product: string) => {
+      if (resyncing.has(product)) return;
+      resyncing.add(product);
+      newSocket.emit('getOrderBookSnapshot', { product }, (result: any) => {
+        resyncing.delete(product);
+        if (result.success) {
+          storeOrderBooks({ ...orderBooksRef.current, [product]: result.orderBook });
+        }
+      });
+    };
+
     newSocket.on('connect', () => {
       console.log('Connected to server');
       setConnected(true);
+
+      // Replay our session token so a refresh or dropped socket keeps our seat
+      const sessionToken = localStorage.getItem(SESSION_TOKEN_KEY);
+      if (sessionToken) {
+        newSocket.emit('rejoinGame', { sessionToken }, (result: any) => {
+          if (!result.success) {
+            localStorage.removeItem(SESSION_TOKEN_KEY);
+          }
+        });
+      }
     });
 
     newSocket.on('disconnect', () => {
@@ -68,6 +140,14 @@ export const SocketProvider: React.FC<SocketProviderProps> = ({ children }) => {
       setConfig(data);
     });
 
+    newSocket.on('gameList', (data: GameSummary[]) => {
+      setGames(data);
+    });
+
+    newSocket.on('scenarios', (data: Scenario[]) => {
+      setScenarios(data);
+    });
+
     newSocket.on('gameState', (data: GameState | null) => {
       setGameState(data);
       if (data?.remainingTime) {
@@ -75,12 +155,18 @@ export const SocketProvider: React.FC<SocketProviderProps> = ({ children }) => {
       }
       // If game state is null (reset), clear player state
       if (!data) {
+        localStorage.removeItem(SESSION_TOKEN_KEY);
         setPlayerState(null);
-        setOrderBooks({});
+        storeOrderBooks({});
         setLeaderboard([]);
         setRecentTrades([]);
+        setNews([]);
+        setPnlHistory([]);
+        setCandles({});
         setFinalScore(null);
         setRemainingTime(0);
+        setViewRole(null);
+        setFacilitatorState(null);
       }
     });
 
@@ -88,8 +174,23 @@ export const SocketProvider: React.FC<SocketProviderProps> = ({ children }) => {
       setPlayerState(data);
     });
 
+    // Full snapshots: on entering a game, at game start and on reset
     newSocket.on('orderBooks', (data: Record<string, OrderBookDepth>) => {
-      setOrderBooks(data);
+      storeOrderBooks(data);
+    });
+
+    // Changed levels since the last update; a skipped sequence means we missed one
+    newSocket.on('orderBookDeltas', (deltas: OrderBookDelta[]) => {
+      const books = { ...orderBooksRef.current };
+      for (const delta of deltas) {
+        const status = classifyDelta(books[delta.product], delta);
+        if (status === 'apply') {
+          books[delta.product] = applyOrderBookDelta(books[delta.product], delta);
+        } else if (status === 'gap') {
+          resyncOrderBook(delta.product);
+        }
+      }
+      storeOrderBooks(books);
     });
 
     newSocket.on('leaderboard', (data: LeaderboardEntry[]) => {
@@ -104,11 +205,53 @@ export const SocketProvider: React.FC<SocketProviderProps> = ({ children }) => {
       setRecentTrades(prev => [...data, ...prev].slice(0, 50));
     });
 
-    newSocket.on('gameStarted', (data: { gameState: GameState; orderBooks: Record<string, OrderBookDepth> }) => {
+    // The game's full news list, sent on entering a game and when events fire
+    newSocket.on('news', (data: NewsItem[]) => {
+      setNews(data);
+    });
+
+    // Bars changed by new trades: replace the bar with the same time or add it
+    newSocket.on('candles', (data: CandleUpdate) => {
+      if (data.interval !== candleIntervalRef.current) return;
+      setCandles(prev => {
+        const next = { ...prev };
+        for (const { product, bar } of data.updates) {
+          next[product] = [...(next[product] || []).filter(b => b.time !== bar.time), bar]
+            .sort((a, b) => a.time - b.time);
+        }
+        return next;
+      });
+    });
+
+    // Our P&L samples: the full series on entering a game, then one at a time
+    newSocket.on('pnlHistory', (data: PnlSample[]) => {
+      setPnlHistory(data);
+    });
+
+    newSocket.on('pnlSample', (sample: PnlSample) => {
+      setPnlHistory(prev => [...prev.filter(s => s.time !== sample.time), sample]);
+      // Marks move without our trading, so keep the displayed valuation current
+      setPlayerState(prev => prev?.valuation
+        ? {
+          ...prev,
+          valuation: {
+            ...prev.valuation,
+            value: sample.value,
+            holdingsValue: sample.value - prev.cash,
+            pnl: sample.pnl,
+            realizedPnl: sample.realizedPnl,
+            unrealizedPnl: sample.unrealizedPnl
+          }
+        }
+        : prev);
+    });
+
+    newSocket.on('gameStarted', (data: { gameState: GameState; orderBooks: Record<string, OrderBookDepth>; notice: string | null }) => {
       setGameState(data.gameState);
-      setOrderBooks(data.orderBooks);
+      storeOrderBooks(data.orderBooks);
       setFinalScore(null);
       setRecentTrades([]);
+      setNotice(data.notice);
     });
 
     newSocket.on('gameEnded', (data: { leaderboard: LeaderboardEntry[]; gameState: GameState }) => {
@@ -116,6 +259,14 @@ export const SocketProvider: React.FC<SocketProviderProps> = ({ children }) => {
       setLeaderboard(data.leaderboard);
     });
 
+    newSocket.on('facilitatorState', (data: FacilitatorState) => {
+      setFacilitatorState(data);
+    });
+
+    newSocket.on('kicked', (data: { joinCode: string }) => {
+      setNotice(`The host removed you from game ${data.joinCode}`);
+    });
+
     newSocket.on('finalScore', (data: PnLBreakdown) => {
       setFinalScore(data);
     });
@@ -127,15 +278,85 @@ export const SocketProvider: React.FC<SocketProviderProps> = ({ children }) => {
     };
   }, []);
 
-  const createGame = useCallback(() => {
+  // Follow the current game's price bars; resubscribe when the game, its
+  // status, the bar length or the connection changes
+  const gameId = gameState?.gameId;
+  const gameStatus = gameState?.status;
+  const interval = candleInterval ?? config?.candleIntervals?.[0] ?? null;
+  useEffect(() => {
+    if (!socket || !connected || !gameId || interval === null) return;
+    candleIntervalRef.current = interval;
+    socket.emit('subscribeCandles', { interval }, (result: any) => {
+      if (result.success && result.interval === candleIntervalRef.current) {
+        setCandles(result.candles);
+      }
+    });
+  }, [socket, connected, gameId, gameStatus, interval]);
+
+  const createGame = useCallback((settings: GameSettings = {}, scenarioId: string | null = null) => {
+    return new Promise((resolve) => {
+      socket?.emit('createGame', { settings, scenarioId }, resolve);
+    });
+  }, [socket]);
+
+  const selectGame = useCallback((game: { gameId?: string; joinCode?: string }) => {
+    return new Promise((resolve) => {
+      socket?.emit('selectGame', game, resolve);
+    });
+  }, [socket]);
+
+  const deselectGame = useCallback(() => {
     return new Promise((resolve) => {
-      socket?.emit('createGame', resolve);
+      socket?.emit('deselectGame', resolve);
     });
   }, [socket]);
 
   const joinGame = useCallback((name: string) => {
     return new Promise((resolve) => {
-      socket?.emit('joinGame', { playerName: name }, resolve);
+      socket?.emit('joinGame', { playerName: name }, (result: any) => {
+        if (result.success) {
+          localStorage.setItem(SESSION_TOKEN_KEY, result.sessionToken);
+        }
+        resolve(result);
+      });
+    });
+  }, [socket]);
+
+  // Trades from before we started watching
+  const loadRecentTrades = useCallback(() => {
+    socket?.emit('getRecentTrades', {}, (trades: Trade[]) => {
+      setRecentTrades(trades);
+    });
+  }, [socket]);
+
+  // Watch the selected game read-only, without taking a seat
+  const watchGame = useCallback(() => {
+    setViewRole('spectator');
+    loadRecentTrades();
+    return Promise.resolve({ success: true });
+  }, [loadRecentTrades]);
+
+  const facilitateGame = useCallback((joinCode: string, passcode: string) => {
+    return new Promise((resolve) => {
+      socket?.emit('facilitateGame', { joinCode, passcode }, (result: any) => {
+        if (result.success) {
+          setViewRole('facilitator');
+          loadRecentTrades();
+        }
+        resolve(result);
+      });
+    });
+  }, [socket, loadRecentTrades]);
+
+  // Back to the game picker from a spectator or facilitator view
+  const stopWatching = useCallback(() => {
+    return new Promise((resolve) => {
+      socket?.emit('deselectGame', (result: any) => {
+        setViewRole(null);
+        setFacilitatorState(null);
+        setRecentTrades([]);
+        resolve(result);
+      });
     });
   }, [socket]);
 
@@ -145,15 +366,66 @@ export const SocketProvider: React.FC<SocketProviderProps> = ({ children }) => {
     });
   }, [socket]);
 
+  const addHouseBot = useCallback((type: HouseBotType, options: Record<string, number>) => {
+    return new Promise((resolve) => {
+      socket?.emit('addHouseBot', { type, options }, resolve);
+    });
+  }, [socket]);
+
+  const removeHouseBot = useCallback((playerId: string) => {
+    return new Promise((resolve) => {
+      socket?.emit('removeHouseBot', { playerId }, resolve);
+    });
+  }, [socket]);
+
+  const setPaused = useCallback((paused: boolean) => {
+    return new Promise((resolve) => {
+      socket?.emit('setPaused', { paused }, resolve);
+    });
+  }, [socket]);
+
+  const addTime = useCallback((seconds: number) => {
+    return new Promise((resolve) => {
+      socket?.emit('addTime', { seconds }, resolve);
+    });
+  }, [socket]);
+
+  const setTradingHalted = useCallback((product: string, halted: boolean) => {
+    return new Promise((resolve) => {
+      socket?.emit('setTradingHalted', { product, halted }, resolve);
+    });
+  }, [socket]);
+
+  const kickPlayer = useCallback((playerId: string) => {
+    return new Promise((resolve) => {
+      socket?.emit('kickPlayer', { playerId }, resolve);
+    });
+  }, [socket]);
+
+  const endGame = useCallback(() => {
+    return new Promise((resolve) => {
+      socket?.emit('endGame', resolve);
+    });
+  }, [socket]);
+
+  const clearNotice = useCallback(() => setNotice(null), []);
+
   const placeOrder = useCallback((
     product: string,
     side: 'buy' | 'sell',
-    orderType: 'limit' | 'market',
+    orderType: OrderType,
     quantity: number,
-    price?: number
+    price?: number,
+    options: OrderOptions = {}
   ) => {
     return new Promise((resolve) => {
-      socket?.emit('placeOrder', { product, side, orderType, quantity, price }, resolve);
+      socket?.emit('placeOrder', { product, side, orderType, quantity, price, ...options }, resolve);
+    });
+  }, [socket]);
+
+  const amendOrder = useCallback((orderId: string, changes: { quantity?: number; price?: number }) => {
+    return new Promise((resolve) => {
+      socket?.emit('amendOrder', { orderId, ...changes }, resolve);
     });
   }, [socket]);
 
@@ -169,23 +441,68 @@ export const SocketProvider: React.FC<SocketProviderProps> = ({ children }) => {
     });
   }, [socket]);
 
+  const getReplayTimeline = useCallback((gameId: string) => {
+    return new Promise((resolve) => {
+      socket?.emit('getReplayTimeline', { gameId }, resolve);
+    });
+  }, [socket]);
+
+  const getReplayState = useCallback((gameId: string, time: number) => {
+    return new Promise((resolve) => {
+      socket?.emit('getReplayState', { gameId, time }, resolve);
+    });
+  }, [socket]);
+
+  const getGameAnalytics = useCallback((gameId: string) => {
+    return new Promise((resolve) => {
+      socket?.emit('getGameAnalytics', { gameId }, resolve);
+    });
+  }, [socket]);
+
   const value: SocketContextType = {
     socket,
     connected,
     config,
+    games,
+    scenarios,
     gameState,
     playerState,
     orderBooks,
     leaderboard,
     recentTrades,
+    news,
+    pnlHistory,
+    candles,
+    candleInterval: interval,
     remainingTime,
     finalScore,
+    viewRole,
+    facilitatorState,
+    notice,
     createGame,
+    selectGame,
+    deselectGame,
     joinGame,
+    watchGame,
+    facilitateGame,
+    stopWatching,
     startGame,
+    addHouseBot,
+    removeHouseBot,
+    setPaused,
+    addTime,
+    setTradingHalted,
+    kickPlayer,
+    endGame,
+    clearNotice,
+    setCandleInterval,
     placeOrder,
+    amendOrder,
     cancelOrder,
     resetGame,
+    getReplayTimeline,
+    getReplayState,
+    getGameAnalytics,
   };
 
   return (
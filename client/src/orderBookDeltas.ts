@@ -0,0 +1,37 @@
+import { OrderBookDelta, OrderBookDepth, PriceLevel } from './types';
+
+/**
+ * Apply level-2 deltas from the server (see OrderBook.takeDelta in
+ * server/models) to a locally held order book snapshot.
+ */
+
+// Replace or remove each changed level, keeping the side sorted best-first
+const mergeLevels = (levels: PriceLevel[], changes: PriceLevel[], side: 'buy' | 'sell'): PriceLevel[] => {
+  if (changes.length === 0) return levels;
+
+  const changedPrices = new Set(changes.map(level => level.price));
+  const merged = levels
+    .filter(level => !changedPrices.has(level.price))
+    .concat(changes.filter(level => level.quantity > 0));
+
+  return merged.sort((a, b) => (side === 'buy' ? b.price - a.price : a.price - b.price));
+};
+
+export const applyOrderBookDelta = (book: OrderBookDepth, delta: OrderBookDelta): OrderBookDepth => ({
+  ...book,
+  bids: mergeLevels(book.bids, delta.bids, 'buy'),
+  asks: mergeLevels(book.asks, delta.asks, 'sell'),
+  bestBid: delta.bestBid,
+  bestAsk: delta.bestAsk,
+  spread: delta.spread,
+  lastPrice: delta.lastPrice,
+  priceBand: delta.priceBand,
+  sequence: delta.sequence
+});
+
+// How a delta relates to the book it arrives for
+export const classifyDelta = (book: OrderBookDepth | undefined, delta: OrderBookDelta): 'apply' | 'stale' | 'gap' => {
+  if (!book || book.sequence === undefined) return 'gap';
+  if (delta.sequence <= book.sequence) return 'stale';
+  return delta.sequence === book.sequence + 1 ? 'apply' : 'gap';
+};
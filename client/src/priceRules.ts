@@ -0,0 +1,61 @@
+import { GameConfig, PriceBand } from './types';
+
+/**
+ * Client copy of the server's PriceRules (server/engine/priceRules.js),
+ * so the trading form can snap and reject prices before submitting.
+ */
+
+const EPSILON = 1e-9;
+
+export const getTickSize = (config: GameConfig, product: string, price: number): number => {
+  const table = config.tickTables?.[product];
+  if (!table || table.length === 0) return config.tickSize || 1;
+
+  let tick = table[0].tickSize;
+  for (const step of table) {
+    if (price + EPSILON >= step.from) tick = step.tickSize;
+  }
+  return tick;
+};
+
+// Nearest price on the product's tick grid
+export const snapPrice = (config: GameConfig, product: string, price: number): number => {
+  const tick = getTickSize(config, product, price);
+  return parseFloat((Math.round(price / tick) * tick).toFixed(8));
+};
+
+// Returns an error message, or null if the server would accept the price
+export const checkPrice = (
+  config: GameConfig,
+  product: string,
+  price: number,
+  band?: PriceBand
+): string | null => {
+  if (!Number.isFinite(price) || price <= 0) {
+    return 'Price must be a positive number';
+  }
+
+  const tick = getTickSize(config, product, price);
+  const steps = price / tick;
+  if (Math.abs(steps - Math.round(steps)) >= EPSILON) {
+    return `Price must be a multiple of ${tick}; nearest is ${snapPrice(config, product, price)}`;
+  }
+
+  const bands = config.priceBands;
+  if (bands && price < bands.minPrice - EPSILON) {
+    return `Price must be at least ${bands.minPrice}`;
+  }
+  if (bands && bands.maxPrice !== null && price > bands.maxPrice + EPSILON) {
+    return `Price must be at most ${bands.maxPrice}`;
+  }
+
+  if (band && (price < band.min - EPSILON || (band.max !== null && price > band.max + EPSILON))) {
+    return `Price is outside the allowed band ($${formatBandPrice(band.min)}-$${band.max !== null ? formatBandPrice(band.max) : '∞'})`;
+  }
+
+  return null;
+};
+
+export const formatBandPrice = (price: number): string => {
+  return Number.isInteger(price) ? price.toString() : price.toFixed(2);
+};
@@ -2,32 +2,170 @@
 
 export interface GameConfig {
   gameDuration: number;
+  startingCash: number;
+  products: string[];
+  scrapValues: Record<string, number>;
+  setValue: number; // Primary recipe's value
+  setRecipe: Record<string, number>; // Primary recipe
+  setRecipes: SetRecipe[];
+  scenario: { scenarioId: string; name: string } | null;
+  maxPlayers: number;
+  minOrderSize: number;
+  maxOrderSize: number;
+  showOrderNames: boolean;
+  valuationMethod: ValuationMethod; // How the live standings value holdings
+  candleIntervals: number[]; // Price bar lengths in seconds
+  tickSize: number;
+  tickTables: Record<string, TickStep[]>;
+  priceBands: PriceBands | null;
+  scheduledEventCount: number; // News events scheduled during the game
+  inventoryAllocation: InventoryAllocation;
+  houseBots?: HouseBotConfig;
+}
+
+export type AllocationStrategy = 'random' | 'balanced' | 'scarcity';
+
+export type ValuationMethod = 'scrap' | 'projected' | 'mid' | 'last';
+
+// A player's value and P&L under the game's valuation method. P&L is measured
+// from starting cash plus starting inventory at scrap value.
+export interface Valuation {
+  method: ValuationMethod;
+  value: number;
+  holdingsValue: number;
+  pnl: number;
+  realizedPnl: number; // Sales against average cost
+  unrealizedPnl: number; // Holdings against average cost
+}
+
+// One point on a player's P&L chart, stamped with seconds of game time
+export interface PnlSample {
+  time: number;
+  value: number;
+  pnl: number;
+  realizedPnl: number;
+  unrealizedPnl: number;
+}
+
+// How starting inventories are dealt; the seed is only sent once the game has ended
+export interface InventoryAllocation {
+  strategy: AllocationStrategy;
+  minPerProduct: number;
+  scarcity: { product: string; totalSupply: number } | null;
+  seed: number | null;
+}
+
+// A set players can form, worth `value` at game end
+export interface SetRecipe {
+  name: string;
+  value: number;
+  recipe: Record<string, number>;
+}
+
+// Named market structure from the server's scenario library
+export interface Scenario {
+  scenarioId: string;
+  name: string;
+  description: string;
+  gameDuration: number;
+  startingCash: number;
   products: string[];
   scrapValues: Record<string, number>;
   setValue: number;
   setRecipe: Record<string, number>;
+  setRecipes: SetRecipe[];
+  minOrderSize: number;
+  maxOrderSize: number;
+  scheduledEventCount: number;
+  inventoryAllocation: InventoryAllocation;
+}
+
+// Rules the host can override when creating a game; omitted keys keep the server default
+export interface GameSettings {
+  gameDuration?: number;
+  startingCash?: number;
+  setValue?: number;
+  minOrderSize?: number;
+  maxOrderSize?: number;
+  scrapValues?: Record<string, number>;
+  setRecipe?: Record<string, number>;
+  showOrderNames?: boolean;
+  startingInventoryStrategy?: AllocationStrategy;
+  valuationMethod?: ValuationMethod;
+  startingInventoryMinPerProduct?: number;
+  startingInventoryScarcity?: { product: string; totalSupply: number };
+  inventorySeed?: number; // Re-deals an earlier game's starting inventories
+}
+
+export type HouseBotType = 'marketMaker' | 'noiseTrader' | 'arbitrageur';
+
+// Built-in bots the host can seat, with each strategy's default options
+export interface HouseBotConfig {
+  maxPerGame: number;
+  labels: Record<HouseBotType, string>;
+  options: Record<HouseBotType, Record<string, number>>;
+}
+
+// Tick table step: prices at or above `from` use `tickSize`
+export interface TickStep {
+  from: number;
+  tickSize: number;
+}
+
+export interface PriceBands {
+  minPrice: number;
+  maxPrice: number | null;
+  bandPercent: number | null;
+}
+
+// Current allowed price range for a product (null max = unbounded)
+export interface PriceBand {
+  min: number;
+  max: number | null;
+  reference: number | null;
+}
+
+export interface GameSummary {
+  gameId: string;
+  joinCode: string;
+  status: 'lobby' | 'running' | 'ended';
+  playerCount: number;
   maxPlayers: number;
+  createdAt: string;
 }
 
 export interface GameState {
   gameId: string;
+  joinCode: string;
   status: 'lobby' | 'running' | 'ended';
   hostPlayerId: string;
   remainingTime: number;
+  paused: boolean; // Clock stopped by the host; no new orders
+  haltedProducts: string[]; // Products the host halted
   playerCount: number;
   maxPlayers: number;
-  players: { playerId: string; name: string }[];
+  players: { playerId: string; name: string; connected: boolean; isBot: boolean; houseBot: HouseBotType | null }[];
 }
 
 export interface PlayerState {
   playerId: string;
+  gameId: string;
   name: string;
   cash: number;
+  availableCash: number;
+  reservedCash: number;
   inventory: Record<string, number>;
+  availableInventory: Record<string, number>;
+  reservedInventory: Record<string, number>;
   inventoryValue: number;
   completeSets: number;
+  sets: Record<string, number>; // Recipe name -> sets formed
+  setsValue: number;
+  estimatedValue: number; // Score if the game ended now
+  valuation: Valuation | null;
   openOrders: Order[];
   tradeCount: number;
+  facilitatorPasscode?: string; // Host only: opens the facilitator dashboard
 }
 
 export interface Order {
@@ -36,14 +174,41 @@ export interface Order {
   playerName?: string;
   product: string;
   side: 'buy' | 'sell';
-  orderType: 'limit' | 'market';
+  orderType: OrderType;
   quantity: number;
   remainingQuantity: number;
   price: number | null;
-  status: 'open' | 'partial' | 'filled' | 'cancelled';
+  fillPolicy: FillPolicy | null;
+  maxSlippage: number | null;
+  priceCap: number | null;
+  protectionPrice: number | null;
+  timeInForce: TimeInForce;
+  expiresAt: number | null; // GTD: game-clock second the order expires at
+  stopPrice: number | null;
+  triggeredAt: string | null;
+  // 'pending': stop not yet triggered; 'triggered': stop resting after it triggered
+  status: 'pending' | 'triggered' | 'open' | 'partial' | 'filled' | 'cancelled';
   createdAt: string;
 }
 
+// Stops wait for the last trade price to reach stopPrice, then become market / limit orders
+export type OrderType = 'limit' | 'market' | 'stop' | 'stop_limit';
+
+// Market orders: 'ioc' fills what it can now, 'protected' also stops at a worst price
+export type FillPolicy = 'ioc' | 'protected';
+
+// Limit orders: how long the unfilled part stays on the book
+export type TimeInForce = 'gtc' | 'ioc' | 'fok' | 'post_only' | 'gtd';
+
+export interface OrderOptions {
+  fillPolicy?: FillPolicy;
+  maxSlippage?: number;
+  priceCap?: number;
+  timeInForce?: TimeInForce;
+  expireAfter?: number;
+  stopPrice?: number;
+}
+
 export interface Trade {
   tradeId: string;
   gameId: string;
@@ -56,6 +221,26 @@ export interface Trade {
   price: number;
   value: number;
   executedAt: string;
+  gameTime: number | null; // Game-clock seconds (the clock stops while paused)
+}
+
+// One OHLCV price bar; `time` is where its interval starts on the game clock
+export interface Candle {
+  time: number;
+  open: number;
+  high: number;
+  low: number;
+  close: number;
+  volume: number; // Units traded
+  value: number; // Cash traded
+  trades: number;
+  vwap: number;
+}
+
+// Pushed to candle subscribers when trades change bars of their interval
+export interface CandleUpdate {
+  interval: number;
+  updates: { product: string; bar: Candle }[];
 }
 
 export interface PriceLevel {
@@ -71,11 +256,28 @@ export interface OrderBookDepth {
   bestBid: number | null;
   bestAsk: number | null;
   spread: number | null;
+  lastPrice?: number | null;
+  priceBand?: PriceBand;
+  sequence?: number; // Last delta this snapshot includes
+}
+
+// Changed price levels for one book; a level with quantity 0 was removed
+export interface OrderBookDelta {
+  product: string;
+  sequence: number;
+  bids: PriceLevel[];
+  asks: PriceLevel[];
+  bestBid: number | null;
+  bestAsk: number | null;
+  spread: number | null;
+  lastPrice: number | null;
+  priceBand: PriceBand;
 }
 
 export interface LeaderboardEntry {
   playerId: string;
   name: string;
+  isBot?: boolean;
   estimatedValue?: number;
   completeSets?: number;
   totalScore?: number;
@@ -89,8 +291,158 @@ export interface LeaderboardEntry {
 export interface PnLBreakdown {
   cash: number;
   completeSets: number;
+  sets?: Record<string, number>; // Recipe name -> sets formed
   setsValue: number;
   scrapValue: number;
   totalScore: number;
   pnl: number;
 }
+
+export type NewsEventType = 'announcement' | 'scrapValue' | 'setValue' | 'inventory';
+
+// A scheduled event that has fired, as posted to the news ticker
+export interface NewsItem {
+  newsId: number;
+  at: number; // Seconds since the game started
+  type: NewsEventType;
+  headline: string;
+  changes: { kind: 'scrapValue' | 'setValue'; product?: string; set?: string; from: number; to: number }[];
+  grants: { playerId: string; product: string; quantity: number }[];
+  timestamp: string;
+}
+
+// How this client is watching a game it has not joined
+export type ViewRole = 'spectator' | 'facilitator';
+
+// One player as the facilitator sees them
+export interface FacilitatorPlayer {
+  playerId: string;
+  name: string;
+  isBot: boolean;
+  connected: boolean;
+  cash: number;
+  reservedCash: number;
+  inventory: Record<string, number>;
+  openOrders: number;
+  tradeCount: number;
+  sets: Record<string, number>;
+  completeSets: number;
+  setsValue: number;
+  scrapValue: number;
+  estimatedValue: number;
+  pnl: number;
+}
+
+// Full-information view: named order books and every player's holdings
+export interface FacilitatorState {
+  gameId: string;
+  joinCode: string;
+  status: 'lobby' | 'running' | 'ended';
+  remainingTime: number;
+  paused: boolean;
+  orderBooks: Record<string, OrderBookDepth>;
+  players: FacilitatorPlayer[]; // Highest projected score first
+  tradeCount: number;
+  volume: number;
+}
+
+export type ReplayMoment = { time: number } & (
+  | { type: 'trade'; product: string; quantity: number; price: number }
+  | { type: 'news'; headline: string }
+);
+
+export interface ReplayTimeline {
+  gameId: string;
+  joinCode: string;
+  status: 'lobby' | 'running' | 'ended';
+  startTime: string;
+  endTime: string;
+  duration: number;
+  products: string[];
+  moments: ReplayMoment[];
+}
+
+export interface ReplayPlayer {
+  playerId: string;
+  name: string;
+  cash: number;
+  inventory: Record<string, number>;
+  inventoryValue: number;
+  completeSets: number;
+}
+
+export interface ReplayState {
+  time: number;
+  orderBooks: Record<string, OrderBookDepth>;
+  players: ReplayPlayer[];
+  leaderboard: LeaderboardEntry[];
+  recentTrades: Trade[];
+  news: NewsItem[];
+}
+
+// Post-game report (GET /api/game/:gameId/analytics)
+export interface PlayerProductAnalytics {
+  product: string;
+  scrapValue: number;
+  bought: number;
+  sold: number;
+  avgBuyPrice: number | null;
+  avgSellPrice: number | null;
+}
+
+export interface PlayerAnalytics {
+  playerId: string;
+  name: string;
+  isBot: boolean;
+  finalScore: number | null; // null if they left before the end
+  pnl: number | null;
+  tradeCount: number;
+  bought: number;
+  sold: number;
+  volume: number;
+  turnover: number;
+  avgBuyPrice: number | null;
+  avgSellPrice: number | null;
+  buyPremium: number | null; // Paid over scrap value, per unit
+  sellPremium: number | null; // Earned over scrap value, per unit
+  realizedEdge: number; // Traded better (+) or worse than each product's VWAP
+  realizedPnl: number;
+  startingSets: number;
+  setsFormed: number;
+  ordersPlaced: number;
+  ordersCancelled: number;
+  amends: number;
+  fillRatio: number | null; // Units filled / units ordered
+  orderToTradeRatio: number | null;
+  products: PlayerProductAnalytics[];
+}
+
+export interface SpreadSample {
+  time: number;
+  bestBid: number | null;
+  bestAsk: number | null;
+  spread: number | null;
+}
+
+export interface ProductAnalytics {
+  product: string;
+  scrapValue: number;
+  tradeCount: number;
+  volume: number;
+  turnover: number;
+  vwap: number | null;
+  open: number | null;
+  close: number | null;
+  high: number | null;
+  low: number | null;
+  averageSpread: number | null;
+  spreads: SpreadSample[];
+}
+
+export interface GameAnalyticsReport {
+  gameId: string;
+  joinCode: string;
+  duration: number;
+  players: PlayerAnalytics[]; // Highest final score first
+  products: ProductAnalytics[];
+}
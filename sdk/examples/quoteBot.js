@@ -0,0 +1,109 @@
+/**
+ * Example bot: quotes a bid and an ask around each ingredient's fair value
+ *
+ * Fair value is the ingredient's share of a sandwich: its scrap value scaled
+ * so the recipe adds up to setValue. The bot keeps one small bid below and
+ * one small ask above it on every product, and re-quotes whenever a side fills.
+ *
+ * Usage:
+ *   API_KEY=sx_... JOIN_CODE=ABCDE node examples/quoteBot.js
+ *
+ * Environment:
+ *   API_KEY       key from `npm run apikey -- create <name>` in server/
+ *   JOIN_CODE     game to join
+ *   EXCHANGE_URL  default http://localhost:3001
+ *   BOT_NAME      default QuoteBot
+ *   EDGE          distance from fair value to each quote, default 1
+ *   SIZE          units per quote, default 2
+ */
+
+const { ExchangeClient } = require('..');
+
+const EDGE = parseFloat(process.env.EDGE) || 1;
+const SIZE = parseInt(process.env.SIZE) || 2;
+
+const client = new ExchangeClient({
+  url: process.env.EXCHANGE_URL || 'http://localhost:3001',
+  apiKey: process.env.API_KEY
+});
+
+function fairValues(config) {
+  const recipeScrap = config.products
+    .reduce((sum, p) => sum + (config.setRecipe[p] || 0) * config.scrapValues[p], 0);
+  return Object.fromEntries(config.products.map(p => [p, config.scrapValues[p] * config.setValue / recipeScrap]));
+}
+
+let quoting = false;
+
+// Fill in whichever quotes are missing, as far as our balances allow
+async function quote() {
+  const state = client.playerState;
+  if (quoting || !state || client.gameState?.status !== 'running') return;
+  quoting = true;
+
+  try {
+    const fair = fairValues(client.config);
+    let cash = state.availableCash;
+
+    for (const product of client.config.products) {
+      const mine = state.openOrders.filter(o => o.product === product);
+      const bid = Math.max(1, Math.floor(fair[product] - EDGE));
+      const ask = Math.ceil(fair[product] + EDGE);
+
+      if (!mine.some(o => o.side === 'buy') && cash >= bid * SIZE) {
+        const result = await client.placeOrder({ product, side: 'buy', quantity: SIZE, price: bid });
+        if (result.success) cash -= bid * SIZE;
+        else console.log(`[BOT] ${product} bid rejected: ${result.error}`);
+      }
+
+      const units = Math.min(SIZE, state.availableInventory[product] || 0);
+      if (!mine.some(o => o.side === 'sell') && units > 0) {
+        const result = await client.placeOrder({ product, side: 'sell', quantity: units, price: ask });
+        if (!result.success) console.log(`[BOT] ${product} ask rejected: ${result.error}`);
+      }
+    }
+  } finally {
+    quoting = false;
+  }
+}
+
+async function main() {
+  if (!process.env.API_KEY || !process.env.JOIN_CODE) {
+    console.error('Set API_KEY and JOIN_CODE');
+    process.exit(1);
+  }
+
+  await client.connect();
+  const joined = await client.joinGame({ joinCode: process.env.JOIN_CODE, name: process.env.BOT_NAME || 'QuoteBot' });
+  if (!joined.success) {
+    console.error(`[BOT] Could not join: ${joined.error}`);
+    process.exit(1);
+  }
+  console.log(`[BOT] Joined ${process.env.JOIN_CODE}; waiting for the game to start`);
+
+  client.on('gameStarted', () => console.log('[BOT] Game started'));
+  client.on('playerState', () => quote());
+
+  // Catch fills that arrived while a quote round was running
+  const requote = setInterval(quote, 2000);
+
+  client.on('trades', (trades) => {
+    for (const trade of trades) {
+      if (trade.buyerId === joined.player.playerId || trade.sellerId === joined.player.playerId) {
+        const side = trade.buyerId === joined.player.playerId ? 'Bought' : 'Sold';
+        console.log(`[BOT] ${side} ${trade.quantity} ${trade.product} @ $${trade.price}`);
+      }
+    }
+  });
+  client.on('gameEnded', ({ leaderboard }) => {
+    const rank = leaderboard.findIndex(entry => entry.playerId === joined.player.playerId) + 1;
+    console.log(`[BOT] Game over - finished #${rank} of ${leaderboard.length}`);
+    clearInterval(requote);
+    client.close();
+  });
+}
+
+main().catch((err) => {
+  console.error(`[BOT] ${err.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,237 @@
+/**
+ * Sandwich Exchange bot SDK
+ *
+ * A headless client for the exchange's Socket.io API. It authenticates with
+ * an API key, wraps the trading events in promises and keeps a local copy of
+ * every order book up to date from the level-2 delta feed.
+ *
+ * Every call resolves with the server's reply ({ success, error, code, ... }),
+ * exactly as the React client receives it. Calls over the key's rate limit
+ * resolve with code 'RATE_LIMITED' and a retryAfter in seconds.
+ *
+ * Events:
+ *   'book'        (orderBook)      a book changed; see getBook(product)
+ *   'trades'      (trades)         trades in the game
+ *   'playerState' (state)          your cash, inventory and open orders
+ *   'config'      (config)         products, values and price rules for the game
+ *   'gameState'   (gameState)      lobby / running / ended
+ *   'gameStarted' (gameState)
+ *   'gameEnded'   ({ leaderboard, gameState })
+ *   'timer'       (remainingTime)
+ *   'leaderboard' (leaderboard)
+ *   'candles'     ({ interval, updates }) price bars changed (after subscribeCandles)
+ *   'disconnect'  (reason)
+ */
+
+const { EventEmitter } = require('events');
+const { io } = require('socket.io-client');
+
+// Replace or remove each changed level, keeping the side sorted best-first
+function mergeLevels(levels, changes, side) {
+  if (changes.length === 0) return levels;
+
+  const changedPrices = new Set(changes.map(level => level.price));
+  return levels
+    .filter(level => !changedPrices.has(level.price))
+    .concat(changes.filter(level => level.quantity > 0))
+    .sort((a, b) => (side === 'buy' ? b.price - a.price : a.price - b.price));
+}
+
+class ExchangeClient extends EventEmitter {
+  /**
+   * @param {{ url?: string, apiKey: string }} options
+   */
+  constructor({ url = 'http://localhost:3001', apiKey }) {
+    super();
+    this.url = url;
+    this.apiKey = apiKey;
+    this.socket = null;
+    this.books = {}; // product -> order book depth, kept current from deltas
+    this.resyncing = new Set(); // Products with a snapshot request in flight
+    this.config = null;
+    this.playerState = null;
+    this.gameState = null;
+    this.sessionToken = null;
+  }
+
+  /**
+   * Connect and authenticate. Rejects if the API key is refused.
+   */
+  connect() {
+    return new Promise((resolve, reject) => {
+      this.socket = io(this.url, { auth: { apiKey: this.apiKey }, transports: ['websocket'] });
+
+      this.socket.once('connect', () => resolve());
+      this.socket.once('connect_error', (err) => {
+        this.socket.close();
+        reject(err);
+      });
+
+      this.socket.on('disconnect', (reason) => this.emit('disconnect', reason));
+
+      // Seat is kept for the reconnect grace period; reclaim it after a drop
+      this.socket.io.on('reconnect', () => {
+        if (this.sessionToken) {
+          this.request('rejoinGame', { sessionToken: this.sessionToken });
+        }
+      });
+
+      this.socket.on('orderBooks', (books) => {
+        this.books = { ...books };
+        for (const book of Object.values(this.books)) {
+          this.emit('book', book);
+        }
+      });
+      this.socket.on('orderBookDeltas', (deltas) => this.applyDeltas(deltas));
+
+      this.socket.on('trades', (trades) => this.emit('trades', trades));
+      this.socket.on('leaderboard', (leaderboard) => this.emit('leaderboard', leaderboard));
+      this.socket.on('timer', ({ remainingTime }) => this.emit('timer', remainingTime));
+      this.socket.on('candles', (data) => this.emit('candles', data));
+
+      this.socket.on('config', (config) => {
+        this.config = config;
+        this.emit('config', config);
+      });
+      this.socket.on('playerState', (state) => {
+        this.playerState = state;
+        this.emit('playerState', state);
+      });
+      this.socket.on('gameState', (gameState) => {
+        this.gameState = gameState;
+        this.emit('gameState', gameState);
+      });
+      this.socket.on('gameStarted', ({ gameState, orderBooks }) => {
+        this.gameState = gameState;
+        this.books = { ...orderBooks };
+        this.emit('gameStarted', gameState);
+      });
+      this.socket.on('gameEnded', (data) => {
+        this.gameState = data.gameState;
+        this.emit('gameEnded', data);
+      });
+    });
+  }
+
+  close() {
+    this.socket?.close();
+  }
+
+  // Emit an event and resolve with the server's acknowledgement
+  request(event, ...args) {
+    return new Promise((resolve) => {
+      this.socket.emit(event, ...args, resolve);
+    });
+  }
+
+  applyDeltas(deltas) {
+    for (const delta of deltas) {
+      const book = this.books[delta.product];
+      if (!book || book.sequence === undefined || delta.sequence > book.sequence + 1) {
+        this.resync(delta.product);
+        continue;
+      }
+      if (delta.sequence <= book.sequence) continue; // Already in our snapshot
+
+      const { bids, asks, ...summary } = delta;
+      this.books[delta.product] = {
+        ...book,
+        ...summary,
+        bids: mergeLevels(book.bids, bids, 'buy'),
+        asks: mergeLevels(book.asks, asks, 'sell')
+      };
+      this.emit('book', this.books[delta.product]);
+    }
+  }
+
+  // We missed a delta; fetch a fresh snapshot of that book
+  async resync(product) {
+    if (this.resyncing.has(product)) return;
+    this.resyncing.add(product);
+    const result = await this.request('getOrderBookSnapshot', { product });
+    this.resyncing.delete(product);
+    if (result.success) {
+      this.books[product] = result.orderBook;
+      this.emit('book', result.orderBook);
+    }
+  }
+
+  // ===== GAMES =====
+
+  listGames() {
+    return this.request('listGames');
+  }
+
+  /**
+   * Pick a game by join code or id and take a seat in it
+   * @param {{ joinCode?: string, gameId?: string, name: string }} options
+   */
+  async joinGame({ joinCode, gameId, name }) {
+    const selected = await this.request('selectGame', { joinCode, gameId });
+    if (!selected.success) return selected;
+
+    const result = await this.request('joinGame', { playerName: name });
+    if (result.success) {
+      this.sessionToken = result.sessionToken;
+    }
+    return result;
+  }
+
+  /**
+   * Watch a game's books and trades without taking a seat
+   */
+  watchGame({ joinCode, gameId }) {
+    return this.request('selectGame', { joinCode, gameId });
+  }
+
+  // ===== TRADING =====
+
+  /**
+   * @param {{ product, side, orderType?, quantity, price?, fillPolicy?, maxSlippage?,
+   *           priceCap?, timeInForce?, expireAfter?, stopPrice? }} order
+   */
+  placeOrder({ orderType = 'limit', ...order }) {
+    return this.request('placeOrder', { orderType, ...order });
+  }
+
+  cancelOrder(orderId) {
+    return this.request('cancelOrder', { orderId });
+  }
+
+  /**
+   * @param {{ quantity?: number, price?: number }} changes
+   */
+  amendOrder(orderId, changes) {
+    return this.request('amendOrder', { orderId, ...changes });
+  }
+
+  // ===== STATE =====
+
+  getBook(product) {
+    return this.books[product] || null;
+  }
+
+  async getPlayerState() {
+    this.playerState = await this.request('getPlayerState');
+    return this.playerState;
+  }
+
+  getLeaderboard() {
+    return this.request('getLeaderboard');
+  }
+
+  getRecentTrades() {
+    return this.request('getRecentTrades', {});
+  }
+
+  /**
+   * Follow the game's price bars of one length; resolves with every bar so far
+   * ({ success, interval, candles: { product: bars } }), then emits 'candles'
+   * @param {number} interval Bar length in seconds, one of config.candleIntervals
+   */
+  subscribeCandles(interval) {
+    return this.request('subscribeCandles', { interval });
+  }
+}
+
+module.exports = { ExchangeClient };
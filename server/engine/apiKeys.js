@@ -0,0 +1,134 @@
+/**
+ * API Keys - Authentication and rate limits for trading bots
+ *
+ * Bots connect over the same Socket.io events as the React client, passing
+ * an API key in the handshake (auth.apiKey). Keys live in a JSON file
+ * (config.botApi.keysFile) managed with scripts/apiKeys.js. Only a SHA-256
+ * hash of each key is stored; the key itself is shown once, on creation.
+ *
+ * Every event a bot sends spends one token from its key's bucket, shared by
+ * all of that key's connections. Buckets refill at rateLimit.perSecond up to
+ * rateLimit.burst; a key's own rateLimit overrides the configured default.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const KEY_PREFIX = 'sx_';
+
+function hashKey(apiKey) {
+  return crypto.createHash('sha256').update(apiKey).digest('hex');
+}
+
+class ApiKeyStore {
+  constructor(filePath, defaultRateLimit = {}) {
+    this.filePath = filePath;
+    this.defaultRateLimit = { perSecond: 10, burst: 20, ...defaultRateLimit };
+    this.keys = []; // { keyId, name, keyHash, rateLimit, createdAt, revokedAt }
+    this.loadedAt = null; // mtime of the file when last read
+    this.buckets = new Map(); // keyId -> { tokens, updatedAt }
+    this.load();
+  }
+
+  /**
+   * Re-read the key file if it changed, so keys created or revoked while the
+   * server runs take effect on the next connection
+   */
+  load() {
+    let mtime;
+    try {
+      mtime = fs.statSync(this.filePath).mtimeMs;
+    } catch {
+      this.keys = [];
+      this.loadedAt = null;
+      return;
+    }
+    if (mtime === this.loadedAt) return;
+
+    try {
+      this.keys = JSON.parse(fs.readFileSync(this.filePath, 'utf8')).keys || [];
+      this.loadedAt = mtime;
+    } catch (err) {
+      console.error(`[API] Could not read API keys from ${this.filePath}: ${err.message}`);
+    }
+  }
+
+  save() {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    fs.writeFileSync(this.filePath, JSON.stringify({ keys: this.keys }, null, 2));
+    this.loadedAt = fs.statSync(this.filePath).mtimeMs;
+  }
+
+  /**
+   * Issue a new key
+   * @returns {{ apiKey: string, key: object }} apiKey is not stored and cannot be shown again
+   */
+  create(name, rateLimit = null) {
+    this.load();
+    const apiKey = KEY_PREFIX + crypto.randomBytes(24).toString('hex');
+    const key = {
+      keyId: crypto.randomBytes(4).toString('hex'),
+      name,
+      keyHash: hashKey(apiKey),
+      rateLimit,
+      createdAt: new Date().toISOString(),
+      revokedAt: null
+    };
+    this.keys.push(key);
+    this.save();
+    return { apiKey, key };
+  }
+
+  revoke(keyId) {
+    this.load();
+    const key = this.keys.find(k => k.keyId === keyId);
+    if (!key || key.revokedAt) return false;
+    key.revokedAt = new Date().toISOString();
+    this.save();
+    return true;
+  }
+
+  list() {
+    this.load();
+    return this.keys.map(({ keyHash, ...key }) => key);
+  }
+
+  /**
+   * @returns {{ keyId: string, name: string }|null} The key's identity, or null if unknown or revoked
+   */
+  authenticate(apiKey) {
+    if (typeof apiKey !== 'string' || !apiKey.startsWith(KEY_PREFIX)) return null;
+    this.load();
+    const keyHash = hashKey(apiKey);
+    const key = this.keys.find(k => k.keyHash === keyHash && !k.revokedAt);
+    return key ? { keyId: key.keyId, name: key.name } : null;
+  }
+
+  getRateLimit(keyId) {
+    const key = this.keys.find(k => k.keyId === keyId);
+    return { ...this.defaultRateLimit, ...key?.rateLimit };
+  }
+
+  /**
+   * Spend one request from a key's bucket
+   * @returns {{ allowed: boolean, retryAfter?: number }} retryAfter in seconds
+   */
+  consume(keyId) {
+    const { perSecond, burst } = this.getRateLimit(keyId);
+    const now = Date.now();
+    const bucket = this.buckets.get(keyId) || { tokens: burst, updatedAt: now };
+
+    bucket.tokens = Math.min(burst, bucket.tokens + ((now - bucket.updatedAt) / 1000) * perSecond);
+    bucket.updatedAt = now;
+    this.buckets.set(keyId, bucket);
+
+    if (bucket.tokens < 1) {
+      return { allowed: false, retryAfter: parseFloat(((1 - bucket.tokens) / perSecond).toFixed(2)) };
+    }
+    bucket.tokens -= 1;
+    return { allowed: true };
+  }
+}
+
+module.exports = ApiKeyStore;
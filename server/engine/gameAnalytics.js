@@ -0,0 +1,198 @@
+/**
+ * Game Analytics - Post-game report on how each player traded and how each
+ * market behaved
+ *
+ * Works from exported game data (DataStore.collectGameData or
+ * DataStore.loadGameData), like GameReplay, so any stored game can be analysed.
+ *
+ * Per player:
+ * - Trades, units bought and sold, cash traded
+ * - Average buy and sell prices, and the premium over scrap value paid or earned
+ * - Realized edge: how much better than each product's game VWAP they traded
+ *   (buying below it or selling above it gains edge)
+ * - Realized P&L: sales against average cost (see valuation.js)
+ * - Sets their starting inventory could form vs the sets they finished with
+ * - Fill ratio: units filled / units ordered. A cancel-replace amend moves the
+ *   unfilled part to the new order, so it is only counted once
+ * - Order-to-trade ratio: orders sent (amends included) per trade
+ *
+ * Per product: volume, VWAP, price range, and the bid-ask spread sampled over
+ * the game from the rebuilt order books. Sample times are on the game clock
+ * (see GameReplay.toOffset), so time the game spent paused is skipped.
+ */
+
+const { Player } = require('../models');
+const GameReplay = require('./gameReplay');
+const { getSetRecipes } = require('./gameSettings');
+const { getCostBasis, getGrants } = require('./valuation');
+
+const MAX_SPREAD_SAMPLES = 120;
+const MIN_SPREAD_STEP = 5; // Seconds
+
+const roundCents = (value) => Math.round(value * 100) / 100;
+const average = (total, count) => (count > 0 ? roundCents(total / count) : null);
+
+class GameAnalytics {
+  constructor(gameData) {
+    this.game = gameData.game;
+    this.config = gameData.game.config;
+    this.players = gameData.players;
+    this.orders = gameData.orders;
+    this.trades = [...gameData.trades].sort(
+      (a, b) => new Date(a.executedAt) - new Date(b.executedAt)
+    );
+    this.replay = new GameReplay(gameData);
+    this.spreadSamples = null; // Rebuilt books, shared by every product
+  }
+
+  /**
+   * The whole report
+   * @returns {{ gameId, joinCode, duration, players, products }}
+   */
+  getReport() {
+    const products = this.config.products.map(product => this.analyseProduct(product));
+    const vwaps = Object.fromEntries(products.map(p => [p.product, p.vwap]));
+
+    return {
+      gameId: this.game.gameId,
+      joinCode: this.game.joinCode,
+      duration: roundCents(this.replay.duration),
+      players: this.players
+        .map(data => this.analysePlayer(data, vwaps))
+        .sort((a, b) => (b.finalScore ?? -Infinity) - (a.finalScore ?? -Infinity)),
+      products
+    };
+  }
+
+  analysePlayer(data, vwaps) {
+    const { playerId } = data;
+    const { scrapValues } = this.config;
+    const trades = this.trades.filter(t => t.buyerId === playerId || t.sellerId === playerId);
+
+    const byProduct = {};
+    let bought = 0, sold = 0, buyCost = 0, sellProceeds = 0, buyPremium = 0, sellPremium = 0, edge = 0;
+    for (const trade of trades) {
+      const stats = byProduct[trade.product] ||
+        (byProduct[trade.product] = { product: trade.product, bought: 0, sold: 0, buyCost: 0, sellProceeds: 0 });
+      const scrap = scrapValues[trade.product] || 0;
+      const vwap = vwaps[trade.product] ?? trade.price;
+
+      if (trade.buyerId === playerId) {
+        bought += trade.quantity;
+        buyCost += trade.value;
+        buyPremium += (trade.price - scrap) * trade.quantity;
+        edge += (vwap - trade.price) * trade.quantity;
+        stats.bought += trade.quantity;
+        stats.buyCost += trade.value;
+      }
+      if (trade.sellerId === playerId) {
+        sold += trade.quantity;
+        sellProceeds += trade.value;
+        sellPremium += (trade.price - scrap) * trade.quantity;
+        edge += (trade.price - vwap) * trade.quantity;
+        stats.sold += trade.quantity;
+        stats.sellProceeds += trade.value;
+      }
+    }
+
+    // The unfilled part of an amended order lives on in its replacement
+    const orders = this.orders.filter(o => o.playerId === playerId);
+    const replaced = new Set(orders.map(o => o.replacesOrderId).filter(Boolean));
+    const filledQuantity = (order) => order.fills.reduce((sum, f) => sum + f.quantity, 0);
+    const filled = orders.reduce((sum, o) => sum + filledQuantity(o), 0);
+    const ordered = orders.reduce((sum, o) => sum + (replaced.has(o.orderId) ? filledQuantity(o) : o.quantity), 0);
+
+    const player = Player.fromJSON(data);
+    const startConfig = this.replay.configAt(0);
+    const startingSets = Player.fromJSON({ ...data, inventory: data.initialInventory })
+      .formSets(getSetRecipes(startConfig), startConfig.scrapValues).completeSets;
+    const setsFormed = data.pnlBreakdown?.completeSets ??
+      player.formSets(getSetRecipes(this.config), scrapValues).completeSets;
+    const { realizedPnl } = getCostBasis(player, this.trades, getGrants(this.game.news), scrapValues);
+
+    return {
+      playerId,
+      name: data.name,
+      isBot: !!(data.houseBot || data.apiKeyId),
+      finalScore: data.pnlBreakdown?.totalScore ?? null,
+      pnl: data.pnlBreakdown?.pnl ?? null,
+      tradeCount: trades.length,
+      bought,
+      sold,
+      volume: bought + sold,
+      turnover: roundCents(buyCost + sellProceeds),
+      avgBuyPrice: average(buyCost, bought),
+      avgSellPrice: average(sellProceeds, sold),
+      buyPremium: average(buyPremium, bought), // Paid over scrap, per unit
+      sellPremium: average(sellPremium, sold), // Earned over scrap, per unit
+      realizedEdge: roundCents(edge),
+      realizedPnl: roundCents(realizedPnl),
+      startingSets,
+      setsFormed,
+      ordersPlaced: orders.length,
+      ordersCancelled: orders.filter(o => o.status === 'cancelled' && !replaced.has(o.orderId)).length,
+      amends: replaced.size,
+      fillRatio: ordered > 0 ? roundCents(filled / ordered) : null,
+      orderToTradeRatio: trades.length > 0 ? roundCents(orders.length / trades.length) : null,
+      products: Object.values(byProduct).map(stats => ({
+        product: stats.product,
+        scrapValue: scrapValues[stats.product] || 0,
+        bought: stats.bought,
+        sold: stats.sold,
+        avgBuyPrice: average(stats.buyCost, stats.bought),
+        avgSellPrice: average(stats.sellProceeds, stats.sold)
+      }))
+    };
+  }
+
+  analyseProduct(product) {
+    const trades = this.trades.filter(t => t.product === product);
+    const volume = trades.reduce((sum, t) => sum + t.quantity, 0);
+    const turnover = trades.reduce((sum, t) => sum + t.value, 0);
+    const prices = trades.map(t => t.price);
+
+    const spreads = this.sampleSpreads(product);
+    const quoted = spreads.filter(s => s.spread !== null);
+
+    return {
+      product,
+      scrapValue: this.config.scrapValues[product] || 0,
+      tradeCount: trades.length,
+      volume,
+      turnover: roundCents(turnover),
+      vwap: average(turnover, volume),
+      open: prices.length > 0 ? prices[0] : null,
+      close: prices.length > 0 ? prices[prices.length - 1] : null,
+      high: prices.length > 0 ? Math.max(...prices) : null,
+      low: prices.length > 0 ? Math.min(...prices) : null,
+      averageSpread: average(quoted.reduce((sum, s) => sum + s.spread, 0), quoted.length),
+      spreads
+    };
+  }
+
+  /**
+   * Best bid, best ask and spread at evenly spaced points of the game
+   * @returns {Array<{ time, bestBid, bestAsk, spread }>}
+   */
+  sampleSpreads(product) {
+    if (!this.spreadSamples) {
+      const { duration } = this.replay;
+      const step = Math.max(MIN_SPREAD_STEP, duration / MAX_SPREAD_SAMPLES);
+      this.spreadSamples = [];
+      // Books for every product are rebuilt together, once per sample
+      for (let time = 0; time <= duration; time += step) {
+        const books = this.replay.buildOrderBooks(ts => this.replay.toOffset(ts) <= time);
+        this.spreadSamples.push({ time: roundCents(time), books });
+      }
+    }
+
+    return this.spreadSamples.map(({ time, books }) => ({
+      time,
+      bestBid: books[product]?.bestBid ?? null,
+      bestAsk: books[product]?.bestAsk ?? null,
+      spread: books[product]?.spread ?? null
+    }));
+  }
+}
+
+module.exports = GameAnalytics;
@@ -1,147 +1,270 @@
 /**
  * Game Manager - Handles game lifecycle and player management
+ *
+ * Keeps a registry of games keyed by gameId so several tables can run
+ * side by side. Each game owns its own MatchingEngine, timer and house bots.
  */
 
+const crypto = require('crypto');
 const { Game, Player } = require('../models');
+const MatchingEngine = require('./matchingEngine');
+const PriceHistory = require('./priceHistory');
+const { createHouseBot, getHouseBotOptions, HOUSE_BOT_LABELS } = require('./houseBots');
+const { validateGameSettings, getSetRecipes } = require('./gameSettings');
+const { dealInventory, generateSeed } = require('./inventoryAllocation');
+const { applyScheduledEvent } = require('./scheduledEvents');
+const { valuePlayer, getGrants } = require('./valuation');
+
+const JOIN_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const JOIN_CODE_LENGTH = 5;
+const PASSCODE_LENGTH = 6;
+const PASSCODE_MAX_FAILURES = 5; // Wrong guesses from one client before it is locked out
+const PASSCODE_LOCKOUT_SECONDS = 30; // Doubles with each lockout in a row
+const PASSCODE_MAX_LOCKOUT_SECONDS = 600;
+const MAX_ADDED_SECONDS = 600; // Per add-time action
 
 class GameManager {
-  constructor(dataStore, config) {
+  constructor(dataStore, config, scenarios = null) {
     this.dataStore = dataStore;
     this.config = config;
-    this.currentGame = null;
-    this.gameTimer = null;
-    this.onGameEnd = null; // Callback when game ends
-    this.onTimerTick = null; // Callback for timer updates
+    this.scenarios = scenarios; // ScenarioLibrary, or null for config.json rules only
+    this.games = new Map(); // gameId -> Game
+    this.engines = new Map(); // gameId -> MatchingEngine
+    this.gameTimers = new Map(); // gameId -> interval handle
+    this.houseBots = new Map(); // gameId -> HouseBot[]
+    this.pnlHistory = new Map(); // gameId -> Map(playerId -> P&L samples)
+    this.priceHistories = new Map(); // gameId -> PriceHistory
+    this.passcodeAttempts = new Map(); // gameId -> Map(client -> { failures, lockouts, lockedUntil })
+    this.onGameEnd = null; // Callback when a game ends: (gameId, leaderboard)
+    this.onTimerTick = null; // Callback for timer updates: (gameId, remainingTime)
+    this.onOrdersExpired = null; // Callback when GTD orders expire: (gameId, orders)
+    this.onHouseBotActivity = null; // Callback after house bots trade: (gameId, { trades, triggered })
+    this.onScheduledEvents = null; // Callback when scheduled events fire: (gameId, newsItems)
+    this.onPnlSamples = null; // Callback after P&L is sampled: (gameId, Map(playerId -> sample))
+  }
+
+  /**
+   * Look up a game by id
+   */
+  getGame(gameId) {
+    return this.games.get(gameId) || null;
+  }
+
+  /**
+   * Look up a game by its short join code (case-insensitive)
+   */
+  getGameByCode(joinCode) {
+    if (!joinCode) return null;
+    const code = joinCode.trim().toUpperCase();
+    for (const game of this.games.values()) {
+      if (game.joinCode === code) return game;
+    }
+    return null;
+  }
+
+  /**
+   * Get the matching engine that owns a game's order books
+   */
+  getEngine(gameId) {
+    return this.engines.get(gameId) || null;
+  }
+
+  /**
+   * Generate a join code that is not used by any registered game
+   */
+  generateJoinCode() {
+    let code;
+    do {
+      code = '';
+      for (let i = 0; i < JOIN_CODE_LENGTH; i++) {
+        code += JOIN_CODE_ALPHABET[Math.floor(Math.random() * JOIN_CODE_ALPHABET.length)];
+      }
+    } while (this.getGameByCode(code));
+    return code;
   }
 
   /**
    * Create a new game
+   * @param {object} settings Host overrides for this game's rules (see gameSettings.js)
+   * @param {string} scenarioId Scenario to start from (see scenarios.js); null for config.json
    */
-  createGame(hostPlayerId) {
-    if (this.currentGame && this.currentGame.status !== 'ended') {
-      return { success: false, error: 'A game is already in progress' };
+  createGame(hostPlayerId, settings = null, scenarioId = null) {
+    let baseConfig = { ...this.config, scenario: null };
+    if (scenarioId) {
+      const scenario = this.scenarios?.get(scenarioId);
+      if (!scenario) {
+        return { success: false, error: 'Unknown scenario' };
+      }
+      baseConfig = { ...scenario.config, scenario: { scenarioId, name: scenario.name } };
+    }
+
+    const { config, error } = validateGameSettings(settings, baseConfig);
+    if (error) {
+      return { success: false, error };
     }
+    // A host-supplied seed re-deals an earlier game's inventories
+    config.inventorySeed = config.inventorySeed ?? generateSeed();
 
-    this.currentGame = new Game(hostPlayerId, this.config);
-    this.dataStore.saveGame(this.currentGame);
+    const game = new Game(hostPlayerId, config, this.generateJoinCode());
+    game.facilitatorPasscode = crypto.randomInt(0, 10 ** PASSCODE_LENGTH).toString().padStart(PASSCODE_LENGTH, '0');
+    this.games.set(game.gameId, game);
+    this.engines.set(game.gameId, new MatchingEngine(this.dataStore, game.config));
+    this.dataStore.saveGame(game);
 
     this.dataStore.logEvent({
       type: 'GAME_CREATED',
-      gameId: this.currentGame.gameId,
+      gameId: game.gameId,
+      joinCode: game.joinCode,
       hostPlayerId,
+      scenarioId,
+      settings,
       timestamp: new Date().toISOString()
     });
 
-    return { success: true, game: this.currentGame };
+    return { success: true, game };
   }
 
   /**
-   * Generate random starting inventory with target value
+   * Remove a game from the registry, stopping its timer and order books
    */
-  generateStartingInventory() {
-    const { products, scrapValues, startingInventoryTargetTotalValue, startingInventoryRandomizationFactor } = this.config;
+  removeGame(gameId) {
+    const game = this.getGame(gameId);
+    if (!game) {
+      return { success: false, error: 'Game not found' };
+    }
 
-    // Calculate total scrap value of one of each
-    const oneOfEachValue = products.reduce((sum, p) => sum + scrapValues[p], 0);
+    this.stopTimer(gameId);
 
-    // Start with a base allocation
-    const inventory = {};
-    let currentValue = 0;
+    const engine = this.getEngine(gameId);
+    if (engine) {
+      engine.cancelAllOrders(gameId);
+    }
 
-    // Randomly allocate to reach target value with some variance
-    const targetValue = startingInventoryTargetTotalValue;
-    const minValue = targetValue * (1 - startingInventoryRandomizationFactor);
-    const maxValue = targetValue * (1 + startingInventoryRandomizationFactor);
+    this.games.delete(gameId);
+    this.engines.delete(gameId);
+    this.houseBots.delete(gameId);
+    this.pnlHistory.delete(gameId);
+    this.priceHistories.delete(gameId);
+    this.passcodeAttempts.delete(gameId);
 
-    // Initialize with zeros
-    for (const product of products) {
-      inventory[product] = 0;
-    }
+    this.dataStore.logEvent({
+      type: 'GAME_REMOVED',
+      gameId,
+      timestamp: new Date().toISOString()
+    });
 
-    // Randomly add items until we reach target range
-    while (currentValue < minValue) {
-      // Pick a random product
-      const product = products[Math.floor(Math.random() * products.length)];
-      const productValue = scrapValues[product];
+    return { success: true };
+  }
 
-      // Don't exceed max value
-      if (currentValue + productValue <= maxValue) {
-        inventory[product]++;
-        currentValue += productValue;
-      } else {
-        break;
-      }
-    }
+  /**
+   * Summaries of every registered game (for the lobby picker)
+   */
+  listGames() {
+    return Array.from(this.games.values())
+      .map(game => ({
+        gameId: game.gameId,
+        joinCode: game.joinCode,
+        status: game.status,
+        playerCount: game.playerIds.length,
+        maxPlayers: game.config.maxPlayers,
+        createdAt: game.createdAt
+      }))
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+  }
 
-    // If we're under target, try to add cheaper items
-    while (currentValue < targetValue) {
-      // Find the cheapest item we can add
-      let added = false;
-      for (const product of [...products].sort((a, b) => scrapValues[a] - scrapValues[b])) {
-        if (currentValue + scrapValues[product] <= maxValue) {
-          inventory[product]++;
-          currentValue += scrapValues[product];
-          added = true;
-          break;
-        }
-      }
-      if (!added) break;
-    }
+  /**
+   * Deal the next seat's starting inventory (see inventoryAllocation.js)
+   */
+  generateStartingInventory(game) {
+    const seat = game.seatsDealt++;
+    return { ...dealInventory(game.config, game.config.inventorySeed, seat), seat };
+  }
 
-    return {
-      inventory,
-      value: currentValue
-    };
+  /**
+   * Scarcity deals spread the scarce product over the seats actually taken,
+   * which is only known once the game starts: re-deal everyone seated then,
+   * in seat order
+   * @returns {string|null} Notice for the players, or null if nothing was re-dealt
+   */
+  redealScarcity(game) {
+    if (game.config.startingInventoryStrategy !== 'scarcity') return null;
+
+    const seats = game.playerIds.length;
+    const inventories = {};
+    game.playerIds.forEach((playerId, seat) => {
+      const player = this.dataStore.getPlayer(playerId);
+      if (!player) return;
+      const { inventory } = dealInventory(game.config, game.config.inventorySeed, seat, seats);
+      player.inventory = { ...inventory };
+      player.initialInventory = { ...inventory };
+      this.dataStore.savePlayer(player);
+      inventories[playerId] = inventory;
+    });
+
+    this.dataStore.logEvent({
+      type: 'INVENTORY_REDEALT',
+      gameId: game.gameId,
+      seats,
+      inventories,
+      timestamp: new Date().toISOString()
+    });
+
+    const { product, totalSupply } = game.config.startingInventoryScarcity;
+    return `Inventories were re-dealt for the ${seats} players seated, sharing all ${totalSupply} ${product} between them. Check your starting inventory.`;
   }
 
   /**
-   * Add a player to the current game
+   * Add a player to a game
    */
-  joinGame(playerName) {
-    if (!this.currentGame) {
+  joinGame(gameId, playerName) {
+    const game = this.getGame(gameId);
+    if (!game) {
       return { success: false, error: 'No game exists. Create a game first.' };
     }
 
-    if (this.currentGame.status !== 'lobby') {
-      return { success: false, error: 'Cannot join: game is ' + this.currentGame.status };
+    if (game.status !== 'lobby') {
+      return { success: false, error: 'Cannot join: game is ' + game.status };
     }
 
-    if (this.currentGame.playerIds.length >= this.config.maxPlayers) {
+    if (game.playerIds.length >= game.config.maxPlayers) {
       return { success: false, error: 'Game is full' };
     }
 
-    // Check for duplicate names
-    const existingPlayers = this.dataStore.getPlayersByGame(this.currentGame.gameId);
+    // Check for duplicate names among seated players; anyone who left keeps
+    // their record but frees their name
+    const existingPlayers = this.dataStore.getPlayersByGame(game.gameId)
+      .filter(p => game.playerIds.includes(p.playerId));
     if (existingPlayers.some(p => p.name.toLowerCase() === playerName.toLowerCase())) {
       return { success: false, error: 'Name already taken' };
     }
 
     // Generate starting inventory
-    const { inventory, value } = this.generateStartingInventory();
+    const { inventory, value, seat } = this.generateStartingInventory(game);
 
     // Create player
     const player = new Player(
-      this.currentGame.gameId,
+      game.gameId,
       playerName,
-      this.config.startingCash,
+      game.config.startingCash,
       inventory
     );
 
     // Add to game
-    this.currentGame.addPlayer(player.playerId);
+    game.addPlayer(player.playerId);
 
     // Save
     this.dataStore.savePlayer(player);
-    this.dataStore.saveGame(this.currentGame);
+    this.dataStore.saveGame(game);
 
     this.dataStore.logEvent({
       type: 'PLAYER_JOINED',
-      gameId: this.currentGame.gameId,
+      gameId: game.gameId,
       playerId: player.playerId,
       playerName: player.name,
+      seat,
       startingInventory: inventory,
       startingInventoryValue: value,
-      startingCash: this.config.startingCash,
+      startingCash: game.config.startingCash,
       timestamp: new Date().toISOString()
     });
 
@@ -151,24 +274,147 @@ class GameManager {
   }
 
   /**
-   * Remove a player from the game
+   * Seat a house bot in a game's lobby (host only)
+   * @param {string} type One of the HOUSE_BOT_TYPES keys
+   * @param {object} options Overrides for the strategy's configured options
    */
-  leaveGame(playerId) {
-    if (!this.currentGame) {
+  addHouseBot(gameId, requestingPlayerId, type, options = {}) {
+    const game = this.getGame(gameId);
+    if (!game) {
+      return { success: false, error: 'No game exists' };
+    }
+
+    if (game.hostPlayerId !== requestingPlayerId) {
+      return { success: false, error: 'Only the host can add bots' };
+    }
+
+    if (game.status !== 'lobby') {
+      return { success: false, error: 'Bots can only be added before the game starts' };
+    }
+
+    const bots = this.houseBots.get(gameId) || [];
+    const maxBots = game.config.houseBots?.maxPerGame ?? 4;
+    if (bots.length >= maxBots) {
+      return { success: false, error: `At most ${maxBots} house bots per game` };
+    }
+
+    const { bot, error } = createHouseBot(type, null, game.config, options);
+    if (error) {
+      return { success: false, error };
+    }
+
+    // First free "Market Maker 1", "Market Maker 2", ...
+    const names = new Set(this.dataStore.getPlayersByGame(gameId).map(p => p.name.toLowerCase()));
+    let number = 1;
+    while (names.has(`${HOUSE_BOT_LABELS[type]} ${number}`.toLowerCase())) number++;
+
+    const result = this.joinGame(gameId, `${HOUSE_BOT_LABELS[type]} ${number}`);
+    if (!result.success) {
+      return result;
+    }
+
+    const player = result.player;
+    player.houseBot = type;
+    this.dataStore.savePlayer(player);
+
+    bot.playerId = player.playerId;
+    bots.push(bot);
+    this.houseBots.set(gameId, bots);
+
+    console.log(`[BOT] ${player.name} added to game ${game.joinCode}`);
+
+    return { success: true, player };
+  }
+
+  /**
+   * Take a house bot out of a game's lobby (host only)
+   */
+  removeHouseBot(gameId, requestingPlayerId, playerId) {
+    const game = this.getGame(gameId);
+    if (!game) {
       return { success: false, error: 'No game exists' };
     }
 
+    if (game.hostPlayerId !== requestingPlayerId) {
+      return { success: false, error: 'Only the host can remove bots' };
+    }
+
+    if (game.status !== 'lobby') {
+      return { success: false, error: 'Bots can only be removed before the game starts' };
+    }
+
+    const bots = this.houseBots.get(gameId) || [];
+    if (!bots.some(bot => bot.playerId === playerId)) {
+      return { success: false, error: 'Not a house bot in this game' };
+    }
+
+    this.houseBots.set(gameId, bots.filter(bot => bot.playerId !== playerId));
+    return this.leaveGame(playerId);
+  }
+
+  /**
+   * Let every house bot that is due take its turn
+   * @returns {{ trades: Trade[], triggered: Order[] }|null} null if no bot acted
+   */
+  runHouseBots(gameId, gameTime) {
+    const bots = this.houseBots.get(gameId);
+    if (!bots || bots.length === 0) return null;
+
+    const game = this.getGame(gameId);
+    const engine = this.getEngine(gameId);
+    const activity = { trades: [], triggered: [] };
+    let acted = false;
+
+    for (const bot of bots) {
+      if (gameTime < bot.nextActionAt) continue;
+      bot.nextActionAt = gameTime + bot.options.interval;
+
+      const player = this.dataStore.getPlayer(bot.playerId);
+      if (!player) continue;
+
+      try {
+        const results = bot.act({
+          game,
+          config: game.config,
+          engine,
+          player,
+          dataStore: this.dataStore,
+          random: Math.random
+        });
+        for (const result of results) {
+          if (!result) continue;
+          acted = true;
+          activity.trades.push(...(result.trades || []));
+          activity.triggered.push(...(result.triggered || []));
+        }
+      } catch (err) {
+        console.error(`[BOT] ${player.name} failed: ${err.message}`);
+      }
+    }
+
+    return acted ? activity : null;
+  }
+
+  /**
+   * Remove a player from the game
+   */
+  leaveGame(playerId) {
     const player = this.dataStore.getPlayer(playerId);
     if (!player) {
       return { success: false, error: 'Player not found' };
     }
 
-    this.currentGame.removePlayer(playerId);
-    this.dataStore.saveGame(this.currentGame);
+    const game = this.getGame(player.gameId);
+    if (!game) {
+      return { success: false, error: 'No game exists' };
+    }
+
+    game.removePlayer(playerId);
+    this.dataStore.saveGame(game);
 
     this.dataStore.logEvent({
       type: 'PLAYER_LEFT',
-      gameId: this.currentGame.gameId,
+      gameId: game.gameId,
       playerId,
       playerName: player.name,
       timestamp: new Date().toISOString()
@@ -177,118 +423,202 @@ class GameManager {
     return { success: true };
   }
 
+  /**
+   * Record a player's socket dropping or coming back
+   */
+  setPlayerConnected(playerId, connected) {
+    const player = this.dataStore.getPlayer(playerId);
+    if (!player || player.connected === connected) return;
+
+    player.connected = connected;
+    this.dataStore.savePlayer(player);
+
+    this.dataStore.logEvent({
+      type: connected ? 'PLAYER_RECONNECTED' : 'PLAYER_DISCONNECTED',
+      gameId: player.gameId,
+      playerId,
+      playerName: player.name,
+      timestamp: new Date().toISOString()
+    });
+  }
+
   /**
    * Start the game
    */
-  startGame(requestingPlayerId) {
-    if (!this.currentGame) {
+  startGame(gameId, requestingPlayerId) {
+    const game = this.getGame(gameId);
+    if (!game) {
       return { success: false, error: 'No game exists' };
     }
 
-    if (this.currentGame.hostPlayerId !== requestingPlayerId) {
+    if (game.hostPlayerId !== requestingPlayerId) {
       return { success: false, error: 'Only the host can start the game' };
     }
 
-    if (this.currentGame.status !== 'lobby') {
-      return { success: false, error: 'Game is already ' + this.currentGame.status };
+    if (game.status !== 'lobby') {
+      return { success: false, error: 'Game is already ' + game.status };
     }
 
-    if (this.currentGame.playerIds.length < 2) {
+    if (game.playerIds.length < 2) {
       return { success: false, error: 'Need at least 2 players to start' };
     }
 
+    const notice = this.redealScarcity(game);
+
     // Start the game
-    this.currentGame.start();
-    this.dataStore.saveGame(this.currentGame);
+    game.start();
+    this.dataStore.saveGame(game);
 
     // Start the timer
-    this.startTimer();
+    this.priceHistories.set(gameId, new PriceHistory(game.config.products, this.getCandleIntervals(gameId), game.startTime));
+    this.pnlHistory.set(gameId, new Map());
+    this.recordPnl(gameId);
+    this.startTimer(gameId);
 
     this.dataStore.logEvent({
       type: 'GAME_STARTED',
-      gameId: this.currentGame.gameId,
-      playerCount: this.currentGame.playerIds.length,
-      duration: this.config.gameDuration,
+      gameId: game.gameId,
+      playerCount: game.playerIds.length,
+      duration: game.config.gameDuration,
       timestamp: new Date().toISOString()
     });
 
-    console.log(`[GAME] Game started with ${this.currentGame.playerIds.length} players`);
+    console.log(`[GAME] Game ${game.joinCode} started with ${game.playerIds.length} players`);
 
-    return { success: true, game: this.currentGame };
+    return { success: true, game, notice };
   }
 
   /**
-   * Start the game timer
+   * Start a game's timer
    */
-  startTimer() {
-    let remainingTime = this.config.gameDuration;
+  startTimer(gameId) {
+    const game = this.getGame(gameId);
+
+    this.gameTimers.set(gameId, setInterval(() => {
+      // A paused game's clock, expiries, events and bots all stand still
+      if (game.paused) return;
+
+      game.elapsedSeconds++;
+      const gameTime = game.elapsedSeconds;
+      const remainingTime = game.getRemainingTime();
 
-    this.gameTimer = setInterval(() => {
-      remainingTime--;
+      // Expire good-till orders on the game clock
+      const expired = this.getEngine(gameId).expireOrders(gameTime);
+      if (expired.length > 0 && this.onOrdersExpired) {
+        this.onOrdersExpired(gameId, expired);
+      }
+
+      const news = this.runScheduledEvents(gameId, gameTime);
+      if (news.length > 0 && this.onScheduledEvents) {
+        this.onScheduledEvents(gameId, news);
+      }
+
+      const activity = this.runHouseBots(gameId, gameTime);
+      if (activity && this.onHouseBotActivity) {
+        this.onHouseBotActivity(gameId, activity);
+      }
+
+      if (gameTime % (game.config.pnlSampleInterval || 5) === 0) {
+        this.recordPnl(gameId);
+      }
 
       if (this.onTimerTick) {
-        this.onTimerTick(remainingTime);
+        this.onTimerTick(gameId, remainingTime);
       }
 
       if (remainingTime <= 0) {
-        this.endGame();
+        this.endGame(gameId);
       }
-    }, 1000);
+    }, 1000));
   }
 
   /**
-   * End the game
+   * Fire the scheduled events that are due by `gameTime`
+   * @returns {object[]} News items for the events fired
    */
-  endGame() {
-    if (!this.currentGame || this.currentGame.status === 'ended') {
+  runScheduledEvents(gameId, gameTime) {
+    const game = this.getGame(gameId);
+    const schedule = [...(game.config.scheduledEvents || [])].sort((a, b) => a.at - b.at);
+    const fired = [];
+
+    // Every fired event adds one news item, so the news count marks our place
+    while (game.news.length < schedule.length && schedule[game.news.length].at <= gameTime) {
+      const players = game.playerIds.map(id => this.dataStore.getPlayer(id)).filter(Boolean);
+      const item = applyScheduledEvent(schedule[game.news.length], game, players, gameTime);
+      game.news.push(item);
+      fired.push(item);
+
+      for (const grant of item.grants) {
+        this.dataStore.savePlayer(this.dataStore.getPlayer(grant.playerId));
+      }
+      this.dataStore.logEvent({
+        type: 'SCHEDULED_EVENT',
+        gameId,
+        ...item
+      });
+      console.log(`[NEWS] ${game.joinCode} at ${gameTime}s: ${item.headline}`);
+    }
+
+    if (fired.length > 0) {
+      this.dataStore.saveGame(game);
+    }
+    return fired;
+  }
+
+  /**
+   * News items posted so far in a game, oldest first
+   */
+  getNews(gameId) {
+    const game = this.getGame(gameId);
+    return game ? game.news : [];
+  }
+
+  /**
+   * Stop a game's timer if it is running
+   */
+  stopTimer(gameId) {
+    const timer = this.gameTimers.get(gameId);
+    if (timer) {
+      clearInterval(timer);
+      this.gameTimers.delete(gameId);
+    }
+  }
+
+  /**
+   * End a game
+   */
+  endGame(gameId) {
+    const game = this.getGame(gameId);
+    if (!game || game.status === 'ended') {
       return { success: false, error: 'No active game to end' };
     }
 
     // Stop timer
-    if (this.gameTimer) {
-      clearInterval(this.gameTimer);
-      this.gameTimer = null;
-    }
+    this.stopTimer(gameId);
 
     // End the game
-    this.currentGame.end();
-    this.dataStore.saveGame(this.currentGame);
-
-    // Calculate final scores for all players
-    const players = this.dataStore.getPlayersByGame(this.currentGame.gameId);
-    const leaderboard = [];
-
-    for (const player of players) {
-      const pnlBreakdown = player.calculateFinalScore(
-        this.config.scrapValues,
-        this.config.setValue,
-        this.config.setRecipe
-      );
-      this.dataStore.savePlayer(player);
+    game.end();
+    this.dataStore.saveGame(game);
 
-      leaderboard.push({
-        playerId: player.playerId,
-        name: player.name,
-        ...pnlBreakdown
-      });
-    }
+    // Last P&L sample, before the final scores replace the live ones
+    this.recordPnl(gameId);
 
-    // Sort by total score descending
-    leaderboard.sort((a, b) => b.totalScore - a.totalScore);
+    // Calculate final scores for everyone still seated (not kicked or gone)
+    for (const player of this.dataStore.getPlayersByGame(game.gameId).filter(p => game.playerIds.includes(p.playerId))) {
+      player.calculateFinalScore(game.config.scrapValues, getSetRecipes(game.config));
+      this.dataStore.savePlayer(player);
+    }
 
-    // Add rank
-    leaderboard.forEach((entry, index) => {
-      entry.rank = index + 1;
-    });
+    const leaderboard = this.getFinalLeaderboard(gameId);
 
     this.dataStore.logEvent({
       type: 'GAME_ENDED',
-      gameId: this.currentGame.gameId,
+      gameId: game.gameId,
       leaderboard,
       timestamp: new Date().toISOString()
     });
 
-    console.log('\n[GAME] ===== GAME ENDED =====');
+    console.log(`\n[GAME] ===== GAME ${game.joinCode} ENDED =====`);
     console.log('[GAME] Final Leaderboard:');
     for (const entry of leaderboard) {
       console.log(`  ${entry.rank}. ${entry.name}: ${entry.totalScore} (${entry.completeSets} sets, PnL: ${entry.pnl >= 0 ? '+' : ''}${entry.pnl})`);
@@ -296,35 +626,204 @@ class GameManager {
     console.log('[GAME] ========================\n');
 
     // Export game data
-    this.dataStore.exportGameData(this.currentGame.gameId);
+    this.dataStore.exportGameData(game.gameId);
 
     if (this.onGameEnd) {
-      this.onGameEnd(leaderboard);
+      this.onGameEnd(game.gameId, leaderboard);
     }
 
     return { success: true, leaderboard };
   }
 
   /**
-   * Get current game state
+   * Get the final ranked leaderboard of an ended game
+   */
+  getFinalLeaderboard(gameId) {
+    const players = this.dataStore.getPlayersByGame(gameId).filter(p => p.pnlBreakdown);
+
+    const leaderboard = players.map(player => ({
+      playerId: player.playerId,
+      name: player.name,
+      isBot: !!(player.houseBot || player.apiKeyId),
+      ...player.pnlBreakdown
+    }));
+
+    // Sort by total score descending
+    leaderboard.sort((a, b) => b.totalScore - a.totalScore);
+
+    // Add rank
+    leaderboard.forEach((entry, index) => {
+      entry.rank = index + 1;
+    });
+
+    return leaderboard;
+  }
+
+  // ===== HOST ADMIN =====
+
+  /**
+   * Look up a game for a host-only action
+   * @param {string} status Status the game must be in, if any
+   * @returns {{ game: Game } | { error: string }}
+   */
+  getHostedGame(gameId, requestingPlayerId, status = null) {
+    const game = this.getGame(gameId);
+    if (!game) {
+      return { error: 'No game exists' };
+    }
+    if (game.hostPlayerId !== requestingPlayerId) {
+      return { error: 'Only the host can do that' };
+    }
+    if (status && game.status !== status) {
+      return { error: 'Game is ' + game.status };
+    }
+    return { game };
+  }
+
+  /**
+   * Record a host action in the event log
+   */
+  logAdminAction(game, action, details = {}) {
+    this.dataStore.logEvent({
+      type: 'ADMIN_ACTION',
+      gameId: game.gameId,
+      hostPlayerId: game.hostPlayerId,
+      action,
+      ...details,
+      gameTime: game.elapsedSeconds,
+      timestamp: new Date().toISOString()
+    });
+    console.log(`[ADMIN] ${game.joinCode}: ${action}${Object.keys(details).length > 0 ? ' ' + JSON.stringify(details) : ''}`);
+  }
+
+  /**
+   * Stop or restart the game clock. While paused no orders can be placed or
+   * amended, and expiries, scheduled events and house bots wait.
+   */
+  setPaused(gameId, requestingPlayerId, paused) {
+    const { game, error } = this.getHostedGame(gameId, requestingPlayerId, 'running');
+    if (error) {
+      return { success: false, error };
+    }
+    if (game.paused === paused) {
+      return { success: false, error: paused ? 'Game is already paused' : 'Game is not paused' };
+    }
+
+    game.setPaused(paused);
+    this.dataStore.saveGame(game);
+    this.logAdminAction(game, paused ? 'pause' : 'resume');
+    return { success: true };
+  }
+
+  /**
+   * Add time to the game clock
+   */
+  addTime(gameId, requestingPlayerId, seconds) {
+    const { game, error } = this.getHostedGame(gameId, requestingPlayerId, 'running');
+    if (error) {
+      return { success: false, error };
+    }
+    if (!Number.isInteger(seconds) || seconds < 1 || seconds > MAX_ADDED_SECONDS) {
+      return { success: false, error: `Add between 1 and ${MAX_ADDED_SECONDS} seconds` };
+    }
+
+    game.timeAdded += seconds;
+    this.dataStore.saveGame(game);
+    this.logAdminAction(game, 'add_time', { seconds, remainingTime: game.getRemainingTime() });
+    return { success: true, remainingTime: game.getRemainingTime() };
+  }
+
+  /**
+   * Halt or resume trading in one product
+   */
+  setTradingHalted(gameId, requestingPlayerId, product, halted) {
+    const { game, error } = this.getHostedGame(gameId, requestingPlayerId);
+    if (error) {
+      return { success: false, error };
+    }
+    if (game.status === 'ended') {
+      return { success: false, error: 'Game is ended' };
+    }
+    if (!game.config.products.includes(product)) {
+      return { success: false, error: `Invalid product: ${product}` };
+    }
+
+    this.getEngine(gameId).setTradingHalted(product, !!halted);
+    this.logAdminAction(game, halted ? 'halt_trading' : 'resume_trading', { product });
+    return { success: true };
+  }
+
+  /**
+   * Remove a player from the game and cancel their orders. Their old
+   * session can no longer rejoin.
+   * @returns {{ success, error?, player? }}
+   */
+  kickPlayer(gameId, requestingPlayerId, playerId) {
+    const { game, error } = this.getHostedGame(gameId, requestingPlayerId);
+    if (error) {
+      return { success: false, error };
+    }
+    if (game.status === 'ended') {
+      return { success: false, error: 'Game is ended' };
+    }
+    if (playerId === game.hostPlayerId) {
+      return { success: false, error: 'The host cannot remove themselves' };
+    }
+    const player = this.dataStore.getPlayer(playerId);
+    if (!player || !game.playerIds.includes(playerId)) {
+      return { success: false, error: 'Not a player in this game' };
+    }
+
+    const cancelledOrders = player.openOrderIds.length;
+    this.getEngine(gameId).cancelAllPlayerOrders(playerId);
+    this.houseBots.set(gameId, (this.houseBots.get(gameId) || []).filter(bot => bot.playerId !== playerId));
+    this.leaveGame(playerId);
+
+    this.logAdminAction(game, 'kick', { playerId, playerName: player.name, cancelledOrders });
+    return { success: true, player };
+  }
+
+  /**
+   * End a running game now, scored as if time ran out
+   */
+  endGameEarly(gameId, requestingPlayerId) {
+    const { game, error } = this.getHostedGame(gameId, requestingPlayerId, 'running');
+    if (error) {
+      return { success: false, error };
+    }
+
+    this.logAdminAction(game, 'end_early', { remainingTime: game.getRemainingTime() });
+    return this.endGame(gameId);
+  }
+
+  /**
+   * Get a game's state
    */
-  getGameState() {
-    if (!this.currentGame) {
+  getGameState(gameId) {
+    const game = this.getGame(gameId);
+    if (!game) {
       return null;
     }
 
-    const players = this.dataStore.getPlayersByGame(this.currentGame.gameId);
+    const players = this.dataStore.getPlayersByGame(game.gameId)
+      .filter(p => game.playerIds.includes(p.playerId));
 
     return {
-      gameId: this.currentGame.gameId,
-      status: this.currentGame.status,
-      hostPlayerId: this.currentGame.hostPlayerId,
-      remainingTime: this.currentGame.getRemainingTime(),
+      gameId: game.gameId,
+      joinCode: game.joinCode,
+      status: game.status,
+      hostPlayerId: game.hostPlayerId,
+      remainingTime: game.getRemainingTime(),
+      paused: game.paused,
+      haltedProducts: this.getEngine(gameId).getHaltedProducts(),
       playerCount: players.length,
-      maxPlayers: this.config.maxPlayers,
+      maxPlayers: game.config.maxPlayers,
       players: players.map(p => ({
         playerId: p.playerId,
-        name: p.name
+        name: p.name,
+        connected: p.connected,
+        isBot: !!(p.houseBot || p.apiKeyId),
+        houseBot: p.houseBot || null
       }))
     };
   }
@@ -336,50 +835,287 @@ class GameManager {
     const player = this.dataStore.getPlayer(playerId);
     if (!player) return null;
 
+    const config = this.getGame(player.gameId)?.config || this.config;
+    const estimate = player.estimateScore(config.scrapValues, getSetRecipes(config));
+
     return {
       playerId: player.playerId,
+      gameId: player.gameId,
       name: player.name,
       cash: player.cash,
+      availableCash: player.getAvailableCash(),
+      reservedCash: player.reservedCash,
       inventory: player.inventory,
-      inventoryValue: player.getInventoryScrapValue(this.config.scrapValues),
-      completeSets: player.getCompleteSets(this.config.setRecipe),
+      availableInventory: Object.fromEntries(
+        Object.keys(player.inventory).map(product => [product, player.getAvailableInventory(product)])
+      ),
+      reservedInventory: player.reservedInventory,
+      inventoryValue: player.getInventoryScrapValue(config.scrapValues),
+      completeSets: estimate.completeSets,
+      sets: estimate.sets,
+      setsValue: estimate.setsValue,
+      estimatedValue: estimate.totalScore,
+      valuation: this.getValuation(player),
       openOrders: player.openOrderIds.map(id => {
         const order = this.dataStore.getOrder(id);
         return order ? order.toJSON() : null;
       }).filter(Boolean),
-      tradeCount: player.tradeHistory.length
+      tradeCount: player.tradeHistory.length,
+      // Only the host is told how to open the facilitator dashboard
+      facilitatorPasscode: this.getGame(player.gameId)?.hostPlayerId === playerId
+        ? this.getGame(player.gameId).facilitatorPasscode
+        : undefined
+    };
+  }
+
+  /**
+   * Check a facilitator passcode for a game. Every PASSCODE_MAX_FAILURES wrong
+   * guesses from one client (e.g. an IP address) lock that client out for a
+   * while; other clients, the host included, can still get in
+   * @param {string} client - Key for whoever is guessing
+   * @returns {{ success: boolean, error?: string }}
+   */
+  checkFacilitatorPasscode(gameId, passcode, client) {
+    const game = this.getGame(gameId);
+    if (!game) {
+      return { success: false, error: 'Game not found' };
+    }
+
+    if (!this.passcodeAttempts.has(gameId)) {
+      this.passcodeAttempts.set(gameId, new Map());
+    }
+    const clients = this.passcodeAttempts.get(gameId);
+    const now = Date.now();
+    const attempts = clients.get(client) || { failures: 0, lockouts: 0, lockedUntil: 0 };
+    if (attempts.lockedUntil > now) {
+      const wait = Math.ceil((attempts.lockedUntil - now) / 1000);
+      return { success: false, error: `Too many wrong passcodes, try again in ${wait}s` };
+    }
+
+    const given = Buffer.from(typeof passcode === 'string' ? passcode.trim() : '');
+    const expected = Buffer.from(game.facilitatorPasscode);
+    if (given.length === expected.length && crypto.timingSafeEqual(given, expected)) {
+      clients.delete(client);
+      return { success: true };
+    }
+
+    attempts.failures++;
+    if (attempts.failures >= PASSCODE_MAX_FAILURES) {
+      const lockout = Math.min(PASSCODE_MAX_LOCKOUT_SECONDS, PASSCODE_LOCKOUT_SECONDS * 2 ** attempts.lockouts);
+      attempts.lockedUntil = now + lockout * 1000;
+      attempts.lockouts++;
+      attempts.failures = 0;
+      console.log(`[GAME] Facilitator view for game ${game.joinCode} locked for ${client} for ${lockout}s`);
+    }
+    clients.set(client, attempts);
+    return { success: false, error: 'Wrong passcode' };
+  }
+
+  /**
+   * Everything the facilitator dashboard shows: named order books and every
+   * player's holdings and live P&L (scored as if the game ended now)
+   */
+  getFacilitatorState(gameId) {
+    const game = this.getGame(gameId);
+    if (!game) return null;
+
+    const { scrapValues } = game.config;
+    const setRecipes = getSetRecipes(game.config);
+    const players = this.dataStore.getPlayersByGame(game.gameId)
+      .filter(p => game.playerIds.includes(p.playerId))
+      .map(p => {
+        const estimate = p.estimateScore(scrapValues, setRecipes);
+        return {
+          playerId: p.playerId,
+          name: p.name,
+          isBot: !!(p.houseBot || p.apiKeyId),
+          connected: p.connected,
+          cash: p.cash,
+          reservedCash: p.reservedCash,
+          inventory: p.inventory,
+          openOrders: p.openOrderIds.length,
+          tradeCount: p.tradeHistory.length,
+          sets: estimate.sets,
+          completeSets: estimate.completeSets,
+          setsValue: estimate.setsValue,
+          scrapValue: estimate.scrapValue,
+          estimatedValue: estimate.totalScore,
+          pnl: estimate.totalScore - (p.initialCash + p.getInitialInventoryValue(scrapValues))
+        };
+      })
+      .sort((a, b) => b.estimatedValue - a.estimatedValue);
+
+    const trades = this.dataStore.getTradesByGame(game.gameId);
+    return {
+      gameId: game.gameId,
+      joinCode: game.joinCode,
+      status: game.status,
+      remainingTime: Math.round(game.getRemainingTime()),
+      paused: game.paused,
+      orderBooks: this.getEngine(gameId).getAllOrderBooks(true),
+      players,
+      tradeCount: trades.length,
+      volume: trades.reduce((sum, t) => sum + t.value, 0)
     };
   }
 
+  /**
+   * What valuePlayer needs to know about a game's market right now
+   */
+  getValuationContext(game) {
+    return {
+      method: game.config.valuationMethod || 'projected',
+      config: game.config,
+      setRecipes: getSetRecipes(game.config),
+      market: this.getEngine(game.gameId)?.getMarketPrices() || {},
+      trades: this.dataStore.getTradesByGame(game.gameId),
+      grants: getGrants(game.news)
+    };
+  }
+
+  /**
+   * Value a player with their game's valuation method (see valuation.js)
+   */
+  getValuation(player) {
+    const game = this.getGame(player.gameId);
+    return game ? valuePlayer(player, this.getValuationContext(game)) : null;
+  }
+
+  /**
+   * Add a P&L sample for every seated player, stamped with the game clock
+   */
+  recordPnl(gameId) {
+    const game = this.getGame(gameId);
+    const history = this.pnlHistory.get(gameId);
+    if (!game || !history) return;
+
+    const context = this.getValuationContext(game);
+    const samples = new Map();
+    for (const playerId of game.playerIds) {
+      const player = this.dataStore.getPlayer(playerId);
+      if (!player) continue;
+
+      const { value, pnl, realizedPnl, unrealizedPnl } = valuePlayer(player, context);
+      const sample = { time: game.elapsedSeconds, value, pnl, realizedPnl, unrealizedPnl };
+      const series = history.get(playerId) || [];
+      // Ending on a sampling tick would stamp the same second twice
+      if (series.length > 0 && series[series.length - 1].time === sample.time) {
+        series.pop();
+      }
+      series.push(sample);
+      history.set(playerId, series);
+      samples.set(playerId, sample);
+    }
+
+    if (this.onPnlSamples) {
+      this.onPnlSamples(gameId, samples);
+    }
+  }
+
+  /**
+   * A player's P&L samples so far, oldest first
+   */
+  getPnlHistory(gameId, playerId) {
+    return this.pnlHistory.get(gameId)?.get(playerId) || [];
+  }
+
+  /**
+   * Bar lengths (seconds) a game keeps price history for
+   */
+  getCandleIntervals(gameId) {
+    const config = this.getGame(gameId)?.config || this.config;
+    return config.candleIntervals || [5, 30];
+  }
+
+  /**
+   * Fold new trades into the game's price bars
+   * @returns {Array<{ interval, product, bar }>} Bars the trades changed
+   */
+  recordTrades(gameId, trades) {
+    const history = this.priceHistories.get(gameId);
+    return history && trades.length > 0 ? history.addTrades(trades) : [];
+  }
+
+  /**
+   * Every product's price bars for one interval (empty before the game starts)
+   * @returns {Object<string, object[]>|null} null if the game or interval is unknown
+   */
+  getCandles(gameId, interval) {
+    const game = this.getGame(gameId);
+    if (!game || !this.getCandleIntervals(gameId).includes(interval)) return null;
+
+    const history = this.priceHistories.get(gameId);
+    return history
+      ? history.getCandles(interval)
+      : Object.fromEntries(game.config.products.map(product => [product, []]));
+  }
+
   /**
    * Get public leaderboard (during game)
+   * Ranked by the game's valuation method (projected final score by default)
    */
-  getLiveLeaderboard() {
-    if (!this.currentGame) return [];
+  getLiveLeaderboard(gameId) {
+    const game = this.getGame(gameId);
+    if (!game) return [];
 
-    const players = this.dataStore.getPlayersByGame(this.currentGame.gameId);
+    const players = this.dataStore.getPlayersByGame(game.gameId)
+      .filter(p => game.playerIds.includes(p.playerId));
 
-    const leaderboard = players.map(p => ({
-      playerId: p.playerId,
-      name: p.name,
-      estimatedValue: p.cash + p.getInventoryScrapValue(this.config.scrapValues),
-      completeSets: p.getCompleteSets(this.config.setRecipe)
-    }));
+    const context = this.getValuationContext(game);
+    const leaderboard = players.map(p => {
+      const { value, pnl } = valuePlayer(p, context);
+      return {
+        playerId: p.playerId,
+        name: p.name,
+        isBot: !!(p.houseBot || p.apiKeyId),
+        estimatedValue: value,
+        pnl,
+        completeSets: p.formSets(context.setRecipes, game.config.scrapValues).completeSets
+      };
+    });
 
     return leaderboard.sort((a, b) => b.estimatedValue - a.estimatedValue);
   }
 
   /**
    * Get game configuration (public)
+   * Falls back to the server defaults when no game is given
    */
-  getPublicConfig() {
+  getPublicConfig(gameId = null) {
+    const game = this.getGame(gameId);
+    const config = game?.config || this.config;
     return {
-      gameDuration: this.config.gameDuration,
-      products: this.config.products,
-      scrapValues: this.config.scrapValues,
-      setValue: this.config.setValue,
-      setRecipe: this.config.setRecipe,
-      maxPlayers: this.config.maxPlayers
+      gameDuration: config.gameDuration,
+      startingCash: config.startingCash,
+      products: config.products,
+      scrapValues: config.scrapValues,
+      setValue: config.setValue,
+      setRecipe: config.setRecipe,
+      setRecipes: getSetRecipes(config),
+      scenario: config.scenario || null,
+      maxPlayers: config.maxPlayers,
+      minOrderSize: config.minOrderSize,
+      maxOrderSize: config.maxOrderSize,
+      showOrderNames: config.showOrderNames,
+      valuationMethod: config.valuationMethod || 'projected',
+      candleIntervals: config.candleIntervals || [5, 30],
+      tickSize: config.tickSize,
+      tickTables: config.tickTables || {},
+      priceBands: config.priceBands || null,
+      // Only the count: what the news says stays a surprise
+      scheduledEventCount: (config.scheduledEvents || []).length,
+      inventoryAllocation: {
+        strategy: config.startingInventoryStrategy || 'random',
+        minPerProduct: config.startingInventoryMinPerProduct ?? 1,
+        scarcity: config.startingInventoryScarcity || null,
+        // With the seed, anyone could work out every seat's starting inventory
+        seed: game?.status === 'ended' ? config.inventorySeed : null
+      },
+      houseBots: {
+        maxPerGame: config.houseBots?.maxPerGame ?? 4,
+        labels: HOUSE_BOT_LABELS,
+        options: getHouseBotOptions(config)
+      }
     };
   }
 }
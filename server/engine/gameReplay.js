@@ -0,0 +1,263 @@
+/**
+ * Game Replay - Rebuilds a game's market at any point in time
+ *
+ * Works from exported game data (DataStore.collectGameData or
+ * DataStore.loadGameData), so finished games can be replayed after a restart.
+ *
+ * Times are on the game clock, like news, P&L samples and price bars: seconds
+ * since the start, less any time the host had the game paused.
+ *
+ * Reconstruction rules:
+ * - An order is in the book once created, until it is fully filled or cancelled
+ * - A stop-limit order only joins the book once it has triggered
+ * - Its size at time t is its quantity minus the fills and size-down amends
+ *   (journalled as order_amended) stamped at or before t
+ * - A cancelled order leaves the book at its last update time
+ * - Player cash and inventory start from their initial values and replay trades
+ *   and scheduled deliveries
+ * - Values changed by scheduled events are rolled back to what they were at t
+ * - The leaderboard is valued as it was live, with the books and prices at t
+ */
+
+const { Order, Player, OrderBook } = require('../models');
+const { getSetRecipes } = require('./gameSettings');
+const { valuePlayer, getGrants } = require('./valuation');
+
+class GameReplay {
+  constructor(gameData) {
+    this.game = gameData.game;
+    this.config = gameData.game.config;
+    this.players = gameData.players;
+    this.news = gameData.game.news || [];
+    this.orders = gameData.orders;
+    // orderId -> size-down amends: { timestamp, quantity removed }
+    this.reductions = new Map();
+    for (const event of gameData.marketEvents || []) {
+      if (event.type !== 'order_amended') continue;
+      if (!this.reductions.has(event.orderId)) this.reductions.set(event.orderId, []);
+      this.reductions.get(event.orderId).push({ timestamp: event.timestamp, quantity: event.quantity });
+    }
+    this.trades = [...gameData.trades].sort(
+      (a, b) => new Date(a.executedAt) - new Date(b.executedAt)
+    );
+
+    const firstActivity = [...this.orders.map(o => o.createdAt), ...this.trades.map(t => t.executedAt)]
+      .map(ts => new Date(ts).getTime())
+      .sort((a, b) => a - b)[0];
+
+    this.startMs = this.game.startTime
+      ? new Date(this.game.startTime).getTime()
+      : (firstActivity ?? new Date(this.game.createdAt).getTime());
+    this.endMs = this.game.endTime ? new Date(this.game.endTime).getTime() : Date.now();
+    this.pauses = (this.game.pauses || []).map(p => ({
+      startMs: new Date(p.start).getTime(),
+      endMs: p.end ? new Date(p.end).getTime() : this.endMs
+    }));
+    this.duration = this.toOffset(this.endMs);
+  }
+
+  /**
+   * Game-clock seconds for a timestamp: time since the start, less the time
+   * spent paused before it
+   */
+  toOffset(timestamp) {
+    const ms = new Date(timestamp).getTime();
+    const paused = this.pauses.reduce((sum, p) => sum + Math.max(0, Math.min(ms, p.endMs) - p.startMs), 0);
+    return Math.max(0, (ms - this.startMs - paused) / 1000);
+  }
+
+  /**
+   * Overview used to draw the scrubber: duration and the key moments on it
+   */
+  getTimeline() {
+    return {
+      gameId: this.game.gameId,
+      joinCode: this.game.joinCode,
+      status: this.game.status,
+      startTime: new Date(this.startMs).toISOString(),
+      endTime: new Date(this.endMs).toISOString(),
+      duration: this.duration,
+      products: this.config.products,
+      moments: [
+        ...this.trades.map(t => ({
+          time: this.toOffset(t.executedAt),
+          type: 'trade',
+          product: t.product,
+          quantity: t.quantity,
+          price: t.price
+        })),
+        ...this.news.map(item => ({
+          time: item.at,
+          type: 'news',
+          headline: item.headline
+        }))
+      ].sort((a, b) => a.time - b.time)
+    };
+  }
+
+  /**
+   * Market state at `time` game-clock seconds
+   * @returns {{ time, orderBooks, players, leaderboard, recentTrades, news }}
+   */
+  getStateAt(time) {
+    const isBefore = (timestamp) => this.toOffset(timestamp) <= time;
+
+    const tradesSoFar = this.trades.filter(t => isBefore(t.executedAt));
+    const newsSoFar = this.news.filter(item => item.at <= time);
+    const players = this.replayPlayers(tradesSoFar, newsSoFar);
+    const config = this.configAt(time);
+    const orderBooks = this.buildOrderBooks(isBefore);
+
+    // Marks for the valuation: the rebuilt books and the last trade before t
+    const market = Object.fromEntries(config.products.map(product => [product, {
+      bestBid: orderBooks[product]?.bestBid ?? null,
+      bestAsk: orderBooks[product]?.bestAsk ?? null,
+      lastPrice: tradesSoFar.filter(t => t.product === product).pop()?.price ?? null
+    }]));
+
+    return {
+      time: Math.max(0, time),
+      orderBooks,
+      players: this.buildPlayers(players, config),
+      leaderboard: this.buildLeaderboard(players, config, {
+        market,
+        trades: tradesSoFar,
+        grants: getGrants(newsSoFar)
+      }),
+      recentTrades: tradesSoFar.slice(-50).reverse(),
+      news: newsSoFar
+    };
+  }
+
+  /**
+   * Scrap and set values in force at `time`: the final config with every
+   * later scheduled change undone
+   */
+  configAt(time) {
+    const scrapValues = { ...this.config.scrapValues };
+    const setRecipes = getSetRecipes(this.config).map(set => ({ ...set }));
+
+    for (const item of [...this.news].reverse()) {
+      if (item.at <= time) break;
+      for (const change of item.changes) {
+        if (change.kind === 'scrapValue') {
+          scrapValues[change.product] = change.from;
+        } else if (change.kind === 'setValue') {
+          const set = setRecipes.find(s => s.name === change.set);
+          if (set) set.value = change.from;
+        }
+      }
+    }
+    return { ...this.config, scrapValues, setRecipes, setValue: setRecipes[0].value };
+  }
+
+  /**
+   * Order book depth (same shape as MatchingEngine.getAllOrderBooks)
+   */
+  buildOrderBooks(isBefore) {
+    const books = new Map(this.config.products.map(p => [p, new OrderBook(p)]));
+
+    for (const data of this.orders) {
+      if (data.price === null || !isBefore(data.createdAt)) continue;
+      if (data.stopPrice != null && !(data.triggeredAt && isBefore(data.triggeredAt))) continue;
+      if (data.status === 'cancelled' && isBefore(data.updatedAt)) continue;
+
+      const filled = data.fills
+        .filter(f => isBefore(f.timestamp))
+        .reduce((sum, f) => sum + f.quantity, 0);
+      const reduced = (this.reductions.get(data.orderId) || [])
+        .filter(r => isBefore(r.timestamp))
+        .reduce((sum, r) => sum + r.quantity, 0);
+      const remainingQuantity = data.quantity - filled - reduced;
+      if (remainingQuantity <= 0) continue;
+
+      const order = Order.fromJSON({
+        ...data,
+        remainingQuantity,
+        status: data.stopPrice != null ? 'triggered' : filled > 0 ? 'partial' : 'open'
+      });
+      books.get(order.product)?.addOrder(order);
+    }
+
+    const depth = {};
+    for (const [product, book] of books) {
+      depth[product] = book.getDepth(this.config.showOrderNames);
+    }
+    return depth;
+  }
+
+  /**
+   * Players with cash and inventory rolled forward through the given trades
+   * and the deliveries in the given news
+   */
+  replayPlayers(trades, news = []) {
+    const players = new Map(this.players.map(data => {
+      const player = Player.fromJSON(data);
+      player.cash = data.initialCash;
+      player.inventory = { ...data.initialInventory };
+      return [player.playerId, player];
+    }));
+
+    for (const trade of trades) {
+      const buyer = players.get(trade.buyerId);
+      const seller = players.get(trade.sellerId);
+      if (buyer) {
+        buyer.cash -= trade.value;
+        buyer.inventory[trade.product] = (buyer.inventory[trade.product] || 0) + trade.quantity;
+      }
+      if (seller) {
+        seller.cash += trade.value;
+        seller.inventory[trade.product] = (seller.inventory[trade.product] || 0) - trade.quantity;
+      }
+    }
+
+    for (const grant of news.flatMap(item => item.grants)) {
+      const player = players.get(grant.playerId);
+      if (player) {
+        player.inventory[grant.product] = (player.inventory[grant.product] || 0) + grant.quantity;
+      }
+    }
+
+    return Array.from(players.values());
+  }
+
+  buildPlayers(players, config = this.config) {
+    return players.map(p => ({
+      playerId: p.playerId,
+      name: p.name,
+      cash: p.cash,
+      inventory: p.inventory,
+      inventoryValue: p.getInventoryScrapValue(config.scrapValues),
+      completeSets: p.estimateScore(config.scrapValues, getSetRecipes(config)).completeSets
+    }));
+  }
+
+  /**
+   * Leaderboard (same shape as GameManager.getLiveLeaderboard)
+   * @param {object} market Prices, trades and deliveries up to t (see valuation.js)
+   */
+  buildLeaderboard(players, config = this.config, { market = {}, trades = [], grants = [] } = {}) {
+    const context = {
+      method: config.valuationMethod || 'projected',
+      config,
+      setRecipes: getSetRecipes(config),
+      market,
+      trades,
+      grants
+    };
+    return players
+      .map(p => {
+        const { value, pnl } = valuePlayer(p, context);
+        return {
+          playerId: p.playerId,
+          name: p.name,
+          estimatedValue: value,
+          pnl,
+          completeSets: p.formSets(context.setRecipes, config.scrapValues).completeSets
+        };
+      })
+      .sort((a, b) => b.estimatedValue - a.estimatedValue);
+  }
+}
+
+module.exports = GameReplay;
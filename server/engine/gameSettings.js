@@ -0,0 +1,146 @@
+/**
+ * Game Settings - Validation for the rules a host can set per game
+ *
+ * The host may override these config.json values when creating a game; the
+ * result is stored on the Game as its own config. Anything not sent keeps the
+ * server default (or the chosen scenario's value). Products themselves are
+ * fixed by the server or scenario.
+ *
+ * A config may list several set recipes in `setRecipes`; `setValue` and
+ * `setRecipe` always mirror the first (primary) one, which is the recipe the
+ * host's overrides apply to.
+ */
+
+const { ALLOCATION_STRATEGIES, MAX_SEED } = require('./inventoryAllocation');
+const { VALUATION_METHODS } = require('./valuation');
+
+// Single-number settings
+const NUMBER_SETTINGS = {
+  gameDuration: { label: 'Game duration', min: 30, max: 3600, integer: true },
+  startingCash: { label: 'Starting cash', min: 0, max: 100000 },
+  setValue: { label: 'Set value', min: 1, max: 100000 },
+  minOrderSize: { label: 'Minimum order size', min: 1, max: 10000, integer: true },
+  maxOrderSize: { label: 'Maximum order size', min: 1, max: 10000, integer: true },
+  startingInventoryMinPerProduct: { label: 'Minimum units per product', min: 0, max: 20, integer: true },
+  inventorySeed: { label: 'Inventory seed', min: 1, max: MAX_SEED, integer: true }
+};
+
+// Per-product settings: one number for every product
+const PRODUCT_SETTINGS = {
+  scrapValues: { label: 'Scrap value', min: 0.01, max: 10000 },
+  setRecipe: { label: 'Recipe quantity', min: 0, max: 10, integer: true }
+};
+
+const BOOLEAN_SETTINGS = {
+  showOrderNames: { label: 'Show order names' }
+};
+
+// Settings picked from a fixed list
+const CHOICE_SETTINGS = {
+  startingInventoryStrategy: { label: 'Inventory strategy', values: ALLOCATION_STRATEGIES },
+  valuationMethod: { label: 'Live valuation', values: VALUATION_METHODS }
+};
+
+const SCARCE_SUPPLY = { label: 'Scarce product supply', min: 0, max: 1000, integer: true };
+
+/**
+ * The set recipes a config defines, as [{ name, value, recipe }]
+ * Configs without `setRecipes` have the single setValue/setRecipe pair
+ */
+function getSetRecipes(config) {
+  if (Array.isArray(config.setRecipes) && config.setRecipes.length > 0) {
+    return config.setRecipes;
+  }
+  return [{ name: 'Sandwich', value: config.setValue, recipe: config.setRecipe }];
+}
+
+// Zero quantities would make a product look required but never limit a set
+function withoutZeroQuantities(recipe) {
+  return Object.fromEntries(Object.entries(recipe).filter(([, quantity]) => quantity > 0));
+}
+
+function checkNumber(value, { label, min, max, integer }) {
+  const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+  if (typeof number !== 'number' || !Number.isFinite(number) ||
+      number < min || number > max || (integer && !Number.isInteger(number))) {
+    return { error: `${label} must be ${integer ? 'a whole number' : 'a number'} from ${min} to ${max}` };
+  }
+  return { value: number };
+}
+
+/**
+ * Merge a host's settings over the server config
+ * @param {object} settings Partial overrides from the client
+ * @param {object} baseConfig Server defaults (config.json)
+ * @returns {{ config?: object, error?: string }}
+ */
+function validateGameSettings(settings, baseConfig) {
+  const setRecipes = getSetRecipes(baseConfig).map(r => ({ ...r, recipe: { ...r.recipe } }));
+  const config = {
+    ...baseConfig,
+    scrapValues: { ...baseConfig.scrapValues },
+    setValue: setRecipes[0].value,
+    setRecipe: { ...setRecipes[0].recipe },
+    setRecipes
+  };
+  if (settings === undefined || settings === null) return { config };
+  if (typeof settings !== 'object' || Array.isArray(settings)) {
+    return { error: 'Settings must be an object' };
+  }
+
+  for (const [key, value] of Object.entries(settings)) {
+    if (NUMBER_SETTINGS[key]) {
+      const checked = checkNumber(value, NUMBER_SETTINGS[key]);
+      if (checked.error) return checked;
+      config[key] = checked.value;
+    } else if (PRODUCT_SETTINGS[key]) {
+      if (typeof value !== 'object' || value === null) {
+        return { error: `${PRODUCT_SETTINGS[key].label}s must be given per product` };
+      }
+      for (const [product, amount] of Object.entries(value)) {
+        if (!baseConfig.products.includes(product)) {
+          return { error: `Unknown product: ${product}` };
+        }
+        const checked = checkNumber(amount, { ...PRODUCT_SETTINGS[key], label: `${PRODUCT_SETTINGS[key].label} for ${product}` });
+        if (checked.error) return checked;
+        config[key][product] = checked.value;
+      }
+    } else if (CHOICE_SETTINGS[key]) {
+      if (!CHOICE_SETTINGS[key].values.includes(value)) {
+        return { error: `${CHOICE_SETTINGS[key].label} must be one of: ${CHOICE_SETTINGS[key].values.join(', ')}` };
+      }
+      config[key] = value;
+    } else if (key === 'startingInventoryScarcity') {
+      if (typeof value !== 'object' || value === null || !baseConfig.products.includes(value.product)) {
+        return { error: 'Scarcity needs one of the game\'s products' };
+      }
+      const checked = checkNumber(value.totalSupply, SCARCE_SUPPLY);
+      if (checked.error) return checked;
+      config[key] = { product: value.product, totalSupply: checked.value };
+    } else if (BOOLEAN_SETTINGS[key]) {
+      if (typeof value !== 'boolean') {
+        return { error: `${BOOLEAN_SETTINGS[key].label} must be true or false` };
+      }
+      config[key] = value;
+    } else {
+      return { error: `Unknown setting: ${key}` };
+    }
+  }
+
+  if (config.minOrderSize > config.maxOrderSize) {
+    return { error: 'Minimum order size cannot exceed the maximum' };
+  }
+  if (config.startingInventoryStrategy === 'scarcity' &&
+      !config.products.includes(config.startingInventoryScarcity?.product)) {
+    return { error: 'Choose which product is scarce' };
+  }
+  config.setRecipe = withoutZeroQuantities(config.setRecipe);
+  if (Object.keys(config.setRecipe).length === 0) {
+    return { error: 'The recipe needs at least one ingredient' };
+  }
+  setRecipes[0] = { ...setRecipes[0], value: config.setValue, recipe: config.setRecipe };
+
+  return { config };
+}
+
+module.exports = { validateGameSettings, getSetRecipes, NUMBER_SETTINGS, PRODUCT_SETTINGS, BOOLEAN_SETTINGS, CHOICE_SETTINGS };
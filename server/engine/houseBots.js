@@ -0,0 +1,282 @@
+/**
+ * House Bots - Built-in bot players that keep thin games trading
+ *
+ * A house bot takes a seat through GameManager.joinGame like a human and
+ * trades through the game's MatchingEngine on the game clock. GameManager
+ * calls act() every `interval` seconds while the game runs.
+ *
+ * Strategies value each ingredient at its share of the most valuable set it
+ * goes into: its scrap value scaled so the recipe adds up to the set's value.
+ *
+ * - marketMaker: keeps a bid and an ask around that value on every product,
+ *   leaning its quotes away from inventory it has built up (skew)
+ * - noiseTrader: random limit orders near value that expire after a while,
+ *   and the odd protected market order
+ * - arbitrageur: buys the missing ingredients when a set of any recipe can be
+ *   completed for less than it adds, and sells units no set uses to bids above
+ *   scrap value. Sets are formed with Player.formSets, as in final scoring
+ */
+
+const { Player } = require('../models');
+const { getSetRecipes } = require('./gameSettings');
+
+// Tunable options per strategy; anything else the host sends is ignored
+const HOUSE_BOT_DEFAULTS = {
+  marketMaker: { interval: 2, spread: 2, size: 2, skew: 0.5, maxPosition: 8 },
+  noiseTrader: { interval: 1, activity: 0.5, maxSize: 3, priceNoise: 0.3, marketOrderRatio: 0.3, orderLifetime: 15 },
+  arbitrageur: { interval: 2, minEdge: 2 }
+};
+
+// Options that are unit counts or seconds, rounded to whole numbers
+const INTEGER_OPTIONS = ['interval', 'size', 'maxPosition', 'maxSize', 'orderLifetime'];
+
+// Options that are probabilities
+const PROBABILITY_OPTIONS = ['activity', 'marketOrderRatio'];
+
+const HOUSE_BOT_LABELS = {
+  marketMaker: 'Market Maker',
+  noiseTrader: 'Noise Trader',
+  arbitrageur: 'Arbitrageur'
+};
+
+class HouseBot {
+  constructor(type, playerId, options) {
+    this.type = type;
+    this.playerId = playerId;
+    this.options = options;
+    this.nextActionAt = 0; // Game-clock second of the next act()
+  }
+
+  /**
+   * Each ingredient's share of the most valuable set it goes into; scrap value
+   * for ingredients no recipe uses
+   */
+  fairValues(config) {
+    const shares = {};
+    for (const { value, recipe } of getSetRecipes(config)) {
+      const recipeScrap = Object.entries(recipe)
+        .reduce((sum, [product, required]) => sum + required * config.scrapValues[product], 0);
+      for (const product of Object.keys(recipe)) {
+        const share = config.scrapValues[product] * value / recipeScrap;
+        shares[product] = Math.max(shares[product] ?? -Infinity, share);
+      }
+    }
+    return Object.fromEntries(
+      config.products.map(p => [p, shares[p] ?? config.scrapValues[p]])
+    );
+  }
+
+  /**
+   * Nearest price the engine will accept: on the tick grid and inside the band
+   */
+  validPrice(engine, product, price) {
+    const band = engine.priceRules.getBand(product, engine.lastPrices.get(product) ?? null);
+    let valid = Math.max(price, band.min);
+    if (band.max !== null) valid = Math.min(valid, band.max);
+
+    valid = engine.priceRules.snap(product, valid);
+    const tick = engine.priceRules.getTickSize(product, valid);
+    if (valid < band.min) valid = engine.priceRules.snap(product, valid + tick);
+    if (band.max !== null && valid > band.max) valid = engine.priceRules.snap(product, valid - tick);
+    return valid > 0 ? valid : null;
+  }
+
+  openOrders(ctx, product = null) {
+    return ctx.player.openOrderIds
+      .map(id => ctx.dataStore.getOrder(id))
+      .filter(o => o && (product === null || o.product === product));
+  }
+
+  submit(ctx, product, side, orderType, quantity, price = null, options = {}) {
+    if (quantity <= 0) return null;
+    return ctx.engine.submitOrder(ctx.game.gameId, ctx.player, product, side, orderType, quantity, price, options);
+  }
+
+  /**
+   * Trade for one round
+   * @returns {object[]} Engine results (submit, amend or cancel) for publishing
+   */
+  act() {
+    return [];
+  }
+}
+
+class MarketMakerBot extends HouseBot {
+  act(ctx) {
+    const { spread, size, skew, maxPosition } = this.options;
+    const fair = this.fairValues(ctx.config);
+    const results = [];
+
+    for (const product of ctx.config.products) {
+      // Lean away from what we've accumulated since the start
+      const position = (ctx.player.inventory[product] || 0) - (ctx.player.initialInventory[product] || 0);
+      const mid = fair[product] - skew * position;
+
+      const quotes = {
+        buy: position < maxPosition ? this.validPrice(ctx.engine, product, mid - spread / 2) : null,
+        sell: position > -maxPosition ? this.validPrice(ctx.engine, product, mid + spread / 2) : null
+      };
+      if (quotes.buy !== null && quotes.sell !== null && quotes.sell <= quotes.buy) {
+        quotes.sell = this.validPrice(ctx.engine, product, quotes.buy + ctx.engine.priceRules.getTickSize(product, quotes.buy));
+      }
+
+      for (const side of ['buy', 'sell']) {
+        const [existing, ...extra] = this.openOrders(ctx, product).filter(o => o.side === side);
+        for (const order of extra) {
+          results.push(ctx.engine.cancelOrder(order.orderId, this.playerId));
+        }
+
+        const price = quotes[side];
+        if (price === null) {
+          if (existing) results.push(ctx.engine.cancelOrder(existing.orderId, this.playerId));
+        } else if (!existing) {
+          const quantity = side === 'sell' ? Math.min(size, ctx.player.getAvailableInventory(product)) : size;
+          results.push(this.submit(ctx, product, side, 'limit', quantity, price));
+        } else if (existing.price !== price) {
+          results.push(ctx.engine.amendOrder(existing.orderId, this.playerId, { price }));
+        }
+      }
+    }
+
+    return results;
+  }
+}
+
+class NoiseTraderBot extends HouseBot {
+  act(ctx) {
+    const { activity, maxSize, priceNoise, marketOrderRatio, orderLifetime } = this.options;
+    if (ctx.random() >= activity) return [];
+
+    const { products } = ctx.config;
+    const product = products[Math.floor(ctx.random() * products.length)];
+    const side = ctx.random() < 0.5 ? 'buy' : 'sell';
+    const quantity = 1 + Math.floor(ctx.random() * maxSize);
+
+    if (ctx.random() < marketOrderRatio) {
+      return [this.submit(ctx, product, side, 'market', quantity, null, { fillPolicy: 'protected', maxSlippage: 25 })];
+    }
+
+    const fair = this.fairValues(ctx.config)[product];
+    const price = this.validPrice(ctx.engine, product, fair * (1 + priceNoise * (ctx.random() * 2 - 1)));
+    if (price === null) return [];
+    return [this.submit(ctx, product, side, 'limit', quantity, price, { timeInForce: 'gtd', expireAfter: orderLifetime })];
+  }
+}
+
+class ArbitrageurBot extends HouseBot {
+  act(ctx) {
+    const { minEdge } = this.options;
+    const { products, scrapValues } = ctx.config;
+    const { player, engine } = ctx;
+    const setRecipes = getSetRecipes(ctx.config);
+    const results = [];
+
+    // What a set of holdings scores, with sets formed the way final scoring forms them
+    const holdingsValue = (inventory) => {
+      const { setsValue, scrapValue } = Player.fromJSON({ ...player, inventory }).estimateScore(scrapValues, setRecipes);
+      return setsValue + scrapValue;
+    };
+    const currentValue = holdingsValue(player.inventory);
+    const { remaining } = player.formSets(setRecipes, scrapValues);
+
+    // Complete one more set if the missing pieces are cheap enough, trying every
+    // recipe and keeping the one that adds most over what the pieces cost
+    let best = null;
+    for (const { recipe } of setRecipes) {
+      const inventory = { ...player.inventory };
+      const buys = [];
+      let cost = 0;
+      for (const [product, required] of Object.entries(recipe)) {
+        const deficit = Math.max(0, required - (remaining[product] || 0));
+        if (deficit === 0) continue;
+
+        const bestAsk = engine.getBestOpposing(product, 'buy');
+        if (!bestAsk || bestAsk.playerId === this.playerId || bestAsk.remainingQuantity < deficit) {
+          cost = Infinity;
+          break;
+        }
+        cost += deficit * bestAsk.price;
+        inventory[product] = (inventory[product] || 0) + deficit;
+        buys.push({ product, quantity: deficit, price: bestAsk.price });
+      }
+      if (buys.length === 0 || cost === Infinity || cost > player.getAvailableCash()) continue;
+
+      const edge = holdingsValue(inventory) - currentValue - cost;
+      if (edge >= minEdge && (!best || edge > best.edge)) {
+        best = { edge, buys };
+      }
+    }
+
+    if (best) {
+      for (const buy of best.buys) {
+        results.push(this.submit(ctx, buy.product, 'buy', 'limit', buy.quantity, buy.price, { timeInForce: 'ioc' }));
+      }
+      return results;
+    }
+
+    // Units none of our sets use are only worth scrap; sell them to richer bids
+    for (const product of products) {
+      const spare = Math.min(remaining[product] || 0, player.getAvailableInventory(product));
+      const bestBid = engine.getBestOpposing(product, 'sell');
+      if (spare <= 0 || !bestBid || bestBid.playerId === this.playerId) continue;
+      if (bestBid.price < scrapValues[product] + minEdge) continue;
+
+      const quantity = Math.min(spare, bestBid.remainingQuantity);
+      results.push(this.submit(ctx, product, 'sell', 'limit', quantity, bestBid.price, { timeInForce: 'ioc' }));
+    }
+
+    return results;
+  }
+}
+
+const HOUSE_BOT_TYPES = {
+  marketMaker: MarketMakerBot,
+  noiseTrader: NoiseTraderBot,
+  arbitrageur: ArbitrageurBot
+};
+
+/**
+ * Each strategy's options for a game: defaults overridden by config.houseBots
+ */
+function getHouseBotOptions(config) {
+  return Object.fromEntries(Object.keys(HOUSE_BOT_TYPES).map(type => (
+    [type, { ...HOUSE_BOT_DEFAULTS[type], ...config.houseBots?.[type] }]
+  )));
+}
+
+/**
+ * Build a bot of the given type, merging host-supplied options over the
+ * configured defaults. Only known numeric options are taken.
+ * @returns {{ bot?: HouseBot, error?: string }}
+ */
+function createHouseBot(type, playerId, config, options = {}) {
+  const BotClass = HOUSE_BOT_TYPES[type];
+  if (!BotClass) {
+    return { error: `Unknown bot type: ${type}` };
+  }
+
+  const merged = getHouseBotOptions(config)[type];
+  for (const [key, value] of Object.entries(options || {})) {
+    if (!(key in merged) || value === null || value === '') continue;
+    const number = Number(value);
+    if (!Number.isFinite(number) || number < 0 || (PROBABILITY_OPTIONS.includes(key) && number > 1)) {
+      return { error: `Invalid ${key} for ${HOUSE_BOT_LABELS[type]}: ${value}` };
+    }
+    merged[key] = INTEGER_OPTIONS.includes(key) ? Math.round(number) : number;
+  }
+  merged.interval = Math.max(1, merged.interval);
+
+  return { bot: new BotClass(type, playerId, merged) };
+}
+
+module.exports = {
+  HouseBot,
+  MarketMakerBot,
+  NoiseTraderBot,
+  ArbitrageurBot,
+  HOUSE_BOT_TYPES,
+  HOUSE_BOT_DEFAULTS,
+  HOUSE_BOT_LABELS,
+  getHouseBotOptions,
+  createHouseBot
+};
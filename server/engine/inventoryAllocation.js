@@ -0,0 +1,153 @@
+/**
+ * Inventory Allocation - Deals each player's starting inventory
+ *
+ * Deals are reproducible: a seat's inventory depends only on the game's config,
+ * its inventorySeed, the seat number (players are dealt in join order) and,
+ * for scarcity, how many seats are taken, so a game created with the same seed
+ * and rules is re-dealt identically.
+ *
+ * Strategies (config.startingInventoryStrategy):
+ * - random: products drawn at random, weighted by startingInventoryWeights,
+ *   until the value lands near startingInventoryTargetTotalValue
+ * - balanced: every product starts at startingInventoryMinPerProduct units,
+ *   then each draw goes to the product the player holds the least value of
+ * - scarcity: like random, but startingInventoryScarcity.product is capped at
+ *   totalSupply units across the whole table, spread over the seats taken.
+ *   Players are dealt as they join (assuming a full table) and re-dealt once
+ *   the game starts and the real seat count is known
+ *
+ * startingInventoryLimits ({ min, max } units per player) apply to all of them.
+ */
+
+const crypto = require('crypto');
+
+const ALLOCATION_STRATEGIES = ['random', 'balanced', 'scarcity'];
+
+// Seeds are shown to hosts for rematches, so keep them short
+const MAX_SEED = 999999999;
+
+function generateSeed() {
+  return crypto.randomInt(1, MAX_SEED + 1);
+}
+
+/**
+ * Small seeded PRNG (mulberry32): returns a function giving floats in [0, 1)
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Independent stream per seat (and one for the table-wide scarcity plan)
+function streamSeed(seed, stream) {
+  return (seed ^ Math.imul(stream + 1, 0x9E3779B1)) >>> 0;
+}
+
+/**
+ * Units of the scarce product each seat gets: totalSupply dealt one at a
+ * time around the table in a seeded random seat order
+ */
+function planScarcity(config, seed, seats) {
+  const { totalSupply } = config.startingInventoryScarcity;
+  const random = createRandom(streamSeed(seed, -1));
+
+  const order = Array.from({ length: seats }, (_, i) => i);
+  for (let i = order.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [order[i], order[j]] = [order[j], order[i]];
+  }
+
+  const shares = new Array(seats).fill(0);
+  for (let unit = 0; unit < totalSupply; unit++) {
+    shares[order[unit % seats]]++;
+  }
+  return shares;
+}
+
+/**
+ * Deal one seat's starting inventory
+ * @param {object} config Game config
+ * @param {number} seed The game's inventorySeed
+ * @param {number} seat 0 for the first player dealt, 1 for the next, ...
+ * @param {number} [seats] Seats taken at the table (scarcity only; default maxPlayers)
+ * @returns {{ inventory: Object<string, number>, value: number }}
+ */
+function dealInventory(config, seed, seat, seats = config.maxPlayers) {
+  const { products, scrapValues, startingInventoryTargetTotalValue, startingInventoryRandomizationFactor } = config;
+  const strategy = config.startingInventoryStrategy || 'random';
+  const weights = config.startingInventoryWeights || {};
+  const limits = config.startingInventoryLimits || {};
+  const random = createRandom(streamSeed(seed, seat));
+
+  const min = {};
+  const max = {};
+  for (const product of products) {
+    max[product] = limits[product]?.max ?? Infinity;
+    min[product] = Math.min(limits[product]?.min || 0, max[product]);
+  }
+  if (strategy === 'balanced') {
+    const floor = config.startingInventoryMinPerProduct ?? 1;
+    for (const product of products) {
+      min[product] = Math.min(Math.max(min[product], floor), max[product]);
+    }
+  } else if (strategy === 'scarcity') {
+    // Seats past the table size (after players left and rejoined) get none
+    const { product } = config.startingInventoryScarcity;
+    const share = planScarcity(config, seed, seats)[seat] || 0;
+    min[product] = max[product] = Math.min(share, max[product]);
+  }
+
+  const inventory = {};
+  let currentValue = 0;
+  for (const product of products) {
+    inventory[product] = min[product];
+    currentValue += inventory[product] * scrapValues[product];
+  }
+
+  const targetValue = startingInventoryTargetTotalValue;
+  const minValue = targetValue * (1 - startingInventoryRandomizationFactor);
+  const maxValue = targetValue * (1 + startingInventoryRandomizationFactor);
+  const weightOf = (product) => weights[product] ?? 1;
+  const canAdd = (product) => weightOf(product) > 0 && inventory[product] < max[product] &&
+    currentValue + scrapValues[product] <= maxValue;
+
+  // Draw until we reach the target range (balanced: the whole target)
+  while (currentValue < (strategy === 'balanced' ? targetValue : minValue)) {
+    const candidates = products.filter(canAdd);
+    if (candidates.length === 0) break;
+
+    let product;
+    if (strategy === 'balanced') {
+      // Least value held relative to its weight; random among ties
+      const share = (p) => inventory[p] * scrapValues[p] / weightOf(p);
+      const lowest = Math.min(...candidates.map(share));
+      const tied = candidates.filter(p => share(p) === lowest);
+      product = tied[Math.floor(random() * tied.length)];
+    } else {
+      // Odds proportional to weight
+      let pick = random() * candidates.reduce((sum, p) => sum + weightOf(p), 0);
+      product = candidates.find(p => (pick -= weightOf(p)) < 0) || candidates[candidates.length - 1];
+    }
+
+    inventory[product]++;
+    currentValue += scrapValues[product];
+  }
+
+  // If we're under target, try to add cheaper items
+  while (currentValue < targetValue) {
+    const product = [...products].sort((a, b) => scrapValues[a] - scrapValues[b]).find(canAdd);
+    if (!product) break;
+    inventory[product]++;
+    currentValue += scrapValues[product];
+  }
+
+  return { inventory, value: currentValue };
+}
+
+module.exports = { dealInventory, createRandom, generateSeed, ALLOCATION_STRATEGIES, MAX_SEED };
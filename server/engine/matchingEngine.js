@@ -2,61 +2,162 @@
  * Matching Engine - Handles order matching and trade execution
  *
  * Features:
- * - Price-time priority matching
+ * - Price-time priority matching over price levels with FIFO queues
  * - Market and limit order support
+ * - Market fill policies: immediate-or-cancel and price-protected
+ * - Time-in-force for limit orders: GTC, IOC, FOK, post-only, GTD
+ * - Stop and stop-limit orders, held in a per-product trigger book
+ * - Amend: size-down in place, otherwise atomic cancel-replace
+ * - Tick size and price band validation (see PriceRules)
  * - Partial fills
  * - Self-trade prevention
+ * - Cash and inventory reserved for resting orders
+ * - Sequenced order-lifecycle journal (MarketEvent)
+ * - Sequenced level-2 deltas per order book (takeOrderBookDeltas)
  */
 
-const { Order, Trade, OrderBook } = require('../models');
+const { Order, Trade, OrderBook, TriggerBook, MarketEvent } = require('../models');
+const PriceRules = require('./priceRules');
+
+const ORDER_TYPES = ['limit', 'market', 'stop', 'stop_limit'];
+
+const TIME_IN_FORCE = ['gtc', 'ioc', 'fok', 'post_only', 'gtd'];
+
+// Time-in-force values whose unfilled remainder rests on the book
+const RESTING_TIME_IN_FORCE = ['gtc', 'post_only', 'gtd'];
 
 class MatchingEngine {
   constructor(dataStore, config) {
     this.dataStore = dataStore;
     this.config = config;
+    this.priceRules = new PriceRules(config);
     this.orderBooks = new Map();
+    this.triggerBooks = new Map(); // product -> pending stop orders
+    this.lastPrices = new Map(); // product -> last trade price, for stop triggers
+    this.gameTime = 0; // Seconds since game start, advanced by expireOrders()
+    this.haltedProducts = new Set(); // Products the host halted: no new orders or amendments
 
     // Initialize order books for each product
     for (const product of config.products) {
       this.orderBooks.set(product, new OrderBook(product));
+      this.triggerBooks.set(product, new TriggerBook(product));
     }
   }
 
   /**
    * Submit a new order
-   * @returns {{ order: Order, trades: Trade[], errors: string[] }}
+   * @param {Object} [options] - Market orders: { fillPolicy, maxSlippage, priceCap };
+   *   limit orders: { timeInForce, expireAfter } (expireAfter in seconds, GTD only);
+   *   stop / stop_limit orders: { stopPrice }
+   * @returns {{ order: Order, trades: Trade[], triggered: Order[], errors: string[], code?: string }}
+   *   triggered lists stop orders this order's trades activated; code is set
+   *   for price rejections (see PriceRules.REJECTIONS)
    */
-  submitOrder(gameId, player, product, side, orderType, quantity, price = null) {
+  submitOrder(gameId, player, product, side, orderType, quantity, price = null, options = {}) {
     const errors = [];
     const trades = [];
+    const triggered = [];
 
     // Validation
     if (!this.config.products.includes(product)) {
       errors.push(`Invalid product: ${product}`);
-      return { order: null, trades, errors };
+      return { order: null, trades, triggered, errors };
+    }
+
+    if (this.haltedProducts.has(product)) {
+      errors.push(`Trading in ${product} is halted`);
+      return { order: null, trades, triggered, errors, code: PriceRules.REJECTIONS.TRADING_HALTED };
+    }
+
+    if (!Number.isInteger(quantity)) {
+      errors.push('Quantity must be a whole number');
+      return { order: null, trades, triggered, errors, code: PriceRules.REJECTIONS.INVALID_QUANTITY };
     }
 
     if (quantity < this.config.minOrderSize || quantity > this.config.maxOrderSize) {
       errors.push(`Quantity must be between ${this.config.minOrderSize} and ${this.config.maxOrderSize}`);
-      return { order: null, trades, errors };
+      return { order: null, trades, triggered, errors };
+    }
+
+    if (!ORDER_TYPES.includes(orderType)) {
+      errors.push(`Invalid order type: ${orderType}`);
+      return { order: null, trades, triggered, errors };
     }
 
-    if (orderType === 'limit' && (price === null || price <= 0)) {
+    if ((orderType === 'limit' || orderType === 'stop_limit') && price === null) {
       errors.push('Limit orders require a positive price');
-      return { order: null, trades, errors };
+      return { order: null, trades, triggered, errors, code: PriceRules.REJECTIONS.INVALID_PRICE };
+    }
+
+    if (price !== null) {
+      const priceError = this.priceRules.check(product, price, this.lastPrices.get(product) ?? null);
+      if (priceError) {
+        errors.push(priceError.error);
+        return { order: null, trades, triggered, errors, code: priceError.code };
+      }
     }
 
-    // Check if player has enough resources
+    const isStop = orderType === 'stop' || orderType === 'stop_limit';
+    if (isStop) {
+      const stopError = this.validateStopPrice(product, side, options.stopPrice);
+      if (stopError) {
+        errors.push(stopError.error);
+        return { order: null, trades, triggered, errors, code: stopError.code };
+      }
+    }
+
+    // Stops wait in the trigger book as GTC, and market orders are always IOC
+    let timeInForce = 'gtc';
+    if (orderType === 'limit') {
+      timeInForce = options.timeInForce || 'gtc';
+    } else if (orderType === 'market') {
+      timeInForce = 'ioc';
+    }
+    if (!TIME_IN_FORCE.includes(timeInForce)) {
+      errors.push(`Invalid time in force: ${timeInForce}`);
+      return { order: null, trades, triggered, errors };
+    }
+
+    if (timeInForce === 'gtd' && !(Number.isInteger(options.expireAfter) && options.expireAfter > 0)) {
+      errors.push('Good-till orders need a whole number of seconds to live');
+      return { order: null, trades, triggered, errors };
+    }
+
+    if (timeInForce === 'post_only') {
+      const best = this.getBestOpposing(product, side);
+      if (best && (side === 'buy' ? price >= best.price : price <= best.price)) {
+        errors.push(`Post-only order would cross the book at ${best.price}`);
+        return { order: null, trades, triggered, errors };
+      }
+    }
+
+    let protectionPrice = null;
+    if (orderType === 'market') {
+      const protection = this.resolveProtection(product, side, options);
+      if (protection.error) {
+        errors.push(protection.error);
+        return { order: null, trades, triggered, errors };
+      }
+      protectionPrice = protection.price;
+    }
+
+    // Check if player has enough unreserved resources. Stops reserve nothing
+    // while pending and are checked again when they trigger.
     if (side === 'buy') {
-      const requiredCash = orderType === 'limit' ? quantity * price : this.estimateMarketBuyCost(product, quantity);
-      if (player.cash < requiredCash) {
-        errors.push(`Insufficient cash. Required: ${requiredCash}, Available: ${player.cash}`);
-        return { order: null, trades, errors };
+      let requiredCash = 0;
+      if (orderType === 'limit' || orderType === 'stop_limit') {
+        requiredCash = quantity * price;
+      } else if (orderType === 'market') {
+        requiredCash = this.estimateMarketBuyCost(product, quantity, protectionPrice);
+      }
+      if (player.getAvailableCash() < requiredCash) {
+        errors.push(`Insufficient cash. Required: ${requiredCash}, Available: ${player.getAvailableCash()}`);
+        return { order: null, trades, triggered, errors };
       }
     } else {
-      if ((player.inventory[product] || 0) < quantity) {
-        errors.push(`Insufficient ${product}. Required: ${quantity}, Available: ${player.inventory[product] || 0}`);
-        return { order: null, trades, errors };
+      if (player.getAvailableInventory(product) < quantity) {
+        errors.push(`Insufficient ${product}. Required: ${quantity}, Available: ${player.getAvailableInventory(product)}`);
+        return { order: null, trades, triggered, errors };
       }
     }
 
@@ -69,38 +170,183 @@ class MatchingEngine {
       side,
       orderType,
       quantity,
-      price
+      price,
+      { ...options, timeInForce }
     );
+    order.protectionPrice = protectionPrice;
+    if (timeInForce === 'gtd') {
+      order.expiresAt = this.gameTime + options.expireAfter;
+    }
+
+    this.journal('order_placed', order, order.quantity, order.price);
+
+    if (isStop) {
+      this.triggerBooks.get(product).addOrder(order);
+      player.addOrder(order.orderId);
+      this.dataStore.savePlayer(player);
+      this.dataStore.saveOrder(order);
+      console.log(`[ENGINE] ${orderType} order ${order.orderId} waiting for ${product} @ ${order.stopPrice}`);
+      return { order, trades, triggered, errors };
+    }
+
+    trades.push(...this.executeOrder(order, player));
+
+    // Activate any stops the new trades reached
+    if (trades.length > 0) {
+      const cascade = this.runTriggers(product);
+      trades.push(...cascade.trades);
+      triggered.push(...cascade.triggered);
+    }
+
+    return { order, trades, triggered, errors };
+  }
+
+  /**
+   * Match a live order, then rest, cancel or kill what is left of it
+   * according to its type and time in force
+   * @returns {Trade[]}
+   */
+  executeOrder(order, player) {
+    const { product, orderType, timeInForce } = order;
+
+    // Fill-or-kill: only match if the whole quantity can trade right now
+    if (timeInForce === 'fok' && this.getFillableQuantity(order, player) < order.quantity) {
+      order.cancel();
+      this.journal('order_cancelled', order, order.remainingQuantity, order.price);
+      this.dataStore.saveOrder(order);
+      console.log(`[ENGINE] FOK order ${order.orderId} killed - not enough liquidity for ${order.quantity}`);
+      return [];
+    }
 
     // Try to match the order
-    const matchResult = this.matchOrder(order, player);
-    trades.push(...matchResult.trades);
+    const { trades } = this.matchOrder(order, player);
 
-    // If order has remaining quantity and is a limit order, add to book
-    if (order.remainingQuantity > 0 && orderType === 'limit') {
+    // If order has remaining quantity and is a resting limit order, add to book
+    // and lock the cash or units backing it
+    if (order.remainingQuantity > 0 && orderType === 'limit' && RESTING_TIME_IN_FORCE.includes(timeInForce)) {
       const orderBook = this.orderBooks.get(product);
       orderBook.addOrder(order);
       player.addOrder(order.orderId);
+      player.reserveFor(order);
+      this.dataStore.savePlayer(player);
     } else if (order.remainingQuantity > 0 && orderType === 'market') {
-      // Market order with remaining quantity - no liquidity
-      // Keep it open to be filled when liquidity arrives
-      const orderBook = this.orderBooks.get(product);
-      // Convert to aggressive limit order at best price
-      if (side === 'buy') {
-        order.price = 999999; // Very high price to ensure it's at top of book
-      } else {
-        order.price = 1; // Very low price to ensure it's at top of book
-      }
-      order.orderType = 'limit'; // Convert to limit
-      orderBook.addOrder(order);
-      player.addOrder(order.orderId);
-      console.log(`[ENGINE] Market order ${order.orderId} has ${order.remainingQuantity} remaining - converted to aggressive limit`);
+      // Market orders never rest: cancel whatever the book (or the price
+      // protection) did not allow to fill right away
+      order.cancel();
+      this.journal('order_cancelled', order, order.remainingQuantity, order.price);
+      console.log(`[ENGINE] ${order.fillPolicy} market order ${order.orderId} has ${order.remainingQuantity} unfilled - remainder cancelled`);
+    } else if (order.remainingQuantity > 0) {
+      // IOC limit order: cancel what did not cross
+      order.cancel();
+      this.journal('order_cancelled', order, order.remainingQuantity, order.price);
+      console.log(`[ENGINE] ${timeInForce.toUpperCase()} order ${order.orderId} has ${order.remainingQuantity} unfilled - remainder cancelled`);
     }
 
     // Save order to datastore
     this.dataStore.saveOrder(order);
 
-    return { order, trades, errors };
+    return trades;
+  }
+
+  /**
+   * A stop price must be on the tick grid and sit on the far side of the
+   * last trade price, or it would trigger straight away
+   * @returns {{ code: string, error: string }|null} null if the stop price is valid
+   */
+  validateStopPrice(product, side, stopPrice) {
+    const { INVALID_PRICE, OFF_TICK, STOP_PRICE_CROSSED } = PriceRules.REJECTIONS;
+
+    if (typeof stopPrice !== 'number' || !Number.isFinite(stopPrice) || stopPrice <= 0) {
+      return { code: INVALID_PRICE, error: 'Stop orders require a positive stop price' };
+    }
+
+    if (!this.priceRules.isOnTick(product, stopPrice)) {
+      return {
+        code: OFF_TICK,
+        error: `Stop price ${stopPrice} is not on the ${product} tick grid; nearest is ${this.priceRules.snap(product, stopPrice)}`
+      };
+    }
+
+    const lastPrice = this.lastPrices.get(product);
+    if (lastPrice !== undefined) {
+      if (side === 'buy' && stopPrice <= lastPrice) {
+        return { code: STOP_PRICE_CROSSED, error: `Buy stop must be above the last trade price (${lastPrice})` };
+      }
+      if (side === 'sell' && stopPrice >= lastPrice) {
+        return { code: STOP_PRICE_CROSSED, error: `Sell stop must be below the last trade price (${lastPrice})` };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Activate every stop the last trade price has reached. Trades from
+   * triggered orders can move the price again, so keep going until no
+   * more stops fire.
+   * @returns {{ trades: Trade[], triggered: Order[] }}
+   */
+  runTriggers(product) {
+    const trades = [];
+    const triggered = [];
+    const triggerBook = this.triggerBooks.get(product);
+
+    let batch = triggerBook.takeTriggered(this.lastPrices.get(product));
+    while (batch.length > 0) {
+      for (const order of batch) {
+        triggered.push(order);
+        trades.push(...this.activateStop(order));
+      }
+      batch = triggerBook.takeTriggered(this.lastPrices.get(product));
+    }
+
+    return { trades, triggered };
+  }
+
+  /**
+   * Turn a triggered stop into a market order (stop) or a GTC limit order
+   * (stop_limit) and send it to matching. It keeps the 'triggered' status
+   * until it is filled or cancelled
+   * @returns {Trade[]}
+   */
+  activateStop(order) {
+    const player = this.dataStore.getPlayer(order.playerId);
+
+    order.orderType = order.orderType === 'stop' ? 'market' : 'limit';
+    order.fillPolicy = order.orderType === 'market' ? 'ioc' : null;
+    order.timeInForce = order.orderType === 'market' ? 'ioc' : 'gtc';
+    order.status = 'triggered';
+    order.triggeredAt = new Date().toISOString();
+    order.updatedAt = order.triggeredAt;
+    this.journal('order_triggered', order, order.remainingQuantity, order.price);
+    console.log(`[ENGINE] Stop ${order.orderId} triggered at ${this.lastPrices.get(order.product)}`);
+
+    // Balances may have moved since the stop was placed; re-check before matching
+    let shortfall = null;
+    if (!player) {
+      shortfall = 'player not found';
+    } else if (order.side === 'sell' && player.getAvailableInventory(order.product) < order.remainingQuantity) {
+      shortfall = `insufficient ${order.product}`;
+    } else if (order.side === 'buy' && order.orderType === 'limit' &&
+               player.getAvailableCash() < order.remainingQuantity * order.price) {
+      shortfall = 'insufficient cash';
+    }
+
+    if (player) {
+      // executeOrder re-adds it if the order comes to rest on the book
+      player.removeOrder(order.orderId);
+      this.dataStore.savePlayer(player);
+    }
+
+    if (shortfall) {
+      order.cancel();
+      this.journal('order_cancelled', order, order.remainingQuantity, order.price);
+      this.dataStore.saveOrder(order);
+      console.log(`[ENGINE] Triggered stop ${order.orderId} cancelled - ${shortfall}`);
+      return [];
+    }
+
+    return this.executeOrder(order, player);
   }
 
   /**
@@ -130,24 +376,32 @@ class MatchingEngine {
         break;
       }
 
-      // Price check for limit orders
-      if (incomingOrder.orderType === 'limit') {
-        if (incomingOrder.side === 'buy' && incomingOrder.price < opposingOrder.price) {
+      // Price check for limit orders, and for protected market orders
+      const limitPrice = incomingOrder.orderType === 'limit'
+        ? incomingOrder.price
+        : incomingOrder.protectionPrice;
+      if (limitPrice !== null) {
+        if (incomingOrder.side === 'buy' && limitPrice < opposingOrder.price) {
           break; // Buy price too low
         }
-        if (incomingOrder.side === 'sell' && incomingOrder.price > opposingOrder.price) {
+        if (incomingOrder.side === 'sell' && limitPrice > opposingOrder.price) {
           break; // Sell price too high
         }
       }
 
-      // Execute the trade
+      // Execute the trade; stop if it cannot settle rather than retrying the same order
       const trade = this.executeTrade(incomingOrder, opposingOrder, incomingPlayer);
-      if (trade) {
-        trades.push(trade);
+      if (!trade) {
+        break;
       }
+      trades.push(trade);
 
-      // Clean up filled orders
-      orderBook.cleanup();
+      // Filled resting orders leave the book; the incoming one was never on it
+      if (opposingOrder.status === 'filled') {
+        orderBook.removeOrder(opposingOrder.orderId);
+      } else {
+        orderBook.touch(opposingOrder);
+      }
     }
 
     return { trades };
@@ -157,8 +411,17 @@ class MatchingEngine {
    * Execute a trade between two orders
    */
   executeTrade(incomingOrder, restingOrder, incomingPlayer) {
-    const quantity = Math.min(incomingOrder.remainingQuantity, restingOrder.remainingQuantity);
     const price = restingOrder.price; // Trade at the resting order's price
+    let quantity = Math.min(incomingOrder.remainingQuantity, restingOrder.remainingQuantity);
+
+    // A market buy is not reserved up front; fill only what its free cash covers
+    if (incomingOrder.side === 'buy' && incomingOrder.orderType === 'market') {
+      quantity = Math.min(quantity, Math.floor(incomingPlayer.getAvailableCash() / price));
+      if (quantity <= 0) {
+        console.log(`[ENGINE] Buyer ${incomingOrder.playerId} cannot afford more ${incomingOrder.product}`);
+        return null;
+      }
+    }
 
     // Determine buyer and seller
     let buyOrder, sellOrder, buyerId, sellerId;
@@ -185,16 +448,28 @@ class MatchingEngine {
 
     const tradeValue = quantity * price;
 
-    // Check resources one more time
-    if (buyer.cash < tradeValue) {
+    // Check resources one more time. The resting side is backed by its
+    // reservation; the incoming side must fit in its unreserved balance.
+    const restingPlayer = restingOrder.playerId === buyerId ? buyer : seller;
+    const buyerCash = restingPlayer === buyer ? buyer.cash : buyer.getAvailableCash();
+    const sellerUnits = restingPlayer === seller
+      ? (seller.inventory[incomingOrder.product] || 0)
+      : seller.getAvailableInventory(incomingOrder.product);
+    if (buyerCash < tradeValue) {
       console.log(`[ENGINE] Buyer ${buyerId} has insufficient cash for trade`);
       return null;
     }
-    if ((seller.inventory[incomingOrder.product] || 0) < quantity) {
+    if (sellerUnits < quantity) {
       console.log(`[ENGINE] Seller ${sellerId} has insufficient inventory for trade`);
       return null;
     }
 
+    // Release the resting order's lock on the filled units
+    restingPlayer.releaseFor(restingOrder, quantity);
+
+    // Stops trigger off the last trade price (see runTriggers)
+    this.lastPrices.set(incomingOrder.product, price);
+
     // Execute the trade
     // Update buyer
     buyer.cash -= tradeValue;
@@ -215,10 +490,13 @@ class MatchingEngine {
       quantity,
       price
     );
+    trade.gameTime = this.gameTime;
 
     // Update orders
     buyOrder.fill(trade.tradeId, quantity, price);
     sellOrder.fill(trade.tradeId, quantity, price);
+    this.journalFill(buyOrder, trade);
+    this.journalFill(sellOrder, trade);
 
     // Update player trade history
     buyer.addTrade(trade.tradeId);
@@ -262,73 +540,416 @@ class MatchingEngine {
       return { success: false, error: 'Order already ' + order.status };
     }
 
-    // Remove from order book
-    const orderBook = this.orderBooks.get(order.product);
-    orderBook.removeOrder(orderId);
+    this.pullOrder(order, 'order_cancelled');
+
+    console.log(`[ENGINE] Order cancelled: ${orderId}`);
+
+    return { success: true, order };
+  }
+
+  /**
+   * Amend a resting limit order.
+   * Reducing the quantity at the same price keeps queue priority. Any other
+   * change (new price, larger size) is an atomic cancel-replace: the old order
+   * is pulled and a new one re-matched and re-reserved in a single step.
+   * @param {{ quantity?: number, price?: number }} changes - quantity is the new remaining size
+   * @returns {{ success: boolean, error?: string, code?: string, order?: Order,
+   *   replacedOrderId?: string, trades: Trade[], triggered: Order[] }}
+   */
+  amendOrder(orderId, playerId, changes) {
+    const trades = [];
+    const triggered = [];
+    const order = this.dataStore.getOrder(orderId);
+
+    if (!order) {
+      return { success: false, error: 'Order not found', trades, triggered };
+    }
+
+    if (order.playerId !== playerId) {
+      return { success: false, error: 'Not your order', trades, triggered };
+    }
+
+    if (order.orderType !== 'limit' || !order.isResting()) {
+      return { success: false, error: 'Only resting limit orders can be amended', trades, triggered };
+    }
+
+    if (this.haltedProducts.has(order.product)) {
+      return { success: false, error: `Trading in ${order.product} is halted`, code: PriceRules.REJECTIONS.TRADING_HALTED, trades, triggered };
+    }
+
+    const quantity = changes.quantity ?? order.remainingQuantity;
+    const price = changes.price ?? order.price;
+
+    if (!Number.isInteger(quantity)) {
+      return {
+        success: false,
+        error: 'Quantity must be a whole number',
+        code: PriceRules.REJECTIONS.INVALID_QUANTITY,
+        trades,
+        triggered
+      };
+    }
+
+    if (quantity < this.config.minOrderSize || quantity > this.config.maxOrderSize) {
+      return {
+        success: false,
+        error: `Quantity must be between ${this.config.minOrderSize} and ${this.config.maxOrderSize}`,
+        trades,
+        triggered
+      };
+    }
+
+    if (price !== order.price) {
+      const priceError = this.priceRules.check(order.product, price, this.lastPrices.get(order.product) ?? null);
+      if (priceError) {
+        return { success: false, error: priceError.error, code: priceError.code, trades, triggered };
+      }
+    }
+
+    if (quantity === order.remainingQuantity && price === order.price) {
+      return { success: false, error: 'Nothing to amend', trades, triggered };
+    }
+
+    const player = this.dataStore.getPlayer(playerId);
+
+    // Size-down at the same price: amend in place and keep queue priority.
+    // quantity stays as first ordered; the journalled reduction lets replays
+    // rebuild the order's size before and after
+    if (price === order.price && quantity < order.remainingQuantity) {
+      const reduction = order.remainingQuantity - quantity;
+      order.remainingQuantity = quantity;
+      order.updatedAt = new Date().toISOString();
+      player.releaseFor(order, reduction);
+      this.orderBooks.get(order.product).touch(order);
+
+      this.journal('order_amended', order, reduction, order.price);
+      this.dataStore.saveOrder(order);
+      this.dataStore.savePlayer(player);
+      console.log(`[ENGINE] Order ${orderId} reduced by ${reduction} to ${quantity}`);
+
+      return { success: true, order, trades, triggered };
+    }
+
+    // Cancel-replace. Validate against what the player would have once the
+    // old order's reservation is released, so a failed amend leaves it untouched.
+    if (order.side === 'buy') {
+      const freed = order.remainingQuantity * order.price;
+      const required = quantity * price;
+      if (player.getAvailableCash() + freed < required) {
+        return {
+          success: false,
+          error: `Insufficient cash. Required: ${required}, Available: ${player.getAvailableCash() + freed}`,
+          trades,
+          triggered
+        };
+      }
+    } else {
+      const available = player.getAvailableInventory(order.product) + order.remainingQuantity;
+      if (available < quantity) {
+        return {
+          success: false,
+          error: `Insufficient ${order.product}. Required: ${quantity}, Available: ${available}`,
+          trades,
+          triggered
+        };
+      }
+    }
+
+    if (order.timeInForce === 'post_only') {
+      const best = this.getBestOpposing(order.product, order.side);
+      if (best && (order.side === 'buy' ? price >= best.price : price <= best.price)) {
+        return { success: false, error: `Post-only order would cross the book at ${best.price}`, trades, triggered };
+      }
+    }
+
+    this.pullOrder(order, 'order_replaced');
+
+    const replacement = new Order(
+      order.gameId,
+      order.playerId,
+      order.playerName,
+      order.product,
+      order.side,
+      'limit',
+      quantity,
+      price,
+      { timeInForce: order.timeInForce, replacesOrderId: order.orderId }
+    );
+    replacement.expiresAt = order.expiresAt;
+
+    this.journal('order_placed', replacement, replacement.quantity, replacement.price);
+    trades.push(...this.executeOrder(replacement, player));
+
+    if (trades.length > 0) {
+      const cascade = this.runTriggers(order.product);
+      trades.push(...cascade.trades);
+      triggered.push(...cascade.triggered);
+    }
+
+    console.log(`[ENGINE] Order ${orderId} replaced by ${replacement.orderId}: ${quantity} @ ${price}`);
+
+    return { success: true, order: replacement, replacedOrderId: order.orderId, trades, triggered };
+  }
+
+  /**
+   * Take a resting order off the book, cancel it and release its reservation
+   */
+  pullOrder(order, eventType) {
+    const wasPending = order.status === 'pending';
+
+    // Remove from order book, or from the trigger book if it never triggered
+    if (wasPending) {
+      this.triggerBooks.get(order.product).removeOrder(order.orderId);
+    } else {
+      this.orderBooks.get(order.product).removeOrder(order.orderId);
+    }
 
     // Update order status
     order.cancel();
+    this.journal(eventType, order, order.remainingQuantity, order.price);
 
-    // Update player
-    const player = this.dataStore.getPlayer(playerId);
+    // Update player and release what the order had locked (pending stops lock nothing)
+    const player = this.dataStore.getPlayer(order.playerId);
     if (player) {
-      player.removeOrder(orderId);
+      player.removeOrder(order.orderId);
+      if (!wasPending) {
+        player.releaseFor(order, order.remainingQuantity);
+      }
       this.dataStore.savePlayer(player);
     }
 
     // Save order
     this.dataStore.saveOrder(order);
+  }
 
-    console.log(`[ENGINE] Order cancelled: ${orderId}`);
+  /**
+   * Advance the game clock and expire good-till orders whose time is up.
+   * Driven by GameManager's timer once per second.
+   * @returns {Order[]} The orders that expired
+   */
+  expireOrders(gameTime) {
+    this.gameTime = gameTime;
 
-    return { success: true, order };
+    const expired = [];
+    for (const orderBook of this.orderBooks.values()) {
+      for (const order of orderBook.getAllOrders()) {
+        if (order.expiresAt !== null && order.expiresAt <= gameTime && order.isResting()) {
+          expired.push(order);
+        }
+      }
+    }
+
+    for (const order of expired) {
+      this.pullOrder(order, 'order_expired');
+      console.log(`[ENGINE] GTD order expired: ${order.orderId}`);
+    }
+
+    return expired;
+  }
+
+  /**
+   * Append an order-lifecycle event to the game's journal
+   */
+  journal(type, order, quantity, price, details = {}) {
+    this.dataStore.appendMarketEvent(new MarketEvent(
+      order.gameId,
+      type,
+      order.orderId,
+      order.playerId,
+      order.product,
+      order.side,
+      price,
+      quantity,
+      { remainingQuantity: order.remainingQuantity, ...details }
+    ));
   }
 
   /**
-   * Estimate cost for a market buy order
+   * Journal one side of a trade as a full or partial fill
    */
-  estimateMarketBuyCost(product, quantity) {
+  journalFill(order, trade) {
+    const type = order.status === 'filled' ? 'order_filled' : 'order_partially_filled';
+    this.journal(type, order, trade.quantity, trade.price, { tradeId: trade.tradeId });
+  }
+
+  /**
+   * Best resting order on the side an incoming order would trade against
+   */
+  getBestOpposing(product, side) {
+    const orderBook = this.orderBooks.get(product);
+    return side === 'buy' ? orderBook.getBestAsk() : orderBook.getBestBid();
+  }
+
+  /**
+   * How much of an order could trade right now, following the same stops
+   * as matchOrder (price limit, self-trade prevention, market-buy cash)
+   */
+  getFillableQuantity(order, player) {
+    const orderBook = this.orderBooks.get(order.product);
+    const opposing = orderBook.getOrdersByPriority(order.side === 'buy' ? 'sell' : 'buy');
+    const limitPrice = order.orderType === 'limit' ? order.price : order.protectionPrice;
+
+    let fillable = 0;
+    let cash = player.getAvailableCash();
+    for (const resting of opposing) {
+      if (fillable >= order.quantity) break;
+      if (resting.playerId === order.playerId) break;
+      if (limitPrice !== null && (order.side === 'buy' ? resting.price > limitPrice : resting.price < limitPrice)) break;
+
+      let quantity = Math.min(order.quantity - fillable, resting.remainingQuantity);
+      if (order.side === 'buy') {
+        quantity = Math.min(quantity, Math.floor(cash / resting.price));
+        cash -= quantity * resting.price;
+      }
+      fillable += quantity;
+      if (quantity < resting.remainingQuantity && fillable < order.quantity) break;
+    }
+    return fillable;
+  }
+
+  /**
+   * Work out the worst price a market order may trade at
+   * @returns {{ price: number|null, error?: string }} price is null for plain IOC
+   */
+  resolveProtection(product, side, options) {
+    const fillPolicy = options.fillPolicy || 'ioc';
+    if (fillPolicy === 'ioc') {
+      return { price: null };
+    }
+    if (fillPolicy !== 'protected') {
+      return { price: null, error: `Invalid fill policy: ${fillPolicy}` };
+    }
+
+    const { maxSlippage = null, priceCap = null } = options;
+    if (maxSlippage === null && priceCap === null) {
+      return { price: null, error: 'Protected market orders need a max slippage or a price cap' };
+    }
+    if (maxSlippage !== null && !(maxSlippage >= 0)) {
+      return { price: null, error: 'Max slippage must be a non-negative percentage' };
+    }
+    if (priceCap !== null && !(priceCap > 0)) {
+      return { price: null, error: 'Price cap must be a positive price' };
+    }
+
+    const candidates = [];
+    if (priceCap !== null) {
+      candidates.push(priceCap);
+    }
+    if (maxSlippage !== null) {
+      // Slippage is measured from the touch
+      const best = this.getBestOpposing(product, side);
+      if (best) {
+        const factor = side === 'buy' ? 1 + maxSlippage / 100 : 1 - maxSlippage / 100;
+        candidates.push(best.price * factor);
+      }
+    }
+    if (candidates.length === 0) {
+      // Slippage only, and an empty opposite side: nothing can fill anyway
+      return { price: null };
+    }
+
+    // Use the tighter of the two limits
+    return { price: side === 'buy' ? Math.min(...candidates) : Math.max(...candidates) };
+  }
+
+  /**
+   * Estimate cost for a market buy order: what the liquidity it can reach
+   * right now would cost. Quantity beyond that is cancelled, so it costs nothing.
+   */
+  estimateMarketBuyCost(product, quantity, protectionPrice = null) {
     const orderBook = this.orderBooks.get(product);
     let remaining = quantity;
     let cost = 0;
 
-    const asks = orderBook.asks.filter(o => o.status === 'open' || o.status === 'partial');
-
-    for (const ask of asks) {
+    for (const ask of orderBook.getOrdersByPriority('sell')) {
       if (remaining <= 0) break;
+      if (protectionPrice !== null && ask.price > protectionPrice) break;
       const fillQty = Math.min(remaining, ask.remainingQuantity);
       cost += fillQty * ask.price;
       remaining -= fillQty;
     }
 
-    // If not enough liquidity, estimate with a high price
-    if (remaining > 0) {
-      cost += remaining * 100; // High estimate for missing liquidity
-    }
-
     return cost;
   }
 
+
   /**
    * Get order book depth for a product
+   * @param {boolean} showNames Name each order's owner (defaults to the game's setting)
    */
-  getOrderBookDepth(product) {
+  getOrderBookDepth(product, showNames = this.config.showOrderNames) {
     const orderBook = this.orderBooks.get(product);
     if (!orderBook) return null;
-    return orderBook.getDepth(this.config.showOrderNames);
+
+    // Include what the price rules currently allow, so clients can validate
+    const lastPrice = this.lastPrices.get(product) ?? null;
+    return {
+      ...orderBook.getDepth(showNames),
+      lastPrice,
+      priceBand: this.priceRules.getBand(product, lastPrice)
+    };
   }
 
   /**
    * Get all order books
    */
-  getAllOrderBooks() {
+  getAllOrderBooks(showNames = this.config.showOrderNames) {
     const books = {};
     for (const product of this.config.products) {
-      books[product] = this.getOrderBookDepth(product);
+      books[product] = this.getOrderBookDepth(product, showNames);
     }
     return books;
   }
 
+  /**
+   * Best bid, best ask and last trade price of every product, for marking positions
+   */
+  getMarketPrices() {
+    const prices = {};
+    for (const product of this.config.products) {
+      const orderBook = this.orderBooks.get(product);
+      prices[product] = {
+        bestBid: orderBook.getBestBid()?.price ?? null,
+        bestAsk: orderBook.getBestAsk()?.price ?? null,
+        lastPrice: this.lastPrices.get(product) ?? null
+      };
+    }
+    return prices;
+  }
+
+  /**
+   * Level changes since the last call, one delta per product that changed.
+   * Each delta's sequence follows the previous one for that product; a
+   * snapshot from getOrderBookDepth carries the sequence it is current to.
+   */
+  takeOrderBookDeltas() {
+    const deltas = [];
+    for (const product of this.config.products) {
+      const delta = this.orderBooks.get(product).takeDelta(this.config.showOrderNames);
+      if (!delta) continue;
+
+      const lastPrice = this.lastPrices.get(product) ?? null;
+      deltas.push({ ...delta, lastPrice, priceBand: this.priceRules.getBand(product, lastPrice) });
+    }
+    return deltas;
+  }
+
+  /**
+   * Halt or resume trading in a product. Resting orders stay in the book and
+   * can still be cancelled while it is halted.
+   */
+  setTradingHalted(product, halted) {
+    if (halted) {
+      this.haltedProducts.add(product);
+    } else {
+      this.haltedProducts.delete(product);
+    }
+  }
+
+  getHaltedProducts() {
+    return this.config.products.filter(product => this.haltedProducts.has(product));
+  }
+
   /**
    * Cancel all orders for a player (e.g., when they disconnect)
    */
@@ -347,15 +968,37 @@ class MatchingEngine {
    */
   cancelAllOrders(gameId) {
     for (const [product, orderBook] of this.orderBooks) {
-      const orders = [...orderBook.bids, ...orderBook.asks];
-      for (const order of orders) {
-        if (order.gameId === gameId && (order.status === 'open' || order.status === 'partial')) {
+      for (const order of orderBook.getAllOrders()) {
+        if (order.gameId === gameId && order.isResting()) {
           order.cancel();
+          this.journal('order_cancelled', order, order.remainingQuantity, order.price);
           this.dataStore.saveOrder(order);
+
+          const player = this.dataStore.getPlayer(order.playerId);
+          if (player) {
+            player.removeOrder(order.orderId);
+            player.releaseFor(order, order.remainingQuantity);
+            this.dataStore.savePlayer(player);
+          }
+        }
+      }
+      orderBook.clear();
+    }
+
+    // Pending stops hold no reservation; just cancel them
+    for (const triggerBook of this.triggerBooks.values()) {
+      for (const order of triggerBook.getOrders()) {
+        order.cancel();
+        this.journal('order_cancelled', order, order.remainingQuantity, order.price);
+        this.dataStore.saveOrder(order);
+
+        const player = this.dataStore.getPlayer(order.playerId);
+        if (player) {
+          player.removeOrder(order.orderId);
+          this.dataStore.savePlayer(player);
         }
       }
-      orderBook.bids = [];
-      orderBook.asks = [];
+      triggerBook.clear();
     }
     console.log(`[ENGINE] All orders cancelled for game ${gameId}`);
   }
@@ -366,7 +1009,11 @@ class MatchingEngine {
   reset() {
     for (const product of this.config.products) {
       this.orderBooks.set(product, new OrderBook(product));
+      this.triggerBooks.set(product, new TriggerBook(product));
     }
+    this.lastPrices.clear();
+    this.haltedProducts.clear();
+    this.gameTime = 0;
     console.log('[ENGINE] Order books reset');
   }
 
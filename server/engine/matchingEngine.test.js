@@ -0,0 +1,302 @@
+/**
+ * MatchingEngine tests - run with `npm test` (node:test, no extra dependencies)
+ *
+ * Each test builds a fresh in-memory engine with one game and trades bread
+ * between players holding 1000 cash and 50 of every product.
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { DataStore, Game, Player } = require('../models');
+const MatchingEngine = require('./matchingEngine');
+const baseConfig = require('../config.json');
+
+// The engine logs every order and trade; the tests only look at state
+console.log = () => {};
+
+function setup() {
+  const config = {
+    ...baseConfig,
+    priceBands: { minPrice: 1, maxPrice: 1000, bandPercent: null, referencePrices: {} }
+  };
+  const dataStore = new DataStore();
+  const engine = new MatchingEngine(dataStore, config);
+  const game = new Game('test', config, 'TEST');
+  dataStore.saveGame(game);
+
+  const addPlayer = name => {
+    const inventory = Object.fromEntries(config.products.map(p => [p, 50]));
+    const player = new Player(game.gameId, name, 1000, inventory);
+    dataStore.savePlayer(player);
+    game.addPlayer(player.playerId);
+    return player;
+  };
+  const submit = (player, side, quantity, price, options) =>
+    engine.submitOrder(game.gameId, player, 'bread', side, 'limit', quantity, price, options);
+
+  return { engine, game, addPlayer, submit };
+}
+
+describe('reservations', () => {
+  it('locks cash for a resting buy and releases it on cancel', () => {
+    const { engine, addPlayer, submit } = setup();
+    const buyer = addPlayer('buyer');
+
+    const { order } = submit(buyer, 'buy', 5, 10);
+    assert.equal(buyer.reservedCash, 50);
+    assert.equal(buyer.getAvailableCash(), 950);
+
+    assert.equal(engine.cancelOrder(order.orderId, buyer.playerId).success, true);
+    assert.equal(buyer.reservedCash, 0);
+    assert.equal(buyer.getAvailableCash(), 1000);
+  });
+
+  it('locks units for a resting sell and releases them on cancel', () => {
+    const { engine, addPlayer, submit } = setup();
+    const seller = addPlayer('seller');
+
+    const { order } = submit(seller, 'sell', 5, 10);
+    assert.equal(seller.getAvailableInventory('bread'), 45);
+
+    engine.cancelOrder(order.orderId, seller.playerId);
+    assert.equal(seller.getAvailableInventory('bread'), 50);
+  });
+
+  it('releases the reservation as the resting order fills', () => {
+    const { addPlayer, submit } = setup();
+    const seller = addPlayer('seller');
+    const buyer = addPlayer('buyer');
+
+    submit(seller, 'sell', 5, 10);
+    submit(buyer, 'buy', 3, 10);
+    assert.equal(seller.inventory.bread, 47);
+    assert.equal(seller.getAvailableInventory('bread'), 45);
+    assert.equal(buyer.reservedCash, 0);
+    assert.equal(buyer.cash, 970);
+
+    submit(buyer, 'buy', 2, 10);
+    assert.equal(seller.inventory.bread, 45);
+    assert.equal(seller.getAvailableInventory('bread'), 45);
+  });
+
+  it('rejects an order the unreserved balance cannot cover', () => {
+    const { addPlayer, submit } = setup();
+    const buyer = addPlayer('buyer');
+
+    assert.deepEqual(submit(buyer, 'buy', 100, 10).errors, []);
+    assert.equal(buyer.getAvailableCash(), 0);
+    assert.notDeepEqual(submit(buyer, 'buy', 1, 1).errors, []);
+  });
+});
+
+describe('time in force', () => {
+  it('kills a FOK order that cannot fill in full, without trading', () => {
+    const { addPlayer, submit } = setup();
+    const seller = addPlayer('seller');
+    const buyer = addPlayer('buyer');
+
+    const resting = submit(seller, 'sell', 3, 10).order;
+    const { order, trades } = submit(buyer, 'buy', 5, 10, { timeInForce: 'fok' });
+    assert.equal(order.status, 'cancelled');
+    assert.equal(trades.length, 0);
+    assert.equal(resting.remainingQuantity, 3);
+    assert.equal(buyer.cash, 1000);
+    assert.equal(buyer.reservedCash, 0);
+  });
+
+  it('fills a FOK order the book can cover in full', () => {
+    const { addPlayer, submit } = setup();
+    const seller = addPlayer('seller');
+    const buyer = addPlayer('buyer');
+
+    submit(seller, 'sell', 3, 10);
+    submit(seller, 'sell', 2, 11);
+    const { order, trades } = submit(buyer, 'buy', 5, 11, { timeInForce: 'fok' });
+    assert.equal(order.status, 'filled');
+    assert.equal(trades.length, 2);
+  });
+
+  it('rejects a post-only order that would cross', () => {
+    const { engine, addPlayer, submit } = setup();
+    const seller = addPlayer('seller');
+    const buyer = addPlayer('buyer');
+
+    submit(seller, 'sell', 3, 10);
+    const result = submit(buyer, 'buy', 1, 10, { timeInForce: 'post_only' });
+    assert.equal(result.order, null);
+    assert.equal(result.errors.length, 1);
+    assert.equal(engine.getOrderBookDepth('bread').bids.length, 0);
+    assert.equal(buyer.reservedCash, 0);
+  });
+
+  it('rests a post-only order that does not cross', () => {
+    const { addPlayer, submit } = setup();
+    const seller = addPlayer('seller');
+    const buyer = addPlayer('buyer');
+
+    submit(seller, 'sell', 3, 10);
+    const { order, trades } = submit(buyer, 'buy', 1, 9, { timeInForce: 'post_only' });
+    assert.equal(order.status, 'open');
+    assert.equal(trades.length, 0);
+    assert.equal(buyer.reservedCash, 9);
+  });
+});
+
+describe('stop orders', () => {
+  it('waits for the last trade to reach the stop, then rests as triggered', () => {
+    const { engine, game, addPlayer, submit } = setup();
+    const seller = addPlayer('seller');
+    const buyer = addPlayer('buyer');
+    const stopper = addPlayer('stopper');
+
+    submit(seller, 'sell', 1, 10);
+    submit(buyer, 'buy', 1, 10);
+    const stop = engine.submitOrder(game.gameId, stopper, 'bread', 'buy', 'stop_limit', 5, 11, { stopPrice: 12 }).order;
+    assert.equal(stop.status, 'pending');
+    assert.equal(stopper.reservedCash, 0);
+
+    // A trade below the stop leaves it waiting
+    submit(seller, 'sell', 1, 11);
+    submit(buyer, 'buy', 1, 11);
+    assert.equal(stop.status, 'pending');
+
+    // A trade at the stop triggers it; nothing offers at 11, so it rests
+    submit(seller, 'sell', 1, 12);
+    const { triggered } = submit(buyer, 'buy', 1, 12);
+    assert.deepEqual(triggered.map(o => o.orderId), [stop.orderId]);
+    assert.equal(stop.status, 'triggered');
+    assert.equal(stop.orderType, 'limit');
+    assert.notEqual(stop.triggeredAt, null);
+    assert.equal(stopper.reservedCash, 55);
+    assert.equal(engine.getOrderBookDepth('bread').bestBid, 11);
+
+    // Still triggered after a partial fill
+    submit(seller, 'sell', 2, 11);
+    assert.equal(stop.status, 'triggered');
+    assert.equal(stop.remainingQuantity, 3);
+  });
+
+  it('sends a triggered stop to the book as a market order', () => {
+    const { engine, game, addPlayer, submit } = setup();
+    const seller = addPlayer('seller');
+    const buyer = addPlayer('buyer');
+    const stopper = addPlayer('stopper');
+
+    submit(buyer, 'buy', 4, 8);
+    const stop = engine.submitOrder(game.gameId, stopper, 'bread', 'sell', 'stop', 3, null, { stopPrice: 9 }).order;
+
+    submit(buyer, 'buy', 1, 9);
+    submit(seller, 'sell', 1, 9);
+    assert.equal(stop.status, 'filled');
+    assert.equal(stopper.inventory.bread, 47);
+  });
+});
+
+describe('amending orders', () => {
+  it('keeps queue priority when reducing size at the same price', () => {
+    const { engine, addPlayer, submit } = setup();
+    const first = addPlayer('first');
+    const second = addPlayer('second');
+    const seller = addPlayer('seller');
+
+    const early = submit(first, 'buy', 5, 10).order;
+    const late = submit(second, 'buy', 5, 10).order;
+
+    const result = engine.amendOrder(early.orderId, first.playerId, { quantity: 2 });
+    assert.equal(result.success, true);
+    assert.equal(result.order.orderId, early.orderId);
+    assert.equal(early.quantity, 5);
+    assert.equal(early.remainingQuantity, 2);
+    assert.equal(first.reservedCash, 20);
+
+    submit(seller, 'sell', 2, 10);
+    assert.equal(early.status, 'filled');
+    assert.equal(late.remainingQuantity, 5);
+  });
+
+  it('sends any other change to the back of the queue as a new order', () => {
+    const { engine, addPlayer, submit } = setup();
+    const first = addPlayer('first');
+    const second = addPlayer('second');
+    const seller = addPlayer('seller');
+
+    const early = submit(first, 'buy', 5, 10).order;
+    const late = submit(second, 'buy', 5, 10).order;
+
+    const result = engine.amendOrder(early.orderId, first.playerId, { quantity: 6 });
+    assert.equal(result.success, true);
+    assert.equal(early.status, 'cancelled');
+    assert.equal(result.order.replacesOrderId, early.orderId);
+    assert.equal(first.reservedCash, 60);
+
+    submit(seller, 'sell', 5, 10);
+    assert.equal(late.status, 'filled');
+    assert.equal(result.order.remainingQuantity, 6);
+  });
+});
+
+describe('price-time priority', () => {
+  it('fills the best price first, then in arrival order within a price', () => {
+    const { addPlayer, submit } = setup();
+    const a = addPlayer('a');
+    const b = addPlayer('b');
+    const c = addPlayer('c');
+    const seller = addPlayer('seller');
+
+    submit(a, 'buy', 2, 10);
+    submit(b, 'buy', 2, 11);
+    submit(c, 'buy', 2, 10);
+
+    const { trades } = submit(seller, 'sell', 6, 10);
+    assert.deepEqual(trades.map(t => t.buyerId), [b.playerId, a.playerId, c.playerId]);
+    assert.deepEqual(trades.map(t => t.price), [11, 10, 10]);
+  });
+});
+
+describe('level-2 deltas', () => {
+  // Price -> quantity for one side of a depth snapshot
+  const levels = side => new Map(side.map(l => [l.price, l.quantity]));
+
+  it('numbers deltas without gaps and rebuilds the book from a snapshot', () => {
+    const { engine, addPlayer, submit } = setup();
+    const buyer = addPlayer('buyer');
+    const seller = addPlayer('seller');
+
+    submit(buyer, 'buy', 3, 9);
+    engine.takeOrderBookDeltas();
+    const snapshot = engine.getOrderBookDepth('bread');
+    const bids = levels(snapshot.bids);
+    const asks = levels(snapshot.asks);
+
+    const deltas = [];
+    const step = action => {
+      action();
+      deltas.push(...engine.takeOrderBookDeltas().filter(d => d.product === 'bread'));
+    };
+    const resting = [];
+    step(() => resting.push(submit(buyer, 'buy', 2, 10).order));
+    step(() => submit(seller, 'sell', 4, 12));
+    step(() => submit(seller, 'sell', 3, 10));
+    step(() => engine.cancelOrder(resting[0].orderId, buyer.playerId));
+    step(() => submit(buyer, 'buy', 1, 12));
+    step(() => {});
+
+    assert.deepEqual(
+      deltas.map(d => d.sequence),
+      deltas.map((_, i) => snapshot.sequence + 1 + i)
+    );
+    for (const delta of deltas) {
+      for (const [book, changes] of [[bids, delta.bids], [asks, delta.asks]]) {
+        for (const level of changes) {
+          if (level.quantity === 0) book.delete(level.price);
+          else book.set(level.price, level.quantity);
+        }
+      }
+    }
+
+    const current = engine.getOrderBookDepth('bread');
+    assert.equal(current.sequence, deltas[deltas.length - 1].sequence);
+    assert.deepEqual(bids, levels(current.bids));
+    assert.deepEqual(asks, levels(current.asks));
+  });
+});
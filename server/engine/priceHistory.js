@@ -0,0 +1,92 @@
+/**
+ * Price History - OHLCV bars built from a game's trades
+ *
+ * Trades are folded into bars of every configured length (config.candleIntervals,
+ * in seconds). A bar's `time` is the start of its interval on the game clock,
+ * which stops while the game is paused, so bars line up with news and P&L
+ * samples; intervals without trades have no bar. Each bar carries
+ * open, high, low, close, volume (units), value (cash traded), trade count
+ * and VWAP.
+ */
+
+const roundCents = (value) => Math.round(value * 100) / 100;
+
+class PriceHistory {
+  /**
+   * @param {string[]} products
+   * @param {number[]} intervals Bar lengths in seconds
+   * @param {string} startTime When the game started (ISO timestamp), to place
+   *   trades stored before they carried a game-clock time
+   */
+  constructor(products, intervals, startTime) {
+    this.products = products;
+    this.intervals = intervals;
+    this.startMs = new Date(startTime).getTime();
+    // interval -> product -> Map(bar time -> bar)
+    this.bars = new Map(intervals.map(interval => [
+      interval,
+      new Map(products.map(product => [product, new Map()]))
+    ]));
+  }
+
+  /**
+   * Build the history of a game that has already traded (e.g. loaded from the database)
+   */
+  static fromTrades(trades, products, intervals, startTime) {
+    const history = new PriceHistory(products, intervals, startTime);
+    history.addTrades([...trades].sort((a, b) => new Date(a.executedAt) - new Date(b.executedAt)));
+    return history;
+  }
+
+  /**
+   * Fold trades (in execution order) into their bars
+   * @returns {Array<{ interval, product, bar }>} The latest state of every bar they changed
+   */
+  addTrades(trades) {
+    const changed = new Map();
+    for (const trade of trades) {
+      const offset = trade.gameTime ?? Math.max(0, (new Date(trade.executedAt).getTime() - this.startMs) / 1000);
+
+      for (const interval of this.intervals) {
+        const bars = this.bars.get(interval).get(trade.product);
+        if (!bars) continue;
+
+        const time = Math.floor(offset / interval) * interval;
+        let bar = bars.get(time);
+        if (!bar) {
+          bar = { time, open: trade.price, high: trade.price, low: trade.price, close: trade.price, volume: 0, value: 0, trades: 0, vwap: trade.price };
+          bars.set(time, bar);
+        }
+        bar.high = Math.max(bar.high, trade.price);
+        bar.low = Math.min(bar.low, trade.price);
+        bar.close = trade.price;
+        bar.volume += trade.quantity;
+        bar.value += trade.value;
+        bar.trades++;
+        bar.vwap = roundCents(bar.value / bar.volume);
+
+        changed.set(`${interval}:${trade.product}:${time}`, { interval, product: trade.product, bar: { ...bar } });
+      }
+    }
+    return Array.from(changed.values());
+  }
+
+  /**
+   * Every product's bars for one interval, oldest first
+   * @returns {Object<string, object[]>|null} null if the interval is not kept
+   */
+  getCandles(interval) {
+    const byProduct = this.bars.get(interval);
+    if (!byProduct) return null;
+
+    const candles = {};
+    for (const [product, bars] of byProduct) {
+      candles[product] = Array.from(bars.values())
+        .sort((a, b) => a.time - b.time)
+        .map(bar => ({ ...bar }));
+    }
+    return candles;
+  }
+}
+
+module.exports = PriceHistory;
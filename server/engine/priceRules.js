@@ -0,0 +1,127 @@
+/**
+ * Price Rules - Tick sizes and price bands for order prices
+ *
+ * - Every price must sit on the product's tick grid. The tick is
+ *   config.tickSize, or a price-dependent tick table from config.tickTables
+ * - Prices must lie within config.priceBands.minPrice / maxPrice, and within
+ *   bandPercent of the reference price (last trade, else a configured
+ *   reference price; with neither, only the absolute limits apply)
+ *
+ * The client mirrors these rules in TradingPanel, so keep the two in step.
+ */
+
+// Rejection codes returned alongside the error message
+const PRICE_REJECTIONS = {
+  INVALID_PRICE: 'INVALID_PRICE',
+  OFF_TICK: 'OFF_TICK',
+  BELOW_MIN_PRICE: 'BELOW_MIN_PRICE',
+  ABOVE_MAX_PRICE: 'ABOVE_MAX_PRICE',
+  OUTSIDE_PRICE_BAND: 'OUTSIDE_PRICE_BAND',
+  STOP_PRICE_CROSSED: 'STOP_PRICE_CROSSED',
+  TRADING_HALTED: 'TRADING_HALTED', // The host halted the product (not a price rule)
+  INVALID_QUANTITY: 'INVALID_QUANTITY' // Quantity is not a whole number (not a price rule)
+};
+
+// Tolerance for float comparisons against the tick grid
+const EPSILON = 1e-9;
+
+class PriceRules {
+  constructor(config) {
+    this.tickSize = config.tickSize || 1;
+    this.tickTables = config.tickTables || {};
+    this.bands = {
+      minPrice: 0,
+      maxPrice: Infinity,
+      bandPercent: null,
+      referencePrices: {},
+      ...config.priceBands
+    };
+  }
+
+  /**
+   * Tick size for a product at a given price. Tick tables are lists of
+   * { from, tickSize } steps; the last step at or below the price applies.
+   */
+  getTickSize(product, price) {
+    const table = this.tickTables[product];
+    if (!table || table.length === 0) return this.tickSize;
+
+    let tick = table[0].tickSize;
+    for (const step of table) {
+      if (price + EPSILON >= step.from) tick = step.tickSize;
+    }
+    return tick;
+  }
+
+  isOnTick(product, price) {
+    const tick = this.getTickSize(product, price);
+    const steps = price / tick;
+    return Math.abs(steps - Math.round(steps)) < EPSILON;
+  }
+
+  /**
+   * Nearest price on the tick grid
+   */
+  snap(product, price) {
+    const tick = this.getTickSize(product, price);
+    return parseFloat((Math.round(price / tick) * tick).toFixed(8));
+  }
+
+  /**
+   * Allowed price range for a product given the last trade price
+   * @returns {{ min: number, max: number, reference: number|null }}
+   */
+  getBand(product, lastPrice = null) {
+    const { minPrice, maxPrice, bandPercent, referencePrices } = this.bands;
+    const reference = lastPrice ?? referencePrices[product] ?? null;
+
+    let min = minPrice;
+    let max = maxPrice;
+    if (reference !== null && bandPercent !== null) {
+      min = Math.max(min, reference * (1 - bandPercent / 100));
+      max = Math.min(max, reference * (1 + bandPercent / 100));
+    }
+
+    return { min, max: max === Infinity ? null : max, reference };
+  }
+
+  /**
+   * Validate an order price
+   * @returns {{ code: string, error: string }|null} null if the price is acceptable
+   */
+  check(product, price, lastPrice = null) {
+    if (typeof price !== 'number' || !Number.isFinite(price) || price <= 0) {
+      return { code: PRICE_REJECTIONS.INVALID_PRICE, error: 'Price must be a positive number' };
+    }
+
+    if (!this.isOnTick(product, price)) {
+      const tick = this.getTickSize(product, price);
+      return {
+        code: PRICE_REJECTIONS.OFF_TICK,
+        error: `Price ${price} is not a multiple of the ${product} tick size (${tick}); nearest is ${this.snap(product, price)}`
+      };
+    }
+
+    const { minPrice, maxPrice } = this.bands;
+    if (price < minPrice - EPSILON) {
+      return { code: PRICE_REJECTIONS.BELOW_MIN_PRICE, error: `Price must be at least ${minPrice}` };
+    }
+    if (price > maxPrice + EPSILON) {
+      return { code: PRICE_REJECTIONS.ABOVE_MAX_PRICE, error: `Price must be at most ${maxPrice}` };
+    }
+
+    const band = this.getBand(product, lastPrice);
+    if (price < band.min - EPSILON || (band.max !== null && price > band.max + EPSILON)) {
+      return {
+        code: PRICE_REJECTIONS.OUTSIDE_PRICE_BAND,
+        error: `Price ${price} is outside the ${product} band of ${band.min}-${band.max} around ${band.reference}`
+      };
+    }
+
+    return null;
+  }
+}
+
+PriceRules.REJECTIONS = PRICE_REJECTIONS;
+
+module.exports = PriceRules;
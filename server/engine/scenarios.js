@@ -0,0 +1,229 @@
+/**
+ * Scenarios - Named market structures an instructor can pick per game
+ *
+ * Each JSON file in config.scenariosDir is one scenario:
+ *
+ *   {
+ *     "name": "Scarce Meat",
+ *     "description": "Shown in the lobby picker",
+ *     "config": { ...overrides of config.json's game rules... }
+ *   }
+ *
+ * The file name (without .json) is the scenario id. Only SCENARIO_KEYS may be
+ * overridden; the rest of config.json (ports, bots, storage) stays the
+ * server's. The directory is re-read when files are added or removed, so
+ * new scenarios show up without a restart.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getSetRecipes } = require('./gameSettings');
+const { ALLOCATION_STRATEGIES } = require('./inventoryAllocation');
+const { validateScheduledEvents } = require('./scheduledEvents');
+const { VALUATION_METHODS } = require('./valuation');
+
+// Game rules a scenario may set
+const SCENARIO_KEYS = [
+  'gameDuration',
+  'startingCash',
+  'products',
+  'scrapValues',
+  'setValue',
+  'setRecipe',
+  'setRecipes',
+  'startingInventoryTargetTotalValue',
+  'startingInventoryRandomizationFactor',
+  'startingInventoryWeights',
+  'startingInventoryLimits',
+  'startingInventoryStrategy',
+  'startingInventoryMinPerProduct',
+  'startingInventoryScarcity',
+  'minOrderSize',
+  'maxOrderSize',
+  'tickSize',
+  'tickTables',
+  'priceBands',
+  'scheduledEvents',
+  'valuationMethod'
+];
+
+// Set formation searches recipe combinations, so keep menus short
+const MAX_SET_RECIPES = 8;
+
+function isPositiveNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value) && value > 0;
+}
+
+/**
+ * Check a merged scenario config; returns an error message or null
+ */
+function checkScenarioConfig(config) {
+  const { products, scrapValues } = config;
+  if (!Array.isArray(products) || products.length === 0 || products.some(p => typeof p !== 'string')) {
+    return 'products must be a list of names';
+  }
+  for (const product of products) {
+    if (!isPositiveNumber(scrapValues?.[product])) {
+      return `scrapValues.${product} must be a positive number`;
+    }
+  }
+
+  const setRecipes = getSetRecipes(config);
+  if (setRecipes.length > MAX_SET_RECIPES) {
+    return `at most ${MAX_SET_RECIPES} set recipes are allowed`;
+  }
+  const names = new Set();
+  for (const { name, value, recipe } of setRecipes) {
+    if (typeof name !== 'string' || !name || names.has(name)) {
+      return 'every set recipe needs a unique name';
+    }
+    names.add(name);
+    if (!isPositiveNumber(value)) {
+      return `${name}: value must be a positive number`;
+    }
+    const entries = Object.entries(recipe || {});
+    if (entries.length === 0) {
+      return `${name}: recipe needs at least one ingredient`;
+    }
+    for (const [product, quantity] of entries) {
+      if (!products.includes(product)) return `${name}: unknown product ${product}`;
+      if (!Number.isInteger(quantity) || quantity <= 0) return `${name}: ${product} quantity must be a positive whole number`;
+    }
+  }
+
+  for (const key of ['startingInventoryWeights', 'startingInventoryLimits']) {
+    for (const product of Object.keys(config[key] || {})) {
+      if (!products.includes(product)) return `${key}: unknown product ${product}`;
+    }
+  }
+
+  const strategy = config.startingInventoryStrategy || 'random';
+  if (!ALLOCATION_STRATEGIES.includes(strategy)) {
+    return `startingInventoryStrategy must be one of: ${ALLOCATION_STRATEGIES.join(', ')}`;
+  }
+  const scarcity = config.startingInventoryScarcity;
+  if (strategy === 'scarcity' && (!products.includes(scarcity?.product) ||
+      !Number.isInteger(scarcity.totalSupply) || scarcity.totalSupply < 0)) {
+    return 'startingInventoryScarcity needs a product and a whole-number totalSupply';
+  }
+  if (config.valuationMethod !== undefined && !VALUATION_METHODS.includes(config.valuationMethod)) {
+    return `valuationMethod must be one of: ${VALUATION_METHODS.join(', ')}`;
+  }
+  return validateScheduledEvents(config.scheduledEvents, { ...config, setRecipes });
+}
+
+class ScenarioLibrary {
+  constructor(dirPath, baseConfig) {
+    this.dirPath = dirPath;
+    this.baseConfig = baseConfig;
+    this.scenarios = new Map(); // scenarioId -> { scenarioId, name, description, config }
+    this.loadedAt = null; // mtime of the directory when last read
+    this.load();
+  }
+
+  /**
+   * Re-read the scenario files if the directory changed
+   */
+  load() {
+    let mtime;
+    try {
+      mtime = fs.statSync(this.dirPath).mtimeMs;
+    } catch {
+      this.scenarios = new Map();
+      this.loadedAt = null;
+      return;
+    }
+    if (mtime === this.loadedAt) return;
+
+    const scenarios = new Map();
+    for (const file of fs.readdirSync(this.dirPath).filter(f => f.endsWith('.json')).sort()) {
+      const scenarioId = path.basename(file, '.json');
+      try {
+        const scenario = this.build(scenarioId, JSON.parse(fs.readFileSync(path.join(this.dirPath, file), 'utf8')));
+        scenarios.set(scenarioId, scenario);
+      } catch (err) {
+        console.error(`[SCENARIO] Skipping ${file}: ${err.message}`);
+      }
+    }
+
+    this.scenarios = scenarios;
+    this.loadedAt = mtime;
+    console.log(`[SCENARIO] Loaded ${scenarios.size} scenario(s) from ${this.dirPath}`);
+  }
+
+  /**
+   * Merge a scenario file over the base config, throwing if it is invalid
+   */
+  build(scenarioId, data) {
+    const overrides = data.config || {};
+    const unknown = Object.keys(overrides).filter(key => !SCENARIO_KEYS.includes(key));
+    if (unknown.length > 0) {
+      throw new Error(`cannot set ${unknown.join(', ')}`);
+    }
+
+    const config = { ...this.baseConfig, ...overrides };
+    // A scenario with its own products or recipes replaces the base recipes
+    if (!overrides.setRecipes && (overrides.products || overrides.setRecipe || overrides.setValue)) {
+      delete config.setRecipes;
+    }
+    // Weights and limits only apply to the scenario that set them
+    if (overrides.products) {
+      config.startingInventoryWeights = overrides.startingInventoryWeights || {};
+      config.startingInventoryLimits = overrides.startingInventoryLimits || {};
+      config.startingInventoryScarcity = overrides.startingInventoryScarcity || null;
+      config.scheduledEvents = overrides.scheduledEvents || [];
+    }
+
+    const error = checkScenarioConfig(config);
+    if (error) {
+      throw new Error(error);
+    }
+
+    const setRecipes = getSetRecipes(config);
+    config.setRecipes = setRecipes;
+    config.setValue = setRecipes[0].value;
+    config.setRecipe = setRecipes[0].recipe;
+
+    return {
+      scenarioId,
+      name: data.name || scenarioId,
+      description: data.description || '',
+      config
+    };
+  }
+
+  get(scenarioId) {
+    this.load();
+    return this.scenarios.get(scenarioId) || null;
+  }
+
+  /**
+   * Scenarios for the lobby picker, with the rules each one sets
+   */
+  list() {
+    this.load();
+    return Array.from(this.scenarios.values()).map(({ scenarioId, name, description, config }) => ({
+      scenarioId,
+      name,
+      description,
+      gameDuration: config.gameDuration,
+      startingCash: config.startingCash,
+      products: config.products,
+      scrapValues: config.scrapValues,
+      setValue: config.setValue,
+      setRecipe: config.setRecipe,
+      setRecipes: config.setRecipes,
+      minOrderSize: config.minOrderSize,
+      maxOrderSize: config.maxOrderSize,
+      scheduledEventCount: (config.scheduledEvents || []).length,
+      inventoryAllocation: {
+        strategy: config.startingInventoryStrategy || 'random',
+        minPerProduct: config.startingInventoryMinPerProduct ?? 1,
+        scarcity: config.startingInventoryScarcity || null,
+        seed: null
+      }
+    }));
+  }
+}
+
+module.exports = ScenarioLibrary;
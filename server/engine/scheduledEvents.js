@@ -0,0 +1,121 @@
+/**
+ * Scheduled Events - News and market shocks that fire on the game clock
+ *
+ * config.scheduledEvents (usually set by a scenario) lists what happens when,
+ * in seconds since the game started:
+ *
+ *   { "at": 30, "type": "announcement", "headline": "Rumour: a meat shortage is coming" }
+ *   { "at": 90, "type": "scrapValue", "product": "meat", "value": 4 }
+ *   { "at": 60, "type": "setValue", "set": "Club Sandwich", "value": 60 }
+ *   { "at": 45, "type": "inventory", "product": "bread", "quantity": 10, "to": "random" }
+ *
+ * setValue changes the named recipe (the primary one when `set` is left out).
+ * inventory hands `quantity` units to one random player ("random") or to every
+ * player ("all"). Any event may carry a "headline"; value changes and
+ * deliveries get one written for them otherwise.
+ *
+ * Each fired event becomes a news item on the game. Items record what changed
+ * (`changes`, `grants`) so a replay can roll values and inventories back.
+ */
+
+const EVENT_TYPES = ['announcement', 'scrapValue', 'setValue', 'inventory'];
+
+/**
+ * Check a config's schedule; returns an error message or null
+ */
+function validateScheduledEvents(events, config) {
+  if (events === undefined) return null;
+  if (!Array.isArray(events)) return 'scheduledEvents must be a list';
+
+  const setNames = (config.setRecipes || []).map(set => set.name);
+  for (const [i, event] of events.entries()) {
+    const label = `scheduledEvents[${i}]`;
+    if (typeof event !== 'object' || event === null) return `${label} must be an object`;
+    if (!Number.isFinite(event.at) || event.at < 0) return `${label}: at must be a number of seconds`;
+    if (!EVENT_TYPES.includes(event.type)) return `${label}: type must be one of ${EVENT_TYPES.join(', ')}`;
+    if (event.headline !== undefined && typeof event.headline !== 'string') return `${label}: headline must be text`;
+
+    switch (event.type) {
+      case 'announcement':
+        if (!event.headline) return `${label}: an announcement needs a headline`;
+        break;
+      case 'scrapValue':
+        if (!config.products.includes(event.product)) return `${label}: unknown product ${event.product}`;
+        if (!Number.isFinite(event.value) || event.value <= 0) return `${label}: value must be a positive number`;
+        break;
+      case 'setValue':
+        if (event.set !== undefined && setNames.length > 0 && !setNames.includes(event.set)) {
+          return `${label}: unknown set ${event.set}`;
+        }
+        if (!Number.isFinite(event.value) || event.value <= 0) return `${label}: value must be a positive number`;
+        break;
+      case 'inventory':
+        if (!config.products.includes(event.product)) return `${label}: unknown product ${event.product}`;
+        if (!Number.isInteger(event.quantity) || event.quantity <= 0) return `${label}: quantity must be a positive whole number`;
+        if (!['all', 'random'].includes(event.to ?? 'random')) return `${label}: to must be "all" or "random"`;
+        break;
+    }
+  }
+  return null;
+}
+
+/**
+ * Fire one event: update the game's config and players, and describe it
+ * @param {object} event Entry from config.scheduledEvents
+ * @param {Game} game
+ * @param {Player[]} players Seated players (inventory events change them)
+ * @param {number} gameTime Seconds since the game started
+ * @returns {object} News item
+ */
+function applyScheduledEvent(event, game, players, gameTime) {
+  const { config } = game;
+  const changes = []; // { kind, product | set, from, to }
+  const grants = []; // { playerId, product, quantity }
+  let headline = event.headline;
+
+  switch (event.type) {
+    case 'scrapValue': {
+      const from = config.scrapValues[event.product];
+      config.scrapValues[event.product] = event.value;
+      changes.push({ kind: 'scrapValue', product: event.product, from, to: event.value });
+      headline = headline || `${event.product} scrap value ${event.value < from ? 'falls' : 'rises'} to $${event.value}`;
+      break;
+    }
+    case 'setValue': {
+      const set = config.setRecipes.find(s => s.name === event.set) || config.setRecipes[0];
+      const from = set.value;
+      set.value = event.value;
+      if (set === config.setRecipes[0]) {
+        config.setValue = event.value;
+      }
+      changes.push({ kind: 'setValue', set: set.name, from, to: event.value });
+      headline = headline || `${set.name} now worth $${event.value}`;
+      break;
+    }
+    case 'inventory': {
+      let recipients = players;
+      if ((event.to ?? 'random') === 'random') {
+        recipients = players.length > 0 ? [players[Math.floor(Math.random() * players.length)]] : [];
+      }
+      for (const player of recipients) {
+        player.inventory[event.product] = (player.inventory[event.product] || 0) + event.quantity;
+        grants.push({ playerId: player.playerId, product: event.product, quantity: event.quantity });
+      }
+      const who = event.to === 'all' ? 'every player' : (recipients[0]?.name || 'nobody');
+      headline = headline || `A supplier delivers ${event.quantity} ${event.product} to ${who}`;
+      break;
+    }
+  }
+
+  return {
+    newsId: game.news.length + 1,
+    at: gameTime,
+    type: event.type,
+    headline,
+    changes,
+    grants,
+    timestamp: new Date().toISOString()
+  };
+}
+
+module.exports = { validateScheduledEvents, applyScheduledEvent, EVENT_TYPES };
@@ -0,0 +1,141 @@
+/**
+ * Valuation - What a player's position is worth mid-game, and their P&L
+ *
+ * config.valuationMethod picks how holdings are marked:
+ *
+ *   scrap      every unit at its scrap value
+ *   projected  the score if the game ended now: best sets plus leftover scrap
+ *   mid        each product at the middle of its best bid and ask
+ *   last       each product at its last trade price
+ *
+ * A product without a two-sided book is marked at its last trade price, and
+ * one that has not traded at its scrap value.
+ *
+ * P&L is the value now less starting cash and starting inventory at scrap
+ * value, so at the end of the game the projected P&L is the final P&L. It
+ * splits into realized (sales against average cost) and unrealized (holdings
+ * against average cost). Starting inventory is booked at scrap value and
+ * scheduled deliveries at no cost.
+ */
+
+const VALUATION_METHODS = ['scrap', 'projected', 'mid', 'last'];
+
+const roundCents = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Price each product is marked at
+ * @param {string} method One of VALUATION_METHODS
+ * @param {object} config Game config (products and scrapValues)
+ * @param {Object<string, { bestBid, bestAsk, lastPrice }>} market Per-product prices
+ * @returns {Object<string, number>}
+ */
+function getMarks(method, config, market = {}) {
+  return Object.fromEntries(config.products.map(product => {
+    const scrap = config.scrapValues[product] || 0;
+    if (method !== 'mid' && method !== 'last') {
+      return [product, scrap];
+    }
+
+    const { bestBid = null, bestAsk = null, lastPrice = null } = market[product] || {};
+    const mid = bestBid !== null && bestAsk !== null ? (bestBid + bestAsk) / 2 : null;
+    return [product, (method === 'mid' ? mid ?? lastPrice : lastPrice) ?? scrap];
+  }));
+}
+
+/**
+ * Roll a player's average cost forward through their trades and deliveries
+ * @param {Player} player
+ * @param {Trade[]} trades The game's trades (others are skipped)
+ * @param {Array<{ playerId, product, quantity, timestamp }>} grants Deliveries
+ * @returns {{ cost: number, realizedPnl: number }} Cost of what is held now, and
+ *   what sales made over the cost of the units sold
+ */
+function getCostBasis(player, trades, grants, scrapValues) {
+  const positions = {}; // product -> { quantity, cost }
+  const positionFor = (product) => positions[product] || (positions[product] = { quantity: 0, cost: 0 });
+  for (const [product, quantity] of Object.entries(player.initialInventory)) {
+    positionFor(product).quantity += quantity;
+    positionFor(product).cost += quantity * (scrapValues[product] || 0);
+  }
+
+  const steps = [
+    ...trades
+      .filter(t => t.buyerId === player.playerId || t.sellerId === player.playerId)
+      .map(trade => ({ at: new Date(trade.executedAt).getTime(), trade })),
+    ...grants
+      .filter(g => g.playerId === player.playerId)
+      .map(grant => ({ at: new Date(grant.timestamp).getTime(), grant }))
+  ].sort((a, b) => a.at - b.at);
+
+  let realizedPnl = 0;
+  for (const { trade, grant } of steps) {
+    if (grant) {
+      positionFor(grant.product).quantity += grant.quantity;
+      continue;
+    }
+
+    const position = positionFor(trade.product);
+    if (trade.buyerId === player.playerId) {
+      position.quantity += trade.quantity;
+      position.cost += trade.value;
+    }
+    if (trade.sellerId === player.playerId) {
+      const averageCost = position.quantity > 0 ? position.cost / position.quantity : 0;
+      realizedPnl += trade.value - averageCost * trade.quantity;
+      position.cost -= averageCost * trade.quantity;
+      position.quantity -= trade.quantity;
+    }
+  }
+
+  const cost = Object.values(positions).reduce((sum, p) => sum + p.cost, 0);
+  return { cost, realizedPnl };
+}
+
+/**
+ * Value a player's cash and holdings and split their P&L
+ * @param {Player} player
+ * @param {object} options
+ * @param {string} options.method One of VALUATION_METHODS
+ * @param {object} options.config Game config
+ * @param {Array} options.setRecipes Recipes in force (for projected)
+ * @param {object} options.market Per-product { bestBid, bestAsk, lastPrice }
+ * @param {Trade[]} options.trades The game's trades in execution order
+ * @param {Array} options.grants Scheduled deliveries (news item grants with a timestamp)
+ * @returns {{ method, value, holdingsValue, pnl, realizedPnl, unrealizedPnl }}
+ */
+function valuePlayer(player, { method, config, setRecipes, market = {}, trades = [], grants = [] }) {
+  const { scrapValues } = config;
+
+  let holdingsValue;
+  if (method === 'projected') {
+    const estimate = player.estimateScore(scrapValues, setRecipes);
+    holdingsValue = estimate.setsValue + estimate.scrapValue;
+  } else {
+    const marks = getMarks(method, config, market);
+    holdingsValue = Object.entries(player.inventory)
+      .reduce((sum, [product, quantity]) => sum + quantity * (marks[product] ?? 0), 0);
+  }
+
+  const value = player.cash + holdingsValue;
+  const pnl = value - (player.initialCash + player.getInitialInventoryValue(scrapValues));
+  const { realizedPnl } = getCostBasis(player, trades, grants, scrapValues);
+
+  return {
+    method,
+    value: roundCents(value),
+    holdingsValue: roundCents(holdingsValue),
+    pnl: roundCents(pnl),
+    realizedPnl: roundCents(realizedPnl),
+    // Whatever the sales have not locked in is still riding on the marks
+    unrealizedPnl: roundCents(pnl - realizedPnl)
+  };
+}
+
+/**
+ * Deliveries recorded in a game's news, stamped with when they arrived
+ */
+function getGrants(news = []) {
+  return news.flatMap(item => item.grants.map(grant => ({ ...grant, timestamp: item.timestamp })));
+}
+
+module.exports = { VALUATION_METHODS, getMarks, getCostBasis, valuePlayer, getGrants };
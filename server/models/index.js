@@ -1,12 +1,13 @@
 /**
  * Data Models for Trading Exchange Game
  *
- * These models are structured for easy database integration later.
- * Currently uses in-memory storage with console logging.
+ * Live model instances are kept in memory; saves are batched and flushed
+ * to a DatabaseAdapter so games survive a restart.
  *
  * === DATABASE INTEGRATION GUIDE ===
  * To add database support:
  * 1. Implement the DatabaseAdapter interface below
+ *    (SqliteAdapter in ./sqliteAdapter.js is the file-backed implementation)
  * 2. Replace InMemoryAdapter with your DB adapter (MongoDB, PostgreSQL, etc.)
  * 3. Pass adapter to DataStore constructor
  *
@@ -14,6 +15,7 @@
  */
 
 const { v4: uuidv4 } = require('uuid');
+const SqliteAdapter = require('./sqliteAdapter');
 
 // ==================== DATABASE ADAPTER INTERFACE ====================
 
@@ -28,11 +30,15 @@ class InMemoryAdapter {
     this.orders = new Map();
     this.trades = new Map();
     this.events = [];
+    this.marketEvents = [];
   }
 
   // Game operations
   async saveGame(gameData) { this.games.set(gameData.gameId, gameData); }
   async getGame(gameId) { return this.games.get(gameId) || null; }
+  async listGames() {
+    return Array.from(this.games.values()).sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+  }
 
   // Player operations
   async savePlayer(playerData) { this.players.set(playerData.playerId, playerData); }
@@ -65,6 +71,20 @@ class InMemoryAdapter {
     return this.events.filter(e => e.gameId === gameId);
   }
 
+  // Market event journal operations
+  async saveMarketEvent(eventData) { this.marketEvents.push(eventData); }
+  async getMarketEventsByGame(gameId) {
+    return this.marketEvents.filter(e => e.gameId === gameId);
+  }
+
+  // Write many records at once ({ method, data } pairs, method being a save
+  // method above); a database should do this in one transaction
+  async saveBatch(writes) {
+    for (const { method, data } of writes) {
+      await this[method](data);
+    }
+  }
+
   // Export all data for a game
   async exportAll(gameId) {
     return {
@@ -72,7 +92,8 @@ class InMemoryAdapter {
       players: await this.getPlayersByGame(gameId),
       trades: await this.getTradesByGame(gameId),
       orders: Array.from(this.orders.values()).filter(o => o.gameId === gameId),
-      events: await this.getEventsByGame(gameId)
+      events: await this.getEventsByGame(gameId),
+      marketEvents: await this.getMarketEventsByGame(gameId)
     };
   }
 }
@@ -82,6 +103,7 @@ class InMemoryAdapter {
 /**
  * DataStore - Data access layer
  * Wraps the database adapter and manages model instances
+ * Saves are flushed to the adapter in batches; reads come from memory
  * Logs structured data to console for debugging
  */
 class DataStore {
@@ -93,11 +115,50 @@ class DataStore {
     this._orders = new Map();
     this._trades = new Map();
     this._events = [];
+    this._marketEvents = new Map(); // gameId -> MarketEvent[] in sequence order
+    this._dirty = new Map(); // record -> save method, waiting for the next flush
+    this._flushScheduled = null; // setImmediate handle while a flush is pending
+  }
+
+  /**
+   * Queue a record for the next flush without blocking the caller. Saving the
+   * same live instance again before then costs nothing extra: it is
+   * serialized once, as it stands at flush time.
+   */
+  _persist(method, record) {
+    this._dirty.set(record, method);
+    if (!this._flushScheduled) {
+      this._flushScheduled = setImmediate(() => this.flush());
+    }
+  }
+
+  /**
+   * Write every queued record to the adapter in one batch (one transaction
+   * for SQLite). Runs once per event-loop turn after a save; call it directly
+   * before reading from the adapter or shutting down.
+   * A failed write is logged; the live in-memory instances stay authoritative.
+   */
+  async flush() {
+    clearImmediate(this._flushScheduled);
+    this._flushScheduled = null;
+    if (this._dirty.size === 0) return;
+
+    const writes = Array.from(this._dirty, ([record, method]) => ({
+      method,
+      data: typeof record.toJSON === 'function' ? record.toJSON() : record
+    }));
+    this._dirty.clear();
+    try {
+      await this.adapter.saveBatch(writes);
+    } catch (err) {
+      console.error(`[DATABASE] Flush of ${writes.length} records failed: ${err.message}`);
+    }
   }
 
   // ---- Game operations ----
   saveGame(game) {
     this._games.set(game.gameId, game);
+    this._persist('saveGame', game);
     return game;
   }
 
@@ -108,6 +169,7 @@ class DataStore {
   // ---- Player operations ----
   savePlayer(player) {
     this._players.set(player.playerId, player);
+    this._persist('savePlayer', player);
     return player;
   }
 
@@ -119,9 +181,15 @@ class DataStore {
     return Array.from(this._players.values()).filter(p => p.gameId === gameId);
   }
 
+  getPlayerBySessionToken(sessionToken) {
+    if (!sessionToken) return undefined;
+    return Array.from(this._players.values()).find(p => p.sessionToken === sessionToken);
+  }
+
   // ---- Order operations ----
   saveOrder(order) {
     this._orders.set(order.orderId, order);
+    this._persist('saveOrder', order);
     return order;
   }
 
@@ -142,6 +210,7 @@ class DataStore {
   // ---- Trade operations ----
   saveTrade(trade) {
     this._trades.set(trade.tradeId, trade);
+    this._persist('saveTrade', trade);
     console.log(`[TRADE] ${trade.quantity} ${trade.product} @ $${trade.price} | buyer=${trade.buyerId.slice(0,8)} seller=${trade.sellerId.slice(0,8)}`);
     return trade;
   }
@@ -153,25 +222,82 @@ class DataStore {
   // ---- Event logging ----
   logEvent(event) {
     this._events.push(event);
+    this._persist('saveEvent', event);
     console.log(`[EVENT] ${event.type}${event.playerName ? ' | ' + event.playerName : ''}${event.gameId ? ' | game=' + event.gameId.slice(0,8) : ''}`);
   }
 
+  // ---- Market event journal ----
+
+  /**
+   * Append an order-lifecycle event to its game's journal, stamping the next sequence number
+   */
+  appendMarketEvent(event) {
+    if (!this._marketEvents.has(event.gameId)) {
+      this._marketEvents.set(event.gameId, []);
+    }
+    const journal = this._marketEvents.get(event.gameId);
+    event.sequence = journal.length + 1;
+    journal.push(event);
+    this._persist('saveMarketEvent', event);
+    return event;
+  }
+
+  getMarketEventsByGame(gameId) {
+    return this._marketEvents.get(gameId) || [];
+  }
+
+  /**
+   * Page through a game's journal
+   * Reads from memory for live games and from the adapter otherwise
+   * @param {{ after?: number, limit?: number, orderId?: string, playerId?: string }} options
+   *   after - return events with sequence greater than this cursor
+   * @returns {Promise<{ events: object[], nextAfter: number|null, hasMore: boolean }>}
+   */
+  async queryMarketEvents(gameId, { after = 0, limit = 100, orderId = null, playerId = null } = {}) {
+    const events = this._games.has(gameId)
+      ? this.getMarketEventsByGame(gameId).map(e => e.toJSON())
+      : await this.flush().then(() => this.adapter.getMarketEventsByGame(gameId));
+
+    const matching = events.filter(e =>
+      e.sequence > after &&
+      (!orderId || e.orderId === orderId) &&
+      (!playerId || e.playerId === playerId)
+    );
+    const page = matching.slice(0, limit);
+
+    return {
+      events: page,
+      nextAfter: page.length > 0 ? page[page.length - 1].sequence : null,
+      hasMore: matching.length > page.length
+    };
+  }
+
   // ---- Export operations ----
-  exportGameData(gameId) {
+
+  /**
+   * Collect a game's data as DB-ready objects (no console output)
+   */
+  collectGameData(gameId) {
     const game = this.getGame(gameId);
     const players = this.getPlayersByGame(gameId);
     const trades = this.getTradesByGame(gameId);
     const orders = Array.from(this._orders.values()).filter(o => o.gameId === gameId);
     const events = this._events.filter(e => e.gameId === gameId);
+    const marketEvents = this.getMarketEventsByGame(gameId);
 
-    const exportData = {
+    return {
       game: game?.toJSON(),
       players: players.map(p => p.toJSON()),
       trades: trades.map(t => t.toJSON()),
       orders: orders.map(o => o.toJSON()),
       events: events,
+      marketEvents: marketEvents.map(e => e.toJSON()),
       exportedAt: new Date().toISOString()
     };
+  }
+
+  exportGameData(gameId) {
+    const exportData = this.collectGameData(gameId);
 
     // Print structured summary to terminal
     this.printGameSummary(exportData);
@@ -179,13 +305,39 @@ class DataStore {
     return exportData;
   }
 
+  /**
+   * Load a game's data from the adapter
+   * Used for games that are no longer in memory (e.g. after a restart)
+   */
+  async loadGameData(gameId) {
+    await this.flush();
+    const data = await this.adapter.exportAll(gameId);
+    return { ...data, exportedAt: new Date().toISOString() };
+  }
+
+  /**
+   * List every game the adapter has stored, newest first
+   */
+  async listSavedGames() {
+    await this.flush();
+    const games = await this.adapter.listGames();
+    return games.map(g => ({
+      gameId: g.gameId,
+      joinCode: g.joinCode,
+      status: g.status,
+      playerCount: g.playerIds.length,
+      createdAt: g.createdAt,
+      startTime: g.startTime,
+      endTime: g.endTime
+    }));
+  }
+
   /**
    * Print a human-readable game summary to the terminal
-   * This is where data would be sent to a database in production
    */
   printGameSummary(data) {
     console.log('\n' + '='.repeat(60));
-    console.log('  GAME DATA EXPORT - Ready for Database Upload');
+    console.log('  GAME DATA EXPORT');
     console.log('='.repeat(60));
 
     if (data.game) {
@@ -209,10 +361,11 @@ class DataStore {
     console.log(`\n[TRADES] Count: ${data.trades.length}`);
     console.log(`[ORDERS] Count: ${data.orders.length}`);
     console.log(`[EVENTS] Count: ${data.events.length}`);
+    console.log(`[MARKET EVENTS] Count: ${data.marketEvents.length}`);
 
     console.log('\n' + '='.repeat(60));
-    console.log('  To upload this data, implement DatabaseAdapter');
-    console.log('  and call: dataStore.adapter.exportAll(gameId)');
+    console.log(`  Persisted via ${this.adapter.constructor.name}`);
+    console.log('  Reload with: dataStore.loadGameData(gameId)');
     console.log('='.repeat(60) + '\n');
   }
 }
@@ -220,12 +373,22 @@ class DataStore {
 // ==================== GAME MODEL ====================
 
 class Game {
-  constructor(hostPlayerId, config) {
+  constructor(hostPlayerId, config, joinCode = null) {
     this.gameId = uuidv4();
+    this.joinCode = joinCode;
     this.hostPlayerId = hostPlayerId;
     this.status = 'lobby'; // 'lobby' | 'running' | 'ended'
     this.config = config;
     this.playerIds = [];
+    this.seatsDealt = 0; // Starting inventories dealt so far (see inventoryAllocation.js)
+    this.news = []; // Scheduled events that have fired (see scheduledEvents.js)
+    // Passcode for the facilitator dashboard, shown only to the host.
+    // Deliberately left out of toJSON() so it never reaches exports.
+    this.facilitatorPasscode = null;
+    this.elapsedSeconds = 0; // Game clock; stands still while paused
+    this.timeAdded = 0; // Seconds the host added to gameDuration
+    this.paused = false;
+    this.pauses = []; // { start, end } wall-clock spans the game clock stood still
     this.startTime = null;
     this.endTime = null;
     this.createdAt = new Date().toISOString();
@@ -249,21 +412,38 @@ class Game {
   end() {
     this.status = 'ended';
     this.endTime = new Date().toISOString();
+    if (this.paused) this.setPaused(false, this.endTime);
+  }
+
+  // Pauses are kept so replays can put wall-clock timestamps on the game clock
+  setPaused(paused, at = new Date().toISOString()) {
+    this.paused = paused;
+    if (paused) {
+      this.pauses.push({ start: at, end: null });
+    } else if (this.pauses.length > 0) {
+      this.pauses[this.pauses.length - 1].end = at;
+    }
   }
 
   getRemainingTime() {
     if (this.status !== 'running' || !this.startTime) return this.config.gameDuration;
-    const elapsed = (Date.now() - new Date(this.startTime).getTime()) / 1000;
-    return Math.max(0, this.config.gameDuration - elapsed);
+    return Math.max(0, this.config.gameDuration + this.timeAdded - this.elapsedSeconds);
   }
 
   toJSON() {
     return {
       gameId: this.gameId,
+      joinCode: this.joinCode,
       hostPlayerId: this.hostPlayerId,
       status: this.status,
       config: this.config,
       playerIds: this.playerIds,
+      seatsDealt: this.seatsDealt,
+      news: this.news,
+      elapsedSeconds: this.elapsedSeconds,
+      timeAdded: this.timeAdded,
+      paused: this.paused,
+      pauses: this.pauses,
       startTime: this.startTime,
       endTime: this.endTime,
       createdAt: this.createdAt
@@ -280,6 +460,9 @@ class Player {
     this.name = name;
     this.cash = startingCash;
     this.inventory = { ...startingInventory };
+    // Cash and units locked by resting orders; see reserveFor / releaseFor
+    this.reservedCash = 0;
+    this.reservedInventory = {};
     this.openOrderIds = [];
     this.tradeHistory = [];
     this.setsFormed = 0;
@@ -288,6 +471,42 @@ class Player {
     this.finalScore = null;
     this.pnlBreakdown = null;
     this.joinedAt = new Date().toISOString();
+    // Secret handed to the client so it can reclaim this seat after a drop.
+    // Deliberately left out of toJSON() so it never reaches exports.
+    this.sessionToken = uuidv4();
+    this.connected = true;
+    this.apiKeyId = null; // Set when the seat was taken by a bot using an API key
+    this.houseBot = null; // Strategy name when the seat is a built-in house bot
+  }
+
+  getAvailableCash() {
+    return this.cash - this.reservedCash;
+  }
+
+  getAvailableInventory(product) {
+    return (this.inventory[product] || 0) - (this.reservedInventory[product] || 0);
+  }
+
+  /**
+   * Lock the cash (buy) or units (sell) backing the unfilled part of a resting order
+   */
+  reserveFor(order) {
+    if (order.side === 'buy') {
+      this.reservedCash += order.remainingQuantity * order.price;
+    } else {
+      this.reservedInventory[order.product] = (this.reservedInventory[order.product] || 0) + order.remainingQuantity;
+    }
+  }
+
+  /**
+   * Release the lock on `quantity` units of a resting order (after a fill or cancel)
+   */
+  releaseFor(order, quantity) {
+    if (order.side === 'buy') {
+      this.reservedCash = Math.max(0, this.reservedCash - quantity * order.price);
+    } else {
+      this.reservedInventory[order.product] = Math.max(0, (this.reservedInventory[order.product] || 0) - quantity);
+    }
   }
 
   getInventoryScrapValue(scrapValues) {
@@ -307,27 +526,96 @@ class Player {
     return minSets === Infinity ? 0 : minSets;
   }
 
-  calculateFinalScore(scrapValues, setValue, setRecipe) {
-    const completeSets = this.getCompleteSets(setRecipe);
+  /**
+   * Form the combination of sets that scores the most at game end
+   * A set only adds to the score by its surplus: its value minus the scrap
+   * value of its ingredients. Tries set counts recipe by recipe, highest
+   * surplus first, skipping branches that cannot beat the best found so far.
+   * @param {Array<{name, value, recipe}>} setRecipes
+   * @returns {{ sets: Object<string, number>, completeSets: number, setsValue: number, remaining: Object<string, number> }}
+   */
+  formSets(setRecipes, scrapValues) {
+    const scrapCost = (recipe) => Object.entries(recipe)
+      .reduce((sum, [product, required]) => sum + required * (scrapValues[product] || 0), 0);
+    const maxSets = (recipe, inventory) => Math.min(
+      ...Object.entries(recipe).map(([product, required]) => Math.floor((inventory[product] || 0) / required))
+    );
+    const candidates = setRecipes
+      .map(set => ({ ...set, surplus: set.value - scrapCost(set.recipe) }))
+      .filter(set => set.surplus > 0)
+      .sort((a, b) => b.surplus - a.surplus);
+
+    let best = { surplus: 0, counts: candidates.map(() => 0) };
+    const counts = [];
+    const search = (index, inventory, surplus) => {
+      if (index === candidates.length) {
+        if (surplus > best.surplus) best = { surplus, counts: [...counts] };
+        return;
+      }
 
-    const remainingInventory = { ...this.inventory };
-    for (const [product, required] of Object.entries(setRecipe)) {
-      remainingInventory[product] -= completeSets * required;
-    }
+      // Upper bound: every remaining recipe as if it had the inventory to itself
+      let bound = surplus;
+      for (let i = index; i < candidates.length; i++) {
+        bound += maxSets(candidates[i].recipe, inventory) * candidates[i].surplus;
+      }
+      if (bound <= best.surplus) return;
+
+      const { recipe, surplus: each } = candidates[index];
+      const max = maxSets(recipe, inventory);
+      // The last recipe can only gain from using everything left
+      const min = index === candidates.length - 1 ? max : 0;
+      for (let count = max; count >= min; count--) {
+        const next = { ...inventory };
+        for (const [product, required] of Object.entries(recipe)) {
+          next[product] -= count * required;
+        }
+        counts[index] = count;
+        search(index + 1, next, surplus + count * each);
+      }
+    };
+    search(0, { ...this.inventory }, 0);
+
+    const remaining = { ...this.inventory };
+    const sets = {};
+    let completeSets = 0;
+    let setsValue = 0;
+    candidates.forEach(({ name, value, recipe }, i) => {
+      const count = best.counts[i];
+      if (count === 0) return;
+      for (const [product, required] of Object.entries(recipe)) {
+        remaining[product] -= count * required;
+      }
+      sets[name] = count;
+      completeSets += count;
+      setsValue += count * value;
+    });
+
+    return { sets, completeSets, setsValue, remaining };
+  }
+
+  /**
+   * Score if the game ended now: best sets plus leftover scrap
+   */
+  estimateScore(scrapValues, setRecipes) {
+    const { sets, completeSets, setsValue, remaining } = this.formSets(setRecipes, scrapValues);
 
     let scrapValue = 0;
-    for (const [product, quantity] of Object.entries(remainingInventory)) {
+    for (const [product, quantity] of Object.entries(remaining)) {
       scrapValue += quantity * (scrapValues[product] || 0);
     }
 
-    const setsValue = completeSets * setValue;
-    const totalScore = this.cash + setsValue + scrapValue;
+    return { sets, completeSets, setsValue, scrapValue, totalScore: this.cash + setsValue + scrapValue };
+  }
+
+  calculateFinalScore(scrapValues, setRecipes) {
+    const { sets, completeSets, setsValue, scrapValue, totalScore } = this.estimateScore(scrapValues, setRecipes);
 
     this.setsFormed = completeSets;
     this.finalScore = totalScore;
     this.pnlBreakdown = {
       cash: this.cash,
       completeSets,
+      sets,
       setsValue,
       scrapValue,
       totalScore,
@@ -345,6 +633,19 @@ class Player {
     return value;
   }
 
+  /**
+   * Rebuild a Player from its toJSON() output (e.g. a database row)
+   */
+  static fromJSON(data) {
+    return Object.assign(Object.create(Player.prototype), data, {
+      inventory: { ...data.inventory },
+      reservedInventory: { ...data.reservedInventory },
+      initialInventory: { ...data.initialInventory },
+      openOrderIds: [...data.openOrderIds],
+      tradeHistory: [...data.tradeHistory]
+    });
+  }
+
   addOrder(orderId) {
     if (!this.openOrderIds.includes(orderId)) {
       this.openOrderIds.push(orderId);
@@ -374,6 +675,8 @@ class Player {
       name: this.name,
       cash: this.cash,
       inventory: this.inventory,
+      reservedCash: this.reservedCash,
+      reservedInventory: this.reservedInventory,
       openOrderIds: this.openOrderIds,
       tradeHistory: this.tradeHistory,
       setsFormed: this.setsFormed,
@@ -381,7 +684,10 @@ class Player {
       initialInventory: this.initialInventory,
       finalScore: this.finalScore,
       pnlBreakdown: this.pnlBreakdown,
-      joinedAt: this.joinedAt
+      joinedAt: this.joinedAt,
+      connected: this.connected,
+      apiKeyId: this.apiKeyId,
+      houseBot: this.houseBot
     };
   }
 }
@@ -389,7 +695,7 @@ class Player {
 // ==================== ORDER MODEL ====================
 
 class Order {
-  constructor(gameId, playerId, playerName, product, side, orderType, quantity, price = null) {
+  constructor(gameId, playerId, playerName, product, side, orderType, quantity, price = null, options = {}) {
     this.orderId = uuidv4();
     this.gameId = gameId;
     this.playerId = playerId;
@@ -397,15 +703,42 @@ class Order {
     this.product = product;
     this.side = side;
     this.orderType = orderType;
-    this.quantity = quantity;
+    this.quantity = quantity; // As first ordered; size-down amends only lower remainingQuantity
     this.remainingQuantity = quantity;
     this.price = price;
-    this.status = 'open'; // 'open' | 'filled' | 'partial' | 'cancelled'
+    // Market orders only: 'ioc' fills what it can at any price, 'protected'
+    // also stops at protectionPrice. Either way the remainder is cancelled.
+    this.fillPolicy = orderType === 'market' ? (options.fillPolicy || 'ioc') : null;
+    this.maxSlippage = options.maxSlippage ?? null; // Percent from the best price at submission
+    this.priceCap = options.priceCap ?? null; // Worst price the player asked for
+    this.protectionPrice = null; // Effective worst price, set by the matching engine
+    // 'gtc' | 'ioc' | 'fok' | 'post_only' | 'gtd'; market orders are always 'ioc'
+    this.timeInForce = orderType === 'market' ? 'ioc' : (options.timeInForce || 'gtc');
+    this.expiresAt = null; // GTD only: game-clock second the order expires at
+    // Stop orders: wait in the trigger book as 'pending' until the last trade
+    // price reaches stopPrice, then enter matching as a market or limit order
+    // and stay 'triggered' until filled or cancelled
+    this.stopPrice = options.stopPrice ?? null;
+    this.triggeredAt = null;
+    this.replacesOrderId = options.replacesOrderId ?? null; // Set when created by an amend
+    this.sequence = null; // Arrival stamp in its order book, for time priority
+    this.status = orderType === 'stop' || orderType === 'stop_limit'
+      ? 'pending'
+      : 'open'; // 'pending' | 'triggered' | 'open' | 'filled' | 'partial' | 'cancelled'
     this.fills = [];
     this.createdAt = new Date().toISOString();
     this.updatedAt = new Date().toISOString();
   }
 
+  /**
+   * Rebuild an Order from its toJSON() output (e.g. a database row)
+   */
+  static fromJSON(data) {
+    return Object.assign(Object.create(Order.prototype), data, {
+      fills: data.fills.map(f => ({ ...f }))
+    });
+  }
+
   fill(tradeId, quantity, price) {
     this.fills.push({
       tradeId,
@@ -418,7 +751,7 @@ class Order {
 
     if (this.remainingQuantity <= 0) {
       this.status = 'filled';
-    } else {
+    } else if (this.status !== 'triggered') {
       this.status = 'partial';
     }
   }
@@ -428,6 +761,11 @@ class Order {
     this.updatedAt = new Date().toISOString();
   }
 
+  // Whether the order sits in the book and can still trade
+  isResting() {
+    return this.status === 'open' || this.status === 'partial' || this.status === 'triggered';
+  }
+
   toOrderBookJSON(showNames = false) {
     return {
       orderId: this.orderId,
@@ -453,6 +791,16 @@ class Order {
       quantity: this.quantity,
       remainingQuantity: this.remainingQuantity,
       price: this.price,
+      fillPolicy: this.fillPolicy,
+      maxSlippage: this.maxSlippage,
+      priceCap: this.priceCap,
+      protectionPrice: this.protectionPrice,
+      timeInForce: this.timeInForce,
+      expiresAt: this.expiresAt,
+      stopPrice: this.stopPrice,
+      triggeredAt: this.triggeredAt,
+      replacesOrderId: this.replacesOrderId,
+      sequence: this.sequence,
       status: this.status,
       fills: this.fills,
       createdAt: this.createdAt,
@@ -476,6 +824,7 @@ class Trade {
     this.price = price;
     this.value = quantity * price;
     this.executedAt = new Date().toISOString();
+    this.gameTime = null; // Game-clock seconds at execution (the clock stops while paused)
   }
 
   toJSON() {
@@ -490,7 +839,8 @@ class Trade {
       quantity: this.quantity,
       price: this.price,
       value: this.value,
-      executedAt: this.executedAt
+      executedAt: this.executedAt,
+      gameTime: this.gameTime
     };
   }
 }
@@ -498,23 +848,29 @@ class Trade {
 // ==================== MARKET EVENT MODEL ====================
 
 class MarketEvent {
-  constructor(gameId, type, orderId, playerId, product, side, price, quantity) {
+  constructor(gameId, type, orderId, playerId, product, side, price, quantity, details = {}) {
     this.eventId = uuidv4();
     this.gameId = gameId;
+    this.sequence = null; // Assigned by DataStore.appendMarketEvent, 1-based per game
     this.timestamp = new Date().toISOString();
-    this.type = type; // 'order_placed' | 'order_cancelled' | 'order_filled' | 'order_partially_filled'
+    // 'order_placed' | 'order_triggered' | 'order_amended' | 'order_replaced' |
+    // 'order_cancelled' | 'order_expired' | 'order_filled' | 'order_partially_filled'
+    this.type = type;
     this.orderId = orderId;
     this.playerId = playerId;
     this.product = product;
     this.side = side;
     this.price = price;
     this.quantity = quantity;
+    this.tradeId = details.tradeId || null; // Fill events only
+    this.remainingQuantity = details.remainingQuantity ?? null; // Order size left after this event
   }
 
   toJSON() {
     return {
       eventId: this.eventId,
       gameId: this.gameId,
+      sequence: this.sequence,
       timestamp: this.timestamp,
       type: this.type,
       orderId: this.orderId,
@@ -522,94 +878,341 @@ class MarketEvent {
       product: this.product,
       side: this.side,
       price: this.price,
-      quantity: this.quantity
+      quantity: this.quantity,
+      tradeId: this.tradeId,
+      remainingQuantity: this.remainingQuantity
     };
   }
 }
 
 // ==================== ORDER BOOK MODEL ====================
 
+/**
+ * One side of an order book: price levels, each a FIFO queue of orders.
+ *
+ * - levels maps price -> { orders: Map(orderId -> order), lastSequence }.
+ *   A Map keeps insertion order, so each level is a FIFO queue with O(1)
+ *   removal by id
+ * - prices is sorted so the best price is always last: ascending for bids,
+ *   descending for asks. Best price is an O(1) peek
+ * - A level emptied by a cancel is left in place and dropped once it reaches
+ *   the top, so cancels never shift the prices array
+ */
+class BookSide {
+  constructor(side) {
+    this.side = side;
+    this.levels = new Map();
+    this.prices = [];
+    this.changed = new Set(); // Prices touched since the last delta was taken
+  }
+
+  // True if price a should sit closer to the top of the book than price b
+  isBetter(a, b) {
+    return this.side === 'buy' ? a > b : a < b;
+  }
+
+  add(order) {
+    this.changed.add(order.price);
+    let level = this.levels.get(order.price);
+    if (!level) {
+      level = { orders: new Map(), lastSequence: 0 };
+      this.levels.set(order.price, level);
+      this.insertPrice(order.price);
+    }
+
+    // Replays can add orders out of arrival order; keep each queue in sequence order
+    if (level.orders.size > 0 && level.lastSequence > order.sequence) {
+      const queue = [...level.orders.values(), order].sort((a, b) => a.sequence - b.sequence);
+      level.orders.clear();
+      for (const queued of queue) level.orders.set(queued.orderId, queued);
+    } else {
+      level.orders.set(order.orderId, order);
+      level.lastSequence = order.sequence;
+    }
+  }
+
+  // Binary search for the slot that keeps prices sorted worst-to-best
+  insertPrice(price) {
+    let low = 0;
+    let high = this.prices.length;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (this.isBetter(price, this.prices[mid])) {
+        low = mid + 1;
+      } else {
+        high = mid;
+      }
+    }
+    this.prices.splice(low, 0, price);
+  }
+
+  remove(order) {
+    this.changed.add(order.price);
+    const level = this.levels.get(order.price);
+    if (level) level.orders.delete(order.orderId);
+  }
+
+  // Drop empty levels sitting at the top
+  prune() {
+    while (this.prices.length > 0) {
+      const price = this.prices[this.prices.length - 1];
+      if (this.levels.get(price).orders.size > 0) break;
+      this.levels.delete(price);
+      this.prices.pop();
+    }
+  }
+
+  best() {
+    this.prune();
+    if (this.prices.length === 0) return null;
+    return this.levels.get(this.prices[this.prices.length - 1]).orders.values().next().value;
+  }
+
+  /**
+   * Orders in priority order: best price first, then arrival
+   */
+  *orders() {
+    for (let i = this.prices.length - 1; i >= 0; i--) {
+      yield* this.levels.get(this.prices[i]).orders.values();
+    }
+  }
+
+  /**
+   * One level as { price, quantity, orders }; quantity 0 if nothing rests there
+   */
+  level(price, showNames) {
+    const orders = Array.from(this.levels.get(price)?.orders.values() || []);
+    return {
+      price,
+      quantity: orders.reduce((sum, o) => sum + o.remainingQuantity, 0),
+      orders: orders.map(o => o.toOrderBookJSON(showNames))
+    };
+  }
+
+  /**
+   * Non-empty levels, best first
+   */
+  depth(showNames) {
+    const levels = [];
+    for (let i = this.prices.length - 1; i >= 0; i--) {
+      if (this.levels.get(this.prices[i]).orders.size === 0) continue;
+      levels.push(this.level(this.prices[i], showNames));
+    }
+    return levels;
+  }
+
+  /**
+   * Current state of every level touched since the last call
+   */
+  takeChanges(showNames) {
+    const changes = Array.from(this.changed, price => this.level(price, showNames));
+    this.changed.clear();
+    return changes;
+  }
+
+  clear() {
+    for (const [price, level] of this.levels) {
+      if (level.orders.size > 0) this.changed.add(price);
+    }
+    this.levels.clear();
+    this.prices = [];
+  }
+}
+
+/**
+ * Limit order book for one product.
+ * Price-time priority: better price first, then lower sequence number.
+ * Holds live (open / partial) orders only; callers remove an order once it
+ * fills or is cancelled, and call touch() when a resting order's size changes.
+ *
+ * Level changes are collected for the L2 delta feed: takeDelta() returns the
+ * touched levels under the next version number. Deltas carry each level's
+ * full state, so applying one twice, or on top of a newer snapshot, is harmless.
+ */
 class OrderBook {
   constructor(product) {
     this.product = product;
-    this.bids = [];
-    this.asks = [];
+    this.bids = new BookSide('buy');
+    this.asks = new BookSide('sell');
+    this.index = new Map(); // orderId -> order
+    this.sequence = 0; // Last arrival stamp handed out
+    this.version = 0; // Sequence number of the last delta taken
   }
 
+  /**
+   * Queue an order at the back of its price level. order.sequence is its
+   * arrival stamp for time priority, set here unless the order already has one
+   * (e.g. when GameReplay rebuilds a book).
+   */
   addOrder(order) {
-    if (order.side === 'buy') {
-      this.bids.push(order);
-      this.bids.sort((a, b) => {
-        if (b.price !== a.price) return b.price - a.price;
-        return new Date(a.createdAt) - new Date(b.createdAt);
-      });
+    if (order.sequence === null || order.sequence === undefined) {
+      order.sequence = ++this.sequence;
     } else {
-      this.asks.push(order);
-      this.asks.sort((a, b) => {
-        if (a.price !== b.price) return a.price - b.price;
-        return new Date(a.createdAt) - new Date(b.createdAt);
-      });
+      this.sequence = Math.max(this.sequence, order.sequence);
     }
+
+    this.index.set(order.orderId, order);
+    (order.side === 'buy' ? this.bids : this.asks).add(order);
   }
 
+  /**
+   * @returns {Order|null} The removed order
+   */
   removeOrder(orderId) {
-    this.bids = this.bids.filter(o => o.orderId !== orderId);
-    this.asks = this.asks.filter(o => o.orderId !== orderId);
+    const order = this.index.get(orderId);
+    if (!order) return null;
+
+    this.index.delete(orderId);
+    (order.side === 'buy' ? this.bids : this.asks).remove(order);
+    return order;
+  }
+
+  getOrder(orderId) {
+    return this.index.get(orderId) || null;
+  }
+
+  /**
+   * Mark a resting order's level as changed after a partial fill or size-down
+   */
+  touch(order) {
+    (order.side === 'buy' ? this.bids : this.asks).changed.add(order.price);
   }
 
   getBestBid() {
-    const openBids = this.bids.filter(o => o.status === 'open' || o.status === 'partial');
-    return openBids.length > 0 ? openBids[0] : null;
+    return this.bids.best();
   }
 
   getBestAsk() {
-    const openAsks = this.asks.filter(o => o.status === 'open' || o.status === 'partial');
-    return openAsks.length > 0 ? openAsks[0] : null;
+    return this.asks.best();
+  }
+
+  /**
+   * Resting orders on one side ('buy' = bids) in priority order
+   */
+  getOrdersByPriority(side) {
+    return (side === 'buy' ? this.bids : this.asks).orders();
+  }
+
+  getAllOrders() {
+    return Array.from(this.index.values());
   }
 
   getDepth(showNames = false) {
-    const bidLevels = new Map();
-    const askLevels = new Map();
-
-    for (const order of this.bids.filter(o => o.status === 'open' || o.status === 'partial')) {
-      const level = bidLevels.get(order.price) || { price: order.price, quantity: 0, orders: [] };
-      level.quantity += order.remainingQuantity;
-      level.orders.push(order.toOrderBookJSON(showNames));
-      bidLevels.set(order.price, level);
-    }
+    const bestBid = this.getBestBid();
+    const bestAsk = this.getBestAsk();
 
-    for (const order of this.asks.filter(o => o.status === 'open' || o.status === 'partial')) {
-      const level = askLevels.get(order.price) || { price: order.price, quantity: 0, orders: [] };
-      level.quantity += order.remainingQuantity;
-      level.orders.push(order.toOrderBookJSON(showNames));
-      askLevels.set(order.price, level);
-    }
+    return {
+      product: this.product,
+      bids: this.bids.depth(showNames),
+      asks: this.asks.depth(showNames),
+      bestBid: bestBid?.price || null,
+      bestAsk: bestAsk?.price || null,
+      spread: bestBid && bestAsk ? bestAsk.price - bestBid.price : null,
+      sequence: this.version
+    };
+  }
+
+  /**
+   * Levels changed since the last delta, or null if nothing changed.
+   * Removed levels come back with quantity 0.
+   * @returns {{ product, sequence, bids, asks, bestBid, bestAsk, spread }|null}
+   */
+  takeDelta(showNames = false) {
+    if (this.bids.changed.size === 0 && this.asks.changed.size === 0) return null;
+
+    const bestBid = this.getBestBid();
+    const bestAsk = this.getBestAsk();
 
     return {
       product: this.product,
-      bids: Array.from(bidLevels.values()).sort((a, b) => b.price - a.price),
-      asks: Array.from(askLevels.values()).sort((a, b) => a.price - b.price),
-      bestBid: this.getBestBid()?.price || null,
-      bestAsk: this.getBestAsk()?.price || null,
-      spread: this.getBestBid() && this.getBestAsk()
-        ? this.getBestAsk().price - this.getBestBid().price
-        : null
+      sequence: ++this.version,
+      bids: this.bids.takeChanges(showNames),
+      asks: this.asks.takeChanges(showNames),
+      bestBid: bestBid?.price || null,
+      bestAsk: bestAsk?.price || null,
+      spread: bestBid && bestAsk ? bestAsk.price - bestBid.price : null
     };
   }
 
-  cleanup() {
-    this.bids = this.bids.filter(o => o.status === 'open' || o.status === 'partial');
-    this.asks = this.asks.filter(o => o.status === 'open' || o.status === 'partial');
+  clear() {
+    this.bids.clear();
+    this.asks.clear();
+    this.index.clear();
+  }
+}
+
+// ==================== TRIGGER BOOK MODEL ====================
+
+/**
+ * Pending stop orders for one product, kept apart from the order book.
+ * Buy stops trigger when the last trade price rises to their stop price,
+ * sell stops when it falls to it.
+ */
+class TriggerBook {
+  constructor(product) {
+    this.product = product;
+    this.buyStops = [];
+    this.sellStops = [];
+    this.arrivals = new Map(); // orderId -> arrival number, for ties
+    this.sequence = 0;
+  }
+
+  // Sorts are stable, so equal stop prices keep arrival order
+  addOrder(order) {
+    this.arrivals.set(order.orderId, ++this.sequence);
+    if (order.side === 'buy') {
+      this.buyStops.push(order);
+      this.buyStops.sort((a, b) => a.stopPrice - b.stopPrice);
+    } else {
+      this.sellStops.push(order);
+      this.sellStops.sort((a, b) => b.stopPrice - a.stopPrice);
+    }
+  }
+
+  removeOrder(orderId) {
+    this.arrivals.delete(orderId);
+    this.buyStops = this.buyStops.filter(o => o.orderId !== orderId);
+    this.sellStops = this.sellStops.filter(o => o.orderId !== orderId);
+  }
+
+  /**
+   * Remove and return the stops the last trade price has reached, oldest first
+   */
+  takeTriggered(lastPrice) {
+    if (lastPrice === null || lastPrice === undefined) return [];
+
+    const triggered = [
+      ...this.buyStops.filter(o => o.stopPrice <= lastPrice),
+      ...this.sellStops.filter(o => o.stopPrice >= lastPrice)
+    ].sort((a, b) => this.arrivals.get(a.orderId) - this.arrivals.get(b.orderId));
+
+    for (const order of triggered) {
+      this.removeOrder(order.orderId);
+    }
+
+    return triggered;
+  }
+
+  getOrders() {
+    return [...this.buyStops, ...this.sellStops];
+  }
+
+  clear() {
+    this.buyStops = [];
+    this.sellStops = [];
+    this.arrivals.clear();
   }
 }
 
 module.exports = {
   InMemoryAdapter,
+  SqliteAdapter,
   DataStore,
   Game,
   Player,
   Order,
   Trade,
   MarketEvent,
-  OrderBook
+  OrderBook,
+  TriggerBook
 };
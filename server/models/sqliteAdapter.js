@@ -0,0 +1,245 @@
+/**
+ * SQLite Database Adapter
+ *
+ * File-backed implementation of the DatabaseAdapter interface (see
+ * InMemoryAdapter in ./index.js). Each record is stored as its toJSON()
+ * document, with the ids it is looked up by copied into indexed columns.
+ *
+ * better-sqlite3 is synchronous; methods stay async to match the interface.
+ * saveBatch writes a DataStore flush in a single transaction.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS games (
+    game_id     TEXT PRIMARY KEY,
+    status      TEXT NOT NULL,
+    created_at  TEXT NOT NULL,
+    data        TEXT NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS players (
+    player_id   TEXT PRIMARY KEY,
+    game_id     TEXT NOT NULL,
+    data        TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS idx_players_game ON players (game_id);
+
+  CREATE TABLE IF NOT EXISTS orders (
+    order_id    TEXT PRIMARY KEY,
+    game_id     TEXT NOT NULL,
+    player_id   TEXT NOT NULL,
+    product     TEXT NOT NULL,
+    status      TEXT NOT NULL,
+    created_at  TEXT NOT NULL,
+    data        TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS idx_orders_game ON orders (game_id, product, status);
+  CREATE INDEX IF NOT EXISTS idx_orders_player ON orders (player_id);
+
+  CREATE TABLE IF NOT EXISTS trades (
+    trade_id    TEXT PRIMARY KEY,
+    game_id     TEXT NOT NULL,
+    executed_at TEXT NOT NULL,
+    data        TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS idx_trades_game ON trades (game_id, executed_at);
+
+  CREATE TABLE IF NOT EXISTS events (
+    seq         INTEGER PRIMARY KEY AUTOINCREMENT,
+    game_id     TEXT,
+    type        TEXT NOT NULL,
+    data        TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS idx_events_game ON events (game_id, seq);
+
+  CREATE TABLE IF NOT EXISTS market_events (
+    game_id     TEXT NOT NULL,
+    sequence    INTEGER NOT NULL,
+    order_id    TEXT NOT NULL,
+    type        TEXT NOT NULL,
+    data        TEXT NOT NULL,
+    PRIMARY KEY (game_id, sequence)
+  );
+  CREATE INDEX IF NOT EXISTS idx_market_events_order ON market_events (order_id);
+`;
+
+// Statement parameters for each save method, from a record's toJSON() document
+const ROWS = {
+  saveGame: game => ({
+    gameId: game.gameId,
+    status: game.status,
+    createdAt: game.createdAt,
+    data: JSON.stringify(game)
+  }),
+  savePlayer: player => ({
+    playerId: player.playerId,
+    gameId: player.gameId,
+    data: JSON.stringify(player)
+  }),
+  saveOrder: order => ({
+    orderId: order.orderId,
+    gameId: order.gameId,
+    playerId: order.playerId,
+    product: order.product,
+    status: order.status,
+    createdAt: order.createdAt,
+    data: JSON.stringify(order)
+  }),
+  saveTrade: trade => ({
+    tradeId: trade.tradeId,
+    gameId: trade.gameId,
+    executedAt: trade.executedAt,
+    data: JSON.stringify(trade)
+  }),
+  saveEvent: event => ({
+    gameId: event.gameId || null,
+    type: event.type,
+    data: JSON.stringify(event)
+  }),
+  saveMarketEvent: event => ({
+    gameId: event.gameId,
+    sequence: event.sequence,
+    orderId: event.orderId,
+    type: event.type,
+    data: JSON.stringify(event)
+  })
+};
+
+class SqliteAdapter {
+  /**
+   * @param {string} filename - Path to the database file, or ':memory:'
+   */
+  constructor(filename) {
+    if (filename !== ':memory:') {
+      fs.mkdirSync(path.dirname(filename), { recursive: true });
+    }
+
+    this.filename = filename;
+    this.db = new Database(filename);
+    this.db.pragma('journal_mode = WAL');
+    this.db.exec(SCHEMA);
+
+    this.statements = {
+      saveGame: this.db.prepare(`
+        INSERT INTO games (game_id, status, created_at, data)
+        VALUES (@gameId, @status, @createdAt, @data)
+        ON CONFLICT (game_id) DO UPDATE SET status = excluded.status, data = excluded.data
+      `),
+      getGame: this.db.prepare('SELECT data FROM games WHERE game_id = ?'),
+      listGames: this.db.prepare('SELECT data FROM games ORDER BY created_at DESC'),
+
+      savePlayer: this.db.prepare(`
+        INSERT INTO players (player_id, game_id, data)
+        VALUES (@playerId, @gameId, @data)
+        ON CONFLICT (player_id) DO UPDATE SET data = excluded.data
+      `),
+      getPlayer: this.db.prepare('SELECT data FROM players WHERE player_id = ?'),
+      getPlayersByGame: this.db.prepare('SELECT data FROM players WHERE game_id = ? ORDER BY rowid'),
+
+      saveOrder: this.db.prepare(`
+        INSERT INTO orders (order_id, game_id, player_id, product, status, created_at, data)
+        VALUES (@orderId, @gameId, @playerId, @product, @status, @createdAt, @data)
+        ON CONFLICT (order_id) DO UPDATE SET status = excluded.status, data = excluded.data
+      `),
+      getOrder: this.db.prepare('SELECT data FROM orders WHERE order_id = ?'),
+      getOrdersByPlayer: this.db.prepare('SELECT data FROM orders WHERE player_id = ? ORDER BY created_at'),
+      getOrdersByProduct: this.db.prepare(`
+        SELECT data FROM orders WHERE game_id = ? AND product = ? AND status = 'open' ORDER BY created_at
+      `),
+      getOrdersByGame: this.db.prepare('SELECT data FROM orders WHERE game_id = ? ORDER BY created_at'),
+
+      saveTrade: this.db.prepare(`
+        INSERT OR REPLACE INTO trades (trade_id, game_id, executed_at, data)
+        VALUES (@tradeId, @gameId, @executedAt, @data)
+      `),
+      getTradesByGame: this.db.prepare('SELECT data FROM trades WHERE game_id = ? ORDER BY executed_at, rowid'),
+
+      saveEvent: this.db.prepare('INSERT INTO events (game_id, type, data) VALUES (@gameId, @type, @data)'),
+      getEventsByGame: this.db.prepare('SELECT data FROM events WHERE game_id = ? ORDER BY seq'),
+
+      saveMarketEvent: this.db.prepare(`
+        INSERT OR REPLACE INTO market_events (game_id, sequence, order_id, type, data)
+        VALUES (@gameId, @sequence, @orderId, @type, @data)
+      `),
+      getMarketEventsByGame: this.db.prepare('SELECT data FROM market_events WHERE game_id = ? ORDER BY sequence')
+    };
+
+    // All or nothing: a failed write rolls back the whole batch
+    this._writeBatch = this.db.transaction(writes => {
+      for (const { method, data } of writes) {
+        this._write(method, data);
+      }
+    });
+  }
+
+  _write(method, data) {
+    this.statements[method].run(ROWS[method](data));
+  }
+
+  // Parse a single row / a list of rows back into plain objects
+  _one(row) { return row ? JSON.parse(row.data) : null; }
+  _all(rows) { return rows.map(row => JSON.parse(row.data)); }
+
+  // Game operations
+  async saveGame(gameData) { this._write('saveGame', gameData); }
+  async getGame(gameId) { return this._one(this.statements.getGame.get(gameId)); }
+  async listGames() { return this._all(this.statements.listGames.all()); }
+
+  // Player operations
+  async savePlayer(playerData) { this._write('savePlayer', playerData); }
+  async getPlayer(playerId) { return this._one(this.statements.getPlayer.get(playerId)); }
+  async getPlayersByGame(gameId) { return this._all(this.statements.getPlayersByGame.all(gameId)); }
+
+  // Order operations
+  async saveOrder(orderData) { this._write('saveOrder', orderData); }
+  async getOrder(orderId) { return this._one(this.statements.getOrder.get(orderId)); }
+  async getOrdersByPlayer(playerId) { return this._all(this.statements.getOrdersByPlayer.all(playerId)); }
+  async getOrdersByProduct(gameId, product) {
+    return this._all(this.statements.getOrdersByProduct.all(gameId, product));
+  }
+
+  // Trade operations
+  async saveTrade(tradeData) { this._write('saveTrade', tradeData); }
+  async getTradesByGame(gameId) { return this._all(this.statements.getTradesByGame.all(gameId)); }
+
+  // Event operations
+  async saveEvent(event) { this._write('saveEvent', event); }
+  async getEventsByGame(gameId) { return this._all(this.statements.getEventsByGame.all(gameId)); }
+
+  // Market event journal operations
+  async saveMarketEvent(eventData) { this._write('saveMarketEvent', eventData); }
+  async getMarketEventsByGame(gameId) {
+    return this._all(this.statements.getMarketEventsByGame.all(gameId));
+  }
+
+  /**
+   * Write many records in one transaction
+   * @param {{ method: string, data: object }[]} writes - method names a save method above
+   */
+  async saveBatch(writes) { this._writeBatch(writes); }
+
+  // Export all data for a game
+  async exportAll(gameId) {
+    return {
+      game: await this.getGame(gameId),
+      players: await this.getPlayersByGame(gameId),
+      trades: await this.getTradesByGame(gameId),
+      orders: this._all(this.statements.getOrdersByGame.all(gameId)),
+      events: await this.getEventsByGame(gameId),
+      marketEvents: await this.getMarketEventsByGame(gameId)
+    };
+  }
+
+  // Flush the WAL and release the file
+  close() {
+    if (this.db.open) {
+      this.db.close();
+    }
+  }
+}
+
+module.exports = SqliteAdapter;
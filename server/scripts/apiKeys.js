@@ -0,0 +1,63 @@
+/**
+ * Manage bot API keys
+ *
+ * Usage:
+ *   node scripts/apiKeys.js create <name> [perSecond] [burst]
+ *   node scripts/apiKeys.js list
+ *   node scripts/apiKeys.js revoke <keyId>
+ *
+ * Keys are written to config.botApi.keysFile (relative to server/). A running
+ * server picks up changes on the next bot connection.
+ */
+
+const path = require('path');
+const config = require('../config.json');
+const ApiKeyStore = require('../engine/apiKeys');
+
+const keysFile = path.resolve(__dirname, '..', config.botApi.keysFile);
+const store = new ApiKeyStore(keysFile, config.botApi.rateLimit);
+const [command, ...args] = process.argv.slice(2);
+
+switch (command) {
+  case 'create': {
+    const [name, perSecond, burst] = args;
+    if (!name) {
+      console.error('Usage: node scripts/apiKeys.js create <name> [perSecond] [burst]');
+      process.exit(1);
+    }
+    const rateLimit = perSecond
+      ? { perSecond: parseFloat(perSecond), burst: parseInt(burst) || Math.ceil(parseFloat(perSecond) * 2) }
+      : null;
+    const { apiKey, key } = store.create(name, rateLimit);
+    console.log(`Created key ${key.keyId} for "${name}"`);
+    console.log(`API key (shown once): ${apiKey}`);
+    break;
+  }
+
+  case 'list': {
+    const keys = store.list();
+    if (keys.length === 0) {
+      console.log('No API keys');
+    }
+    for (const key of keys) {
+      const { perSecond, burst } = store.getRateLimit(key.keyId);
+      const status = key.revokedAt ? `revoked ${key.revokedAt}` : 'active';
+      console.log(`${key.keyId}  ${key.name.padEnd(20)} ${perSecond}/s burst ${burst}  ${status}`);
+    }
+    break;
+  }
+
+  case 'revoke': {
+    const [keyId] = args;
+    if (!store.revoke(keyId)) {
+      console.error(`No active key ${keyId}`);
+      process.exit(1);
+    }
+    console.log(`Revoked key ${keyId}`);
+    break;
+  }
+
+  default:
+    console.error('Usage: node scripts/apiKeys.js <create|list|revoke> ...');
+    process.exit(1);
+}
@@ -0,0 +1,111 @@
+/**
+ * Matching benchmark - pushes a stream of random orders through
+ * MatchingEngine.submitOrder and reports throughput.
+ *
+ * Usage: node scripts/benchmark.js [orderCount] [playerCount]
+ *
+ * The mix is roughly what a bot-heavy game produces: mostly limit orders
+ * around a drifting mid price, some marketable, plus cancels and market orders.
+ * Engine logging is muted while the benchmark runs.
+ */
+
+const { DataStore, Game, Player } = require('../models');
+const MatchingEngine = require('../engine/matchingEngine');
+const baseConfig = require('../config.json');
+
+const ORDER_COUNT = parseInt(process.argv[2]) || 50000;
+const PLAYER_COUNT = parseInt(process.argv[3]) || 50;
+
+// Deterministic PRNG so runs are comparable
+let seed = 42;
+function random() {
+  seed = (seed * 1664525 + 1013904223) % 4294967296;
+  return seed / 4294967296;
+}
+
+function pick(list) {
+  return list[Math.floor(random() * list.length)];
+}
+
+function run() {
+  const config = {
+    ...baseConfig,
+    maxOrderSize: 1000,
+    priceBands: { minPrice: 1, maxPrice: 1000, bandPercent: null, referencePrices: {} }
+  };
+  const dataStore = new DataStore();
+  const engine = new MatchingEngine(dataStore, config);
+  const game = new Game('benchmark', config, 'BENCH');
+  dataStore.saveGame(game);
+
+  // Deep pockets, so orders are never rejected for balance
+  const players = [];
+  for (let i = 0; i < PLAYER_COUNT; i++) {
+    const inventory = Object.fromEntries(config.products.map(p => [p, 1e9]));
+    const player = new Player(game.gameId, `bot${i}`, 1e12, inventory);
+    dataStore.savePlayer(player);
+    game.addPlayer(player.playerId);
+    players.push(player);
+  }
+
+  const mids = Object.fromEntries(config.products.map(p => [p, 50]));
+  const resting = [];
+  const counts = { limit: 0, market: 0, cancel: 0, trades: 0, rejected: 0 };
+
+  const log = console.log;
+  console.log = () => {};
+  const start = process.hrtime.bigint();
+
+  for (let i = 0; i < ORDER_COUNT; i++) {
+    const product = pick(config.products);
+    const player = pick(players);
+    const side = random() < 0.5 ? 'buy' : 'sell';
+    const roll = random();
+
+    // Let the mid price wander a little
+    mids[product] = Math.min(900, Math.max(20, mids[product] + Math.round((random() - 0.5) * 2)));
+
+    if (roll < 0.15 && resting.length > 0) {
+      const index = Math.floor(random() * resting.length);
+      const [order] = resting.splice(index, 1);
+      engine.cancelOrder(order.orderId, order.playerId);
+      counts.cancel++;
+      continue;
+    }
+
+    let result;
+    if (roll < 0.2) {
+      result = engine.submitOrder(game.gameId, player, product, side, 'market', 1 + Math.floor(random() * 10));
+      counts.market++;
+    } else {
+      // Mostly passive, sometimes crossing the mid by a few ticks
+      const offset = Math.round((random() - 0.2) * 20);
+      const price = side === 'buy' ? mids[product] - offset : mids[product] + offset;
+      result = engine.submitOrder(game.gameId, player, product, side, 'limit', 1 + Math.floor(random() * 20), price);
+      counts.limit++;
+    }
+
+    if (result.errors.length > 0) {
+      counts.rejected++;
+      continue;
+    }
+    counts.trades += result.trades.length;
+    if (result.order.status === 'open' || result.order.status === 'partial') {
+      resting.push(result.order);
+    }
+  }
+
+  const elapsedMs = Number(process.hrtime.bigint() - start) / 1e6;
+  console.log = log;
+
+  const operations = counts.limit + counts.market + counts.cancel;
+  const liveOrders = config.products
+    .map(p => engine.getOrderBookDepth(p))
+    .reduce((sum, depth) => sum + [...depth.bids, ...depth.asks].reduce((n, level) => n + level.orders.length, 0), 0);
+
+  console.log(`[BENCHMARK] ${operations} operations (${counts.limit} limit, ${counts.market} market, ${counts.cancel} cancel) from ${PLAYER_COUNT} players`);
+  console.log(`[BENCHMARK] ${counts.trades} trades, ${counts.rejected} rejected, ${liveOrders} orders resting at the end`);
+  console.log(`[BENCHMARK] ${elapsedMs.toFixed(0)} ms total, ${(operations / (elapsedMs / 1000)).toFixed(0)} ops/sec, ${(elapsedMs * 1000 / operations).toFixed(1)} µs/op`);
+}
+
+run();
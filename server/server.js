@@ -16,9 +16,13 @@ const os = require('os');
 const config = require('./config.json');
 
 // Import modules
-const { DataStore } = require('./models');
+const { DataStore, SqliteAdapter } = require('./models');
 const GameManager = require('./engine/gameManager');
-const MatchingEngine = require('./engine/matchingEngine');
+const GameReplay = require('./engine/gameReplay');
+const GameAnalytics = require('./engine/gameAnalytics');
+const PriceHistory = require('./engine/priceHistory');
+const ApiKeyStore = require('./engine/apiKeys');
+const ScenarioLibrary = require('./engine/scenarios');
 
 // Initialize
 const app = express();
@@ -38,15 +42,25 @@ app.use(express.json());
 const clientBuildPath = path.join(__dirname, '../client/build');
 app.use(express.static(clientBuildPath));
 
-// Initialize data store and engines
-const dataStore = new DataStore();
-const gameManager = new GameManager(dataStore, config);
-const matchingEngine = new MatchingEngine(dataStore, config);
+// Initialize data store and game registry
+// DB_FILE overrides config.databaseFile; with neither set, data stays in memory
+const databaseFile = process.env.DB_FILE || config.databaseFile;
+const adapter = databaseFile ? new SqliteAdapter(path.resolve(__dirname, databaseFile)) : null;
+const dataStore = new DataStore(adapter);
+// Scenario files an instructor can pick per game (see engine/scenarios.js)
+const scenarios = new ScenarioLibrary(path.resolve(__dirname, config.scenariosDir), config);
+const gameManager = new GameManager(dataStore, config, scenarios);
+
+// API keys for trading bots (see scripts/apiKeys.js)
+const apiKeys = new ApiKeyStore(path.resolve(__dirname, config.botApi.keysFile), config.botApi.rateLimit);
 
 // Map socket IDs to player IDs
 const socketToPlayer = new Map();
 const playerToSocket = new Map();
 
+// Players whose socket dropped, waiting out the reconnect grace period
+const disconnectTimers = new Map(); // playerId -> timeout handle
+
 // Get local IP address for LAN play
 function getLocalIP() {
   const interfaces = os.networkInterfaces();
@@ -60,6 +74,130 @@ function getLocalIP() {
   return 'localhost';
 }
 
+// Socket.io room for a game - every per-game broadcast goes here
+function gameRoom(gameId) {
+  return `game:${gameId}`;
+}
+
+// Room for a game's facilitator dashboards (full-information view)
+function facilitatorRoom(gameId) {
+  return `facilitator:${gameId}`;
+}
+
+// Sockets following a game's price bars of one length
+function candleRoom(gameId, interval) {
+  return `candles:${gameId}:${interval}`;
+}
+
+// Send the full-information view to a game's facilitators, if any are watching
+function publishFacilitatorState(gameId) {
+  const room = facilitatorRoom(gameId);
+  if (!io.sockets.adapter.rooms.get(room)?.size) return;
+  io.to(room).emit('facilitatorState', gameManager.getFacilitatorState(gameId));
+}
+
+// Send a player's private state to their socket, if connected
+function emitPlayerState(playerId) {
+  const socketId = playerToSocket.get(playerId);
+  if (!socketId) return;
+  const playerSocket = io.sockets.sockets.get(socketId);
+  if (playerSocket) {
+    playerSocket.emit('playerState', gameManager.getPlayerState(playerId));
+  }
+}
+
+// Broadcast the price levels that changed since the last publish. Clients
+// start from a snapshot and resync with getOrderBookSnapshot if they see a gap
+function publishBookDeltas(gameId) {
+  const deltas = gameManager.getEngine(gameId).takeOrderBookDeltas();
+  if (deltas.length > 0) {
+    io.to(gameRoom(gameId)).emit('orderBookDeltas', deltas);
+  }
+}
+
+// After an order is placed or amended: broadcast the book changes, any trades,
+// and refresh every player the trades or triggered stops touched
+function publishOrderActivity(gameId, engine, result) {
+  const room = gameRoom(gameId);
+
+  publishBookDeltas(gameId);
+
+  // If trades occurred, notify the game's players
+  if (result.trades.length > 0) {
+    io.to(room).emit('trades', result.trades.map(t => t.toJSON()));
+
+    // Changed price bars go to the subscribers of each bar length
+    const updates = gameManager.recordTrades(gameId, result.trades);
+    for (const interval of new Set(updates.map(u => u.interval))) {
+      io.to(candleRoom(gameId, interval)).emit('candles', {
+        interval,
+        updates: updates.filter(u => u.interval === interval).map(({ product, bar }) => ({ product, bar }))
+      });
+    }
+
+    // Update all affected players
+    for (const trade of result.trades) {
+      emitPlayerState(trade.buyerId);
+      emitPlayerState(trade.sellerId);
+    }
+
+    // Update leaderboard
+    io.to(room).emit('leaderboard', gameManager.getLiveLeaderboard(gameId));
+  }
+
+  // Stops that triggered but did not trade still changed their owner's open orders
+  for (const order of result.triggered) {
+    emitPlayerState(order.playerId);
+  }
+}
+
+// Let lobby screens refresh their game picker
+function broadcastGameList() {
+  io.emit('gameList', gameManager.listGames());
+}
+
+// Every player's cash, inventory and orders stay private while a game is
+// live; only the facilitator dashboard sees them before the end
+function isGameInProgress(gameId) {
+  const game = gameManager.getGame(gameId);
+  return !!game && game.status !== 'ended';
+}
+
+const IN_PROGRESS_ERROR = 'Available once the game has ended';
+
+// After a wrong facilitator passcode a connection waits 1s, then 2s, 4s, ...
+const PASSCODE_RETRY_BASE_MS = 1000;
+
+// Build a replay from live data, or from the database for past games;
+// { error, status } if there is none to show
+async function loadReplay(gameId) {
+  if (isGameInProgress(gameId)) {
+    return { error: IN_PROGRESS_ERROR, status: 403 };
+  }
+  const data = dataStore.getGame(gameId)
+    ? dataStore.collectGameData(gameId)
+    : await dataStore.loadGameData(gameId);
+  if (!data.game) {
+    return { error: 'Game not found', status: 404 };
+  }
+  return { replay: new GameReplay(data) };
+}
+
+// Post-game report for an ended game; { error, status } otherwise
+async function loadAnalytics(gameId) {
+  const data = dataStore.getGame(gameId)
+    ? dataStore.collectGameData(gameId)
+    : await dataStore.loadGameData(gameId);
+  if (!data.game) {
+    return { error: 'Game not found', status: 404 };
+  }
+  // Order-level detail on every player would give away strategies mid-game
+  if (data.game.status !== 'ended') {
+    return { error: 'Analytics are available once the game has ended', status: 409 };
+  }
+  return { report: new GameAnalytics(data).getReport() };
+}
+
 // ==================== REST API ====================
 
 // Health check
@@ -69,25 +207,182 @@ app.get('/api/health', (req, res) => {
 
 // Get game configuration
 app.get('/api/config', (req, res) => {
-  res.json(gameManager.getPublicConfig());
+  res.json(gameManager.getPublicConfig(req.query.gameId));
 });
 
-// Get current game state
-app.get('/api/game', (req, res) => {
-  const state = gameManager.getGameState();
+// List scenarios for the lobby picker
+app.get('/api/scenarios', (req, res) => {
+  res.json(scenarios.list());
+});
+
+// List all games
+app.get('/api/games', (req, res) => {
+  res.json(gameManager.listGames());
+});
+
+// Get a game's state
+app.get('/api/game/:gameId', (req, res) => {
+  const state = gameManager.getGameState(req.params.gameId);
   if (!state) {
-    return res.status(404).json({ error: 'No active game' });
+    return res.status(404).json({ error: 'Game not found' });
   }
   res.json(state);
 });
 
-// Export game data (for analysis)
-app.get('/api/game/:gameId/export', (req, res) => {
-  const data = dataStore.exportGameData(req.params.gameId);
-  if (!data.game) {
+// P&L samples for every player once a game has ended (live, each player only
+// gets their own over the socket)
+app.get('/api/game/:gameId/pnl', (req, res) => {
+  const game = gameManager.getGame(req.params.gameId);
+  if (!game) {
     return res.status(404).json({ error: 'Game not found' });
   }
-  res.json(data);
+  if (isGameInProgress(game.gameId)) {
+    return res.status(403).json({ error: IN_PROGRESS_ERROR });
+  }
+  res.json({
+    method: game.config.valuationMethod || 'projected',
+    players: game.playerIds.map(playerId => ({
+      playerId,
+      name: dataStore.getPlayer(playerId)?.name,
+      samples: gameManager.getPnlHistory(game.gameId, playerId)
+    }))
+  });
+});
+
+// Price bars per product: ?interval=<seconds, default 5>&product=<one product>
+// Works for finished games too (rebuilt from the stored trades)
+app.get('/api/game/:gameId/candles', async (req, res) => {
+  const interval = parseInt(req.query.interval) || 5;
+  if (interval < 1 || interval > 3600) {
+    return res.status(400).json({ error: 'interval must be 1 to 3600 seconds' });
+  }
+
+  try {
+    const { gameId } = req.params;
+    const data = dataStore.getGame(gameId)
+      ? dataStore.collectGameData(gameId)
+      : await dataStore.loadGameData(gameId);
+    if (!data.game) {
+      return res.status(404).json({ error: 'Game not found' });
+    }
+
+    const { products } = data.game.config;
+    if (req.query.product && !products.includes(req.query.product)) {
+      return res.status(404).json({ error: `Unknown product ${req.query.product}` });
+    }
+    const candles = data.game.startTime
+      ? PriceHistory.fromTrades(data.trades, products, [interval], data.game.startTime).getCandles(interval)
+      : Object.fromEntries(products.map(product => [product, []]));
+
+    res.json({
+      gameId,
+      interval,
+      candles: req.query.product ? { [req.query.product]: candles[req.query.product] } : candles
+    });
+  } catch (err) {
+    console.error(`[DATABASE] Candles failed: ${err.message}`);
+    res.status(500).json({ error: 'Failed to load game data' });
+  }
+});
+
+// Export game data (for analysis)
+// Games no longer in memory (e.g. from before a restart) are loaded from the database
+app.get('/api/game/:gameId/export', async (req, res) => {
+  const { gameId } = req.params;
+  if (isGameInProgress(gameId)) {
+    return res.status(403).json({ error: IN_PROGRESS_ERROR });
+  }
+  try {
+    const data = dataStore.getGame(gameId)
+      ? dataStore.exportGameData(gameId)
+      : await dataStore.loadGameData(gameId);
+    if (!data.game) {
+      return res.status(404).json({ error: 'Game not found' });
+    }
+    res.json(data);
+  } catch (err) {
+    console.error(`[DATABASE] Export failed: ${err.message}`);
+    res.status(500).json({ error: 'Failed to load game data' });
+  }
+});
+
+// Replay timeline: duration and key moments
+app.get('/api/game/:gameId/replay', async (req, res) => {
+  try {
+    const { replay, error, status } = await loadReplay(req.params.gameId);
+    if (error) {
+      return res.status(status).json({ error });
+    }
+    res.json(replay.getTimeline());
+  } catch (err) {
+    console.error(`[REPLAY] Timeline failed: ${err.message}`);
+    res.status(500).json({ error: 'Failed to load replay' });
+  }
+});
+
+// Replay state at ?t=<seconds since game start>
+app.get('/api/game/:gameId/replay/state', async (req, res) => {
+  try {
+    const { replay, error, status } = await loadReplay(req.params.gameId);
+    if (error) {
+      return res.status(status).json({ error });
+    }
+    res.json(replay.getStateAt(parseFloat(req.query.t) || 0));
+  } catch (err) {
+    console.error(`[REPLAY] State failed: ${err.message}`);
+    res.status(500).json({ error: 'Failed to load replay' });
+  }
+});
+
+// Post-game analytics per player and per product
+app.get('/api/game/:gameId/analytics', async (req, res) => {
+  try {
+    const { report, error, status } = await loadAnalytics(req.params.gameId);
+    if (error) {
+      return res.status(status).json({ error });
+    }
+    res.json(report);
+  } catch (err) {
+    console.error(`[ANALYTICS] Report failed: ${err.message}`);
+    res.status(500).json({ error: 'Failed to build analytics' });
+  }
+});
+
+// Page through a game's order-lifecycle journal
+// Query: after=<sequence cursor>, limit=<1-1000, default 100>, orderId, playerId
+app.get('/api/game/:gameId/journal', async (req, res) => {
+  const { gameId } = req.params;
+  const after = Math.max(0, parseInt(req.query.after) || 0);
+  const limit = Math.min(1000, Math.max(1, parseInt(req.query.limit) || 100));
+  if (isGameInProgress(gameId)) {
+    return res.status(403).json({ error: IN_PROGRESS_ERROR });
+  }
+
+  try {
+    if (!dataStore.getGame(gameId) && !(await dataStore.adapter.getGame(gameId))) {
+      return res.status(404).json({ error: 'Game not found' });
+    }
+    const page = await dataStore.queryMarketEvents(gameId, {
+      after,
+      limit,
+      orderId: req.query.orderId || null,
+      playerId: req.query.playerId || null
+    });
+    res.json(page);
+  } catch (err) {
+    console.error(`[DATABASE] Journal failed: ${err.message}`);
+    res.status(500).json({ error: 'Failed to load journal' });
+  }
+});
+
+// List every stored game, including ones from previous server runs
+app.get('/api/history', async (req, res) => {
+  try {
+    res.json(await dataStore.listSavedGames());
+  } catch (err) {
+    console.error(`[DATABASE] History failed: ${err.message}`);
+    res.status(500).json({ error: 'Failed to load game history' });
+  }
 });
 
 // Catch-all: serve React app for any non-API routes
@@ -97,202 +392,634 @@ app.get('*', (req, res) => {
 
 // ==================== SOCKET.IO EVENTS ====================
 
+// Bots authenticate with an API key in the handshake; browsers connect without one
+io.use((socket, next) => {
+  const { apiKey } = socket.handshake.auth || {};
+  if (apiKey === undefined) return next();
+
+  const key = apiKeys.authenticate(apiKey);
+  if (!key) {
+    console.log('[API] Rejected connection with an unknown API key');
+    return next(new Error('Invalid API key'));
+  }
+  socket.data.apiKey = key;
+  next();
+});
+
 io.on('connection', (socket) => {
   console.log(`[SOCKET] Client connected: ${socket.id}`);
 
-  // Send current game state on connect
-  const gameState = gameManager.getGameState();
-  socket.emit('gameState', gameState);
-  socket.emit('config', gameManager.getPublicConfig());
+  // Rate-limit every event from a bot; over-limit calls are answered, not run
+  if (socket.data.apiKey) {
+    const { keyId, name } = socket.data.apiKey;
+    console.log(`[API] Bot "${name}" (${keyId}) connected: ${socket.id}`);
+
+    socket.use((packet, next) => {
+      const limit = apiKeys.consume(keyId);
+      if (limit.allowed) return next();
 
-  // If game is running, also send order books and leaderboard
-  if (gameState && gameState.status === 'running') {
-    socket.emit('orderBooks', matchingEngine.getAllOrderBooks());
-    socket.emit('leaderboard', gameManager.getLiveLeaderboard());
+      const callback = packet[packet.length - 1];
+      if (typeof callback === 'function') {
+        callback({ success: false, error: 'Rate limit exceeded', code: 'RATE_LIMITED', retryAfter: limit.retryAfter });
+      }
+    });
   }
 
+  // The game this socket is looking at (selected in the lobby, joined or
+  // watched). Sockets without a player are spectators: they get the room's
+  // books, trades and leaderboard but cannot trade.
+  socket.data.gameId = null;
+  socket.data.facilitatorGameId = null; // Set once the facilitator passcode is given
+
+  // Send the lobby on connect
+  socket.emit('gameList', gameManager.listGames());
+  socket.emit('config', gameManager.getPublicConfig());
+  socket.emit('scenarios', scenarios.list());
+
+  // Stop receiving a game's facilitator view
+  const leaveFacilitator = () => {
+    if (socket.data.facilitatorGameId) {
+      socket.leave(facilitatorRoom(socket.data.facilitatorGameId));
+      socket.data.facilitatorGameId = null;
+    }
+  };
+
+  // Stop receiving price bar updates
+  const leaveCandles = () => {
+    if (socket.data.candleRoom) {
+      socket.leave(socket.data.candleRoom);
+      socket.data.candleRoom = null;
+    }
+  };
+
+  // Point this socket at a game: join its room and send its current state
+  const enterGame = (gameId) => {
+    if (socket.data.gameId && socket.data.gameId !== gameId) {
+      socket.leave(gameRoom(socket.data.gameId));
+      leaveFacilitator();
+      leaveCandles();
+    }
+    socket.data.gameId = gameId;
+    socket.join(gameRoom(gameId));
+
+    const gameState = gameManager.getGameState(gameId);
+    socket.emit('gameState', gameState);
+    socket.emit('config', gameManager.getPublicConfig(gameId));
+    socket.emit('news', gameManager.getNews(gameId));
+
+    // A returning player picks their P&L chart up where it was
+    const playerId = socketToPlayer.get(socket.id);
+    if (playerId && gameManager.getGame(gameId)?.playerIds.includes(playerId)) {
+      socket.emit('pnlHistory', gameManager.getPnlHistory(gameId, playerId));
+    }
+
+    // If game is running, also send order books and leaderboard
+    if (gameState && gameState.status === 'running') {
+      socket.emit('orderBooks', gameManager.getEngine(gameId).getAllOrderBooks());
+      socket.emit('leaderboard', gameManager.getLiveLeaderboard(gameId));
+    } else if (gameState && gameState.status === 'ended') {
+      socket.emit('leaderboard', gameManager.getFinalLeaderboard(gameId));
+    }
+  };
+
+  // Bind this socket to a player, replacing any socket they had before
+  const bindPlayer = (playerId) => {
+    const previousSocketId = playerToSocket.get(playerId);
+    if (previousSocketId && previousSocketId !== socket.id) {
+      socketToPlayer.delete(previousSocketId);
+    }
+    socketToPlayer.set(socket.id, playerId);
+    playerToSocket.set(playerId, socket.id);
+  };
+
+  // Resolve the game and engine for the player behind this socket
+  const getPlayerContext = () => {
+    const playerId = socketToPlayer.get(socket.id);
+    if (!playerId) return null;
+    const player = dataStore.getPlayer(playerId);
+    if (!player) return null;
+    const game = gameManager.getGame(player.gameId);
+    if (!game) return null;
+    return { playerId, player, game, engine: gameManager.getEngine(game.gameId) };
+  };
+
   // ===== GAME MANAGEMENT =====
 
-  // Create a new game
-  socket.on('createGame', (callback) => {
+  // List games for the lobby picker
+  socket.on('listGames', (callback) => {
+    if (typeof callback !== 'function') return;
+    callback(gameManager.listGames());
+  });
+
+  // Scenarios for the lobby picker
+  socket.on('getScenarios', (callback) => {
+    if (typeof callback !== 'function') return;
+    callback(scenarios.list());
+  });
+
+  // Create a new game, optionally from a scenario and with the host's own rules
+  socket.on('createGame', (data, callback) => {
+    // Older clients send only the callback
+    if (typeof data === 'function') {
+      callback = data;
+      data = {};
+    }
     if (typeof callback !== 'function') return;
+    if (socketToPlayer.has(socket.id)) {
+      return callback({ success: false, error: 'Already in a game' });
+    }
+
     const tempHostId = `host_${socket.id}`;
-    const result = gameManager.createGame(tempHostId);
+    const result = gameManager.createGame(tempHostId, data?.settings, data?.scenarioId || null);
 
     if (result.success) {
-      // Reset matching engine for new game
-      matchingEngine.reset();
-      io.emit('gameState', gameManager.getGameState());
-      console.log(`[SOCKET] Game created by ${socket.id}`);
+      enterGame(result.game.gameId);
+      broadcastGameList();
+      console.log(`[SOCKET] Game ${result.game.joinCode} created by ${socket.id}`);
     }
 
-    callback(result);
+    callback(result.success
+      ? {
+        success: true,
+        gameId: result.game.gameId,
+        joinCode: result.game.joinCode,
+        facilitatorPasscode: result.game.facilitatorPasscode
+      }
+      : result);
+  });
+
+  // Pick a game from the lobby, by id or join code
+  socket.on('selectGame', (data, callback) => {
+    if (typeof callback !== 'function') return;
+    if (socketToPlayer.has(socket.id)) {
+      return callback({ success: false, error: 'Already in a game' });
+    }
+
+    const { gameId, joinCode } = data || {};
+    const game = gameId ? gameManager.getGame(gameId) : gameManager.getGameByCode(joinCode);
+    if (!game) {
+      return callback({ success: false, error: 'Game not found' });
+    }
+
+    enterGame(game.gameId);
+    callback({ success: true, gameId: game.gameId, joinCode: game.joinCode });
+  });
+
+  // Go back to the game picker without joining
+  socket.on('deselectGame', (callback) => {
+    if (typeof callback !== 'function') return;
+    if (socketToPlayer.has(socket.id)) {
+      return callback({ success: false, error: 'Already in a game' });
+    }
+
+    if (socket.data.gameId) {
+      socket.leave(gameRoom(socket.data.gameId));
+      socket.data.gameId = null;
+    }
+    leaveFacilitator();
+    leaveCandles();
+    socket.emit('gameState', null);
+    socket.emit('config', gameManager.getPublicConfig());
+    callback({ success: true });
+  });
+
+  // Open the facilitator dashboard for a game (needs the host's passcode)
+  socket.on('facilitateGame', (data, callback) => {
+    if (typeof callback !== 'function') return;
+    if (socketToPlayer.has(socket.id)) {
+      return callback({ success: false, error: 'Players cannot open the facilitator view' });
+    }
+
+    const retryIn = (socket.data.passcodeRetryAt || 0) - Date.now();
+    if (retryIn > 0) {
+      return callback({ success: false, error: `Too many attempts, try again in ${Math.ceil(retryIn / 1000)}s` });
+    }
+
+    const { gameId, joinCode, passcode } = data || {};
+    const game = gameId ? gameManager.getGame(gameId) : gameManager.getGameByCode(joinCode);
+    if (!game) {
+      return callback({ success: false, error: 'Game not found' });
+    }
+    const check = gameManager.checkFacilitatorPasscode(game.gameId, passcode, socket.handshake.address);
+    if (!check.success) {
+      socket.data.passcodeFailures = (socket.data.passcodeFailures || 0) + 1;
+      socket.data.passcodeRetryAt = Date.now() + PASSCODE_RETRY_BASE_MS * 2 ** (socket.data.passcodeFailures - 1);
+      console.log(`[SOCKET] Facilitator passcode refused for game ${game.joinCode} from ${socket.id}: ${check.error}`);
+      return callback(check);
+    }
+    socket.data.passcodeFailures = 0;
+
+    enterGame(game.gameId);
+    socket.data.facilitatorGameId = game.gameId;
+    socket.join(facilitatorRoom(game.gameId));
+    socket.emit('facilitatorState', gameManager.getFacilitatorState(game.gameId));
+
+    console.log(`[SOCKET] Facilitator ${socket.id} watching game ${game.joinCode}`);
+    callback({ success: true, gameId: game.gameId, joinCode: game.joinCode });
+  });
+
+  // Full-information view on demand (facilitators only)
+  socket.on('getFacilitatorState', (callback) => {
+    if (typeof callback !== 'function') return;
+    const gameId = socket.data.facilitatorGameId;
+    if (!gameId || gameId !== socket.data.gameId) {
+      return callback({ success: false, error: 'Not a facilitator' });
+    }
+    callback({ success: true, state: gameManager.getFacilitatorState(gameId) });
   });
 
-  // Join the game
+  // Join the selected game
   socket.on('joinGame', (data, callback) => {
     if (typeof callback !== 'function') return;
-    const { playerName } = data;
+    const { playerName, gameId: requestedGameId } = data || {};
+    const gameId = requestedGameId || socket.data.gameId;
 
-    if (!playerName || playerName.trim().length === 0) {
+    if (typeof playerName !== 'string' || playerName.trim().length === 0) {
       return callback({ success: false, error: 'Name is required' });
     }
 
-    const result = gameManager.joinGame(playerName.trim());
+    if (socketToPlayer.has(socket.id)) {
+      return callback({ success: false, error: 'Already in a game' });
+    }
+
+    const result = gameManager.joinGame(gameId, playerName.trim());
 
     if (result.success) {
       const player = result.player;
+      const game = gameManager.getGame(gameId);
+
+      if (socket.data.gameId !== gameId) {
+        enterGame(gameId);
+      }
 
       // Map socket to player
-      socketToPlayer.set(socket.id, player.playerId);
-      playerToSocket.set(player.playerId, socket.id);
+      bindPlayer(player.playerId);
 
-      // If this is the first player and they created the game, make them host
-      if (gameManager.currentGame && gameManager.currentGame.hostPlayerId.startsWith('host_')) {
-        gameManager.currentGame.hostPlayerId = player.playerId;
-        dataStore.saveGame(gameManager.currentGame);
+      if (socket.data.apiKey) {
+        player.apiKeyId = socket.data.apiKey.keyId;
+        dataStore.savePlayer(player);
+      }
+
+      // If this socket created the game, make its first player the host
+      if (game.hostPlayerId === `host_${socket.id}`) {
+        game.hostPlayerId = player.playerId;
+        dataStore.saveGame(game);
       }
 
       // Send player their state
       socket.emit('playerState', gameManager.getPlayerState(player.playerId));
 
       // Broadcast updated game state
-      io.emit('gameState', gameManager.getGameState());
+      io.to(gameRoom(gameId)).emit('gameState', gameManager.getGameState(gameId));
+      publishFacilitatorState(gameId);
+      broadcastGameList();
+
+      console.log(`[SOCKET] ${playerName} joined game ${game.joinCode}`);
 
-      console.log(`[SOCKET] ${playerName} joined the game`);
+      // The token lets this client reclaim the seat with rejoinGame
+      return callback({ ...result, sessionToken: player.sessionToken });
     }
 
     callback(result);
   });
 
+  // Reclaim a seat after a dropped connection or page refresh
+  socket.on('rejoinGame', (data, callback) => {
+    if (typeof callback !== 'function') return;
+    const { sessionToken } = data || {};
+
+    const player = dataStore.getPlayerBySessionToken(sessionToken);
+    const game = player && gameManager.getGame(player.gameId);
+    if (!player || !game || !game.playerIds.includes(player.playerId)) {
+      return callback({ success: false, error: 'Session expired' });
+    }
+
+    if (socketToPlayer.has(socket.id) && socketToPlayer.get(socket.id) !== player.playerId) {
+      return callback({ success: false, error: 'Already in a game' });
+    }
+
+    // Stop the pending order cancellation
+    const timer = disconnectTimers.get(player.playerId);
+    if (timer) {
+      clearTimeout(timer);
+      disconnectTimers.delete(player.playerId);
+    }
+
+    bindPlayer(player.playerId);
+    gameManager.setPlayerConnected(player.playerId, true);
+    enterGame(game.gameId);
+
+    socket.emit('playerState', gameManager.getPlayerState(player.playerId));
+    if (game.status === 'ended' && player.pnlBreakdown) {
+      socket.emit('finalScore', player.pnlBreakdown);
+    }
+
+    io.to(gameRoom(game.gameId)).emit('gameState', gameManager.getGameState(game.gameId));
+
+    console.log(`[SOCKET] ${player.name} rejoined game ${game.joinCode}`);
+
+    callback({ success: true, player, sessionToken: player.sessionToken });
+  });
+
   // Start the game (host only)
   socket.on('startGame', (callback) => {
     if (typeof callback !== 'function') return;
-    const playerId = socketToPlayer.get(socket.id);
-    if (!playerId) {
+    const ctx = getPlayerContext();
+    if (!ctx) {
       return callback({ success: false, error: 'Not in game' });
     }
 
-    const result = gameManager.startGame(playerId);
+    const { game, engine } = ctx;
+    const result = gameManager.startGame(game.gameId, ctx.playerId);
 
     if (result.success) {
-      // Broadcast game start
-      io.emit('gameStarted', {
-        gameState: gameManager.getGameState(),
-        orderBooks: matchingEngine.getAllOrderBooks()
+      const room = gameRoom(game.gameId);
+
+      // Broadcast game start (with a notice if inventories were re-dealt)
+      io.to(room).emit('gameStarted', {
+        gameState: gameManager.getGameState(game.gameId),
+        orderBooks: engine.getAllOrderBooks(),
+        notice: result.notice
       });
 
       // Send each player their state
-      for (const [socketId, pId] of socketToPlayer) {
-        const playerSocket = io.sockets.sockets.get(socketId);
-        if (playerSocket) {
-          playerSocket.emit('playerState', gameManager.getPlayerState(pId));
-        }
+      for (const pId of game.playerIds) {
+        emitPlayerState(pId);
       }
 
       // Send initial leaderboard
-      io.emit('leaderboard', gameManager.getLiveLeaderboard());
+      io.to(room).emit('leaderboard', gameManager.getLiveLeaderboard(game.gameId));
+      publishFacilitatorState(game.gameId);
+      broadcastGameList();
 
-      console.log('[SOCKET] Game started!');
+      console.log(`[SOCKET] Game ${game.joinCode} started!`);
     }
 
     callback(result);
   });
 
-  // Reset game (go back to lobby)
+  // Reset game (close it and send its room back to the lobby)
   socket.on('resetGame', (callback) => {
     if (typeof callback !== 'function') return;
+    const gameId = socket.data.gameId;
+    const game = gameManager.getGame(gameId);
+    if (!game) {
+      return callback({ success: false, error: 'No game selected' });
+    }
 
-    // Clear all player mappings
-    socketToPlayer.clear();
-    playerToSocket.clear();
-
-    // Reset game manager
-    gameManager.currentGame = null;
-    if (gameManager.gameTimer) {
-      clearInterval(gameManager.gameTimer);
-      gameManager.gameTimer = null;
+    // Host only; once a game is over anyone may close it if the host has gone
+    const requesterId = socketToPlayer.get(socket.id) || `host_${socket.id}`;
+    const hostGone = !playerToSocket.has(game.hostPlayerId);
+    if (requesterId !== game.hostPlayerId && !(game.status === 'ended' && hostGone)) {
+      return callback({ success: false, error: 'Only the host can reset the game' });
     }
+    gameManager.logAdminAction(game, 'reset', { requestedBy: requesterId });
+
+    const room = gameRoom(gameId);
 
-    // Reset matching engine
-    matchingEngine.reset();
+    // Clear player mappings for this game
+    for (const pId of game.playerIds) {
+      const socketId = playerToSocket.get(pId);
+      if (socketId) socketToPlayer.delete(socketId);
+      playerToSocket.delete(pId);
+      clearTimeout(disconnectTimers.get(pId));
+      disconnectTimers.delete(pId);
+    }
 
-    // Broadcast null game state so all clients return to lobby
-    io.emit('gameState', null);
-    io.emit('leaderboard', []);
-    io.emit('orderBooks', {});
+    // Stop the game and drop its order books
+    gameManager.removeGame(gameId);
+
+    // Broadcast null game state so the room returns to the lobby
+    io.to(room).emit('gameState', null);
+    io.to(room).emit('leaderboard', []);
+    io.to(room).emit('orderBooks', {});
+    io.to(room).emit('config', gameManager.getPublicConfig());
+    for (const roomSocket of io.sockets.sockets.values()) {
+      if (roomSocket.data.gameId === gameId) {
+        roomSocket.data.gameId = null;
+        if (roomSocket.data.candleRoom) {
+          roomSocket.leave(roomSocket.data.candleRoom);
+          roomSocket.data.candleRoom = null;
+        }
+      }
+      if (roomSocket.data.facilitatorGameId === gameId) {
+        roomSocket.data.facilitatorGameId = null;
+      }
+    }
+    io.in(room).socketsLeave(room);
+    io.in(facilitatorRoom(gameId)).socketsLeave(facilitatorRoom(gameId));
+    broadcastGameList();
 
-    console.log('[SOCKET] Game reset');
+    console.log(`[SOCKET] Game ${game.joinCode} reset`);
     callback({ success: true });
   });
 
+  // Seat a house bot (host only, in the lobby)
+  socket.on('addHouseBot', (data, callback) => {
+    if (typeof callback !== 'function') return;
+    const ctx = getPlayerContext();
+    if (!ctx) {
+      return callback({ success: false, error: 'Not in game' });
+    }
+
+    const { type, options } = data || {};
+    const result = gameManager.addHouseBot(ctx.game.gameId, ctx.playerId, type, options);
+    if (!result.success) {
+      return callback(result);
+    }
+
+    io.to(gameRoom(ctx.game.gameId)).emit('gameState', gameManager.getGameState(ctx.game.gameId));
+    broadcastGameList();
+    callback({ success: true, playerId: result.player.playerId, name: result.player.name });
+  });
+
+  // Remove a house bot (host only, in the lobby)
+  socket.on('removeHouseBot', (data, callback) => {
+    if (typeof callback !== 'function') return;
+    const ctx = getPlayerContext();
+    if (!ctx) {
+      return callback({ success: false, error: 'Not in game' });
+    }
+
+    const result = gameManager.removeHouseBot(ctx.game.gameId, ctx.playerId, data?.playerId);
+    if (result.success) {
+      io.to(gameRoom(ctx.game.gameId)).emit('gameState', gameManager.getGameState(ctx.game.gameId));
+      broadcastGameList();
+    }
+    callback(result);
+  });
+
+  // ===== HOST ADMIN =====
+
+  // Run a host-only GameManager action for this socket's game
+  const hostAction = (callback, action) => {
+    if (typeof callback !== 'function') return null;
+    const ctx = getPlayerContext();
+    if (!ctx) {
+      callback({ success: false, error: 'Not in game' });
+      return null;
+    }
+    const result = action(ctx.game.gameId, ctx.playerId);
+    callback(result);
+    return result.success ? ctx.game : null;
+  };
+
+  // Pause or resume the game clock
+  socket.on('setPaused', (data, callback) => {
+    const game = hostAction(callback, (gameId, playerId) => gameManager.setPaused(gameId, playerId, !!data?.paused));
+    if (game) {
+      io.to(gameRoom(game.gameId)).emit('gameState', gameManager.getGameState(game.gameId));
+      publishFacilitatorState(game.gameId);
+    }
+  });
+
+  // Add seconds to the game clock
+  socket.on('addTime', (data, callback) => {
+    const game = hostAction(callback, (gameId, playerId) => gameManager.addTime(gameId, playerId, Number(data?.seconds)));
+    if (game) {
+      io.to(gameRoom(game.gameId)).emit('timer', { remainingTime: game.getRemainingTime() });
+      io.to(gameRoom(game.gameId)).emit('gameState', gameManager.getGameState(game.gameId));
+    }
+  });
+
+  // Halt or resume trading in one product
+  socket.on('setTradingHalted', (data, callback) => {
+    const game = hostAction(callback, (gameId, playerId) =>
+      gameManager.setTradingHalted(gameId, playerId, data?.product, !!data?.halted));
+    if (game) {
+      io.to(gameRoom(game.gameId)).emit('gameState', gameManager.getGameState(game.gameId));
+    }
+  });
+
+  // Remove a player and cancel their orders
+  socket.on('kickPlayer', (data, callback) => {
+    const kickedId = data?.playerId;
+    const game = hostAction(callback, (gameId, playerId) => gameManager.kickPlayer(gameId, playerId, kickedId));
+    if (!game) return;
+
+    // Send the kicked player's socket back to the lobby
+    const socketId = playerToSocket.get(kickedId);
+    const kickedSocket = socketId && io.sockets.sockets.get(socketId);
+    socketToPlayer.delete(socketId);
+    playerToSocket.delete(kickedId);
+    clearTimeout(disconnectTimers.get(kickedId));
+    disconnectTimers.delete(kickedId);
+    if (kickedSocket) {
+      kickedSocket.leave(gameRoom(game.gameId));
+      kickedSocket.data.gameId = null;
+      kickedSocket.emit('kicked', { joinCode: game.joinCode });
+      kickedSocket.emit('gameState', null);
+      kickedSocket.emit('config', gameManager.getPublicConfig());
+    }
+
+    const room = gameRoom(game.gameId);
+    publishBookDeltas(game.gameId);
+    io.to(room).emit('gameState', gameManager.getGameState(game.gameId));
+    if (game.status === 'running') {
+      io.to(room).emit('leaderboard', gameManager.getLiveLeaderboard(game.gameId));
+    }
+    publishFacilitatorState(game.gameId);
+    broadcastGameList();
+  });
+
+  // End the game now (onGameEnd broadcasts the results)
+  socket.on('endGame', (callback) => {
+    hostAction(callback, (gameId, playerId) => gameManager.endGameEarly(gameId, playerId));
+  });
+
   // ===== TRADING =====
 
   // Place an order
   socket.on('placeOrder', (data, callback) => {
     if (typeof callback !== 'function') return;
-    const playerId = socketToPlayer.get(socket.id);
-    if (!playerId) {
+    const ctx = getPlayerContext();
+    if (!ctx) {
       return callback({ success: false, error: 'Not in game' });
     }
 
-    if (gameManager.currentGame?.status !== 'running') {
+    const { playerId, player, game, engine } = ctx;
+
+    if (game.status !== 'running') {
       return callback({ success: false, error: 'Game is not running' });
     }
-
-    const player = dataStore.getPlayer(playerId);
-    if (!player) {
-      return callback({ success: false, error: 'Player not found' });
+    if (game.paused) {
+      return callback({ success: false, error: 'Game is paused', code: 'GAME_PAUSED' });
     }
 
-    const { product, side, orderType, quantity, price } = data;
+    const {
+      product, side, orderType, quantity, price,
+      fillPolicy, maxSlippage, priceCap, timeInForce, expireAfter, stopPrice
+    } = data || {};
 
-    const result = matchingEngine.submitOrder(
-      gameManager.currentGame.gameId,
+    const result = engine.submitOrder(
+      game.gameId,
       player,
       product,
       side,
       orderType,
-      parseInt(quantity),
-      price ? parseFloat(price) : null
+      quantity != null && quantity !== '' ? Number(quantity) : null,
+      price != null && price !== '' ? Number(price) : null,
+      {
+        fillPolicy,
+        maxSlippage: maxSlippage != null && maxSlippage !== '' ? parseFloat(maxSlippage) : null,
+        priceCap: priceCap ? parseFloat(priceCap) : null,
+        timeInForce,
+        expireAfter: expireAfter ? parseInt(expireAfter) : null,
+        stopPrice: stopPrice != null && stopPrice !== '' ? Number(stopPrice) : null
+      }
     );
 
     if (result.errors.length > 0) {
-      return callback({ success: false, error: result.errors.join(', ') });
+      return callback({ success: false, error: result.errors.join(', '), code: result.code || null });
     }
 
     // Send updated state to the player
     socket.emit('playerState', gameManager.getPlayerState(playerId));
+    publishOrderActivity(game.gameId, engine, result);
 
-    // Broadcast updated order book
-    io.emit('orderBooks', matchingEngine.getAllOrderBooks());
+    // Market, IOC and killed FOK orders never rest, so anything left on them was cancelled
+    const unfilledQuantity = result.order.status === 'cancelled' ? result.order.remainingQuantity : 0;
 
-    // If trades occurred, notify all players
-    if (result.trades.length > 0) {
-      io.emit('trades', result.trades.map(t => t.toJSON()));
+    callback({
+      success: true,
+      order: result.order.toJSON(),
+      trades: result.trades.map(t => t.toJSON()),
+      unfilledQuantity
+    });
+  });
 
-      // Update all affected players
-      for (const trade of result.trades) {
-        const buyerSocketId = playerToSocket.get(trade.buyerId);
-        const sellerSocketId = playerToSocket.get(trade.sellerId);
+  // Amend a resting limit order (size-down in place, or cancel-replace)
+  socket.on('amendOrder', (data, callback) => {
+    if (typeof callback !== 'function') return;
+    const ctx = getPlayerContext();
+    if (!ctx) {
+      return callback({ success: false, error: 'Not in game' });
+    }
 
-        if (buyerSocketId) {
-          const bs = io.sockets.sockets.get(buyerSocketId);
-          if (bs) bs.emit('playerState', gameManager.getPlayerState(trade.buyerId));
-        }
-        if (sellerSocketId) {
-          const ss = io.sockets.sockets.get(sellerSocketId);
-          if (ss) ss.emit('playerState', gameManager.getPlayerState(trade.sellerId));
-        }
-      }
+    if (ctx.game.status !== 'running') {
+      return callback({ success: false, error: 'Game is not running' });
+    }
+    if (ctx.game.paused) {
+      return callback({ success: false, error: 'Game is paused', code: 'GAME_PAUSED' });
+    }
+
+    const { orderId, quantity, price } = data || {};
+    const result = ctx.engine.amendOrder(orderId, ctx.playerId, {
+      quantity: quantity != null && quantity !== '' ? Number(quantity) : null,
+      price: price != null && price !== '' ? Number(price) : null
+    });
 
-      // Update leaderboard
-      io.emit('leaderboard', gameManager.getLiveLeaderboard());
+    if (!result.success) {
+      return callback({ success: false, error: result.error, code: result.code || null });
     }
 
+    socket.emit('playerState', gameManager.getPlayerState(ctx.playerId));
+    publishOrderActivity(ctx.game.gameId, ctx.engine, result);
+
     callback({
       success: true,
       order: result.order.toJSON(),
+      replacedOrderId: result.replacedOrderId || null,
       trades: result.trades.map(t => t.toJSON())
     });
   });
@@ -300,20 +1027,19 @@ io.on('connection', (socket) => {
   // Cancel an order
   socket.on('cancelOrder', (data, callback) => {
     if (typeof callback !== 'function') return;
-    const playerId = socketToPlayer.get(socket.id);
-    if (!playerId) {
+    const ctx = getPlayerContext();
+    if (!ctx) {
       return callback({ success: false, error: 'Not in game' });
     }
 
-    const { orderId } = data;
-    const result = matchingEngine.cancelOrder(orderId, playerId);
+    const { orderId } = data || {};
+    const result = ctx.engine.cancelOrder(orderId, ctx.playerId);
 
     if (result.success) {
       // Send updated state
-      socket.emit('playerState', gameManager.getPlayerState(playerId));
+      socket.emit('playerState', gameManager.getPlayerState(ctx.playerId));
 
-      // Broadcast updated order book
-      io.emit('orderBooks', matchingEngine.getAllOrderBooks());
+      publishBookDeltas(ctx.game.gameId);
     }
 
     callback(result);
@@ -322,7 +1048,19 @@ io.on('connection', (socket) => {
   // Get order book
   socket.on('getOrderBooks', (callback) => {
     if (typeof callback !== 'function') return;
-    callback(matchingEngine.getAllOrderBooks());
+    const engine = gameManager.getEngine(socket.data.gameId);
+    callback(engine ? engine.getAllOrderBooks() : {});
+  });
+
+  // Fresh snapshot of one book, for a client that missed a delta
+  socket.on('getOrderBookSnapshot', (data, callback) => {
+    if (typeof callback !== 'function') return;
+    const engine = gameManager.getEngine(socket.data.gameId);
+    const orderBook = engine && engine.getOrderBookDepth(data?.product);
+    if (!orderBook) {
+      return callback({ success: false, error: 'Order book not found' });
+    }
+    callback({ success: true, orderBook });
   });
 
   // Get player state
@@ -338,40 +1076,141 @@ io.on('connection', (socket) => {
   // Get leaderboard
   socket.on('getLeaderboard', (callback) => {
     if (typeof callback !== 'function') return;
-    callback(gameManager.getLiveLeaderboard());
+    callback(gameManager.getLiveLeaderboard(socket.data.gameId));
+  });
+
+  // Follow the selected game's price bars of one length: replies with every
+  // bar so far, then pushes 'candles' updates as trades change them
+  socket.on('subscribeCandles', (data, callback) => {
+    if (typeof callback !== 'function') return;
+    const interval = Number(data?.interval);
+    const gameId = socket.data.gameId;
+    if (!gameManager.getGame(gameId)) {
+      return callback({ success: false, error: 'No game selected' });
+    }
+
+    const candles = gameManager.getCandles(gameId, interval);
+    if (!candles) {
+      return callback({ success: false, error: `Interval must be one of: ${gameManager.getCandleIntervals(gameId).join(', ')}` });
+    }
+
+    leaveCandles();
+    socket.data.candleRoom = candleRoom(gameId, interval);
+    socket.join(socket.data.candleRoom);
+    callback({ success: true, interval, candles });
+  });
+
+  socket.on('unsubscribeCandles', (callback) => {
+    leaveCandles();
+    if (typeof callback === 'function') callback({ success: true });
+  });
+
+  // Get this player's P&L samples
+  socket.on('getPnlHistory', (callback) => {
+    if (typeof callback !== 'function') return;
+    const playerId = socketToPlayer.get(socket.id);
+    const player = playerId && dataStore.getPlayer(playerId);
+    callback(player ? gameManager.getPnlHistory(player.gameId, playerId) : []);
   });
 
   // Get recent trades
   socket.on('getRecentTrades', (data, callback) => {
     if (typeof callback !== 'function') return;
-    if (!gameManager.currentGame) return callback([]);
-    const trades = dataStore.getTradesByGame(gameManager.currentGame.gameId);
+    if (!gameManager.getGame(socket.data.gameId)) return callback([]);
+    const trades = dataStore.getTradesByGame(socket.data.gameId);
     callback(trades.slice(-50).reverse().map(t => t.toJSON()));
   });
 
-  // ===== DISCONNECT =====
+  // ===== REPLAY =====
 
-  socket.on('disconnect', () => {
-    const playerId = socketToPlayer.get(socket.id);
+  // Get the replay timeline for a game
+  socket.on('getReplayTimeline', async (data, callback) => {
+    if (typeof callback !== 'function') return;
+    try {
+      const { replay, error } = await loadReplay(data?.gameId);
+      if (error) {
+        return callback({ success: false, error });
+      }
+      callback({ success: true, timeline: replay.getTimeline() });
+    } catch (err) {
+      console.error(`[REPLAY] Timeline failed: ${err.message}`);
+      callback({ success: false, error: 'Failed to load replay' });
+    }
+  });
 
-    if (playerId) {
-      // Cancel all player's orders
-      matchingEngine.cancelAllPlayerOrders(playerId);
+  // Get the replayed market state at a point in time
+  socket.on('getReplayState', async (data, callback) => {
+    if (typeof callback !== 'function') return;
+    try {
+      const { replay, error } = await loadReplay(data?.gameId);
+      if (error) {
+        return callback({ success: false, error });
+      }
+      callback({ success: true, state: replay.getStateAt(Number(data?.time) || 0) });
+    } catch (err) {
+      console.error(`[REPLAY] State failed: ${err.message}`);
+      callback({ success: false, error: 'Failed to load replay' });
+    }
+  });
+
+  // ===== ANALYTICS =====
 
-      // Remove from game if in lobby
-      if (gameManager.currentGame?.status === 'lobby') {
-        gameManager.leaveGame(playerId);
+  // Get the post-game analytics report for an ended game
+  socket.on('getGameAnalytics', async (data, callback) => {
+    if (typeof callback !== 'function') return;
+    try {
+      const { report, error } = await loadAnalytics(data?.gameId);
+      if (error) {
+        return callback({ success: false, error });
       }
+      callback({ success: true, report });
+    } catch (err) {
+      console.error(`[ANALYTICS] Report failed: ${err.message}`);
+      callback({ success: false, error: 'Failed to build analytics' });
+    }
+  });
+
+  // ===== DISCONNECT =====
+
+  socket.on('disconnect', () => {
+    const ctx = getPlayerContext();
+
+    if (ctx) {
+      const { playerId, game } = ctx;
+      const room = gameRoom(game.gameId);
 
       // Clean up mappings
       socketToPlayer.delete(socket.id);
       playerToSocket.delete(playerId);
 
-      // Broadcast updated state
-      io.emit('gameState', gameManager.getGameState());
-      io.emit('orderBooks', matchingEngine.getAllOrderBooks());
+      gameManager.setPlayerConnected(playerId, false);
+      io.to(room).emit('gameState', gameManager.getGameState(game.gameId));
 
-      console.log(`[SOCKET] Player ${playerId.slice(0, 8)} disconnected`);
+      // Hold the seat and resting orders for the grace period, then release them
+      const graceSeconds = game.config.reconnectGracePeriod || 0;
+      disconnectTimers.set(playerId, setTimeout(() => {
+        disconnectTimers.delete(playerId);
+
+        const engine = gameManager.getEngine(game.gameId);
+        if (!engine) return; // Game was reset in the meantime
+
+        // Cancel all player's orders
+        engine.cancelAllPlayerOrders(playerId);
+
+        // Remove from game if in lobby
+        if (game.status === 'lobby') {
+          gameManager.leaveGame(playerId);
+          broadcastGameList();
+        }
+
+        // Broadcast updated state
+        io.to(room).emit('gameState', gameManager.getGameState(game.gameId));
+        publishBookDeltas(game.gameId);
+
+        console.log(`[SOCKET] Player ${playerId.slice(0, 8)} did not reconnect - orders cancelled`);
+      }, graceSeconds * 1000));
+
+      console.log(`[SOCKET] Player ${playerId.slice(0, 8)} disconnected (${graceSeconds}s to reconnect)`);
     } else {
       console.log(`[SOCKET] Client disconnected: ${socket.id}`);
     }
@@ -380,31 +1219,82 @@ io.on('connection', (socket) => {
 
 // ===== GAME EVENTS =====
 
-// Timer tick - broadcast remaining time
-gameManager.onTimerTick = (remainingTime) => {
-  io.emit('timer', { remainingTime });
+// Timer tick - broadcast remaining time to the game's room
+gameManager.onTimerTick = (gameId, remainingTime) => {
+  const room = gameRoom(gameId);
+  io.to(room).emit('timer', { remainingTime });
 
   // Update leaderboard every 5 seconds
   if (remainingTime % 5 === 0) {
-    io.emit('leaderboard', gameManager.getLiveLeaderboard());
+    io.to(room).emit('leaderboard', gameManager.getLiveLeaderboard(gameId));
   }
+
+  // The facilitator dashboard refreshes every second
+  publishFacilitatorState(gameId);
 };
 
-// Game end - broadcast final results
-gameManager.onGameEnd = (leaderboard) => {
-  // Cancel all orders
-  if (gameManager.currentGame) {
-    matchingEngine.cancelAllOrders(gameManager.currentGame.gameId);
+// Each player gets their own P&L sample
+gameManager.onPnlSamples = (gameId, samples) => {
+  for (const [playerId, sample] of samples) {
+    const socketId = playerToSocket.get(playerId);
+    const playerSocket = socketId && io.sockets.sockets.get(socketId);
+    if (playerSocket) {
+      playerSocket.emit('pnlSample', sample);
+    }
   }
+};
+
+// GTD orders expired - refresh the book and the owners' balances
+gameManager.onOrdersExpired = (gameId, orders) => {
+  publishBookDeltas(gameId);
+  for (const playerId of new Set(orders.map(o => o.playerId))) {
+    emitPlayerState(playerId);
+  }
+};
 
-  io.emit('gameEnded', {
+// House bots traded - publish like any other order activity
+gameManager.onHouseBotActivity = (gameId, activity) => {
+  publishOrderActivity(gameId, gameManager.getEngine(gameId), activity);
+};
+
+// Scheduled events fired - post the news and refresh whatever they changed
+gameManager.onScheduledEvents = (gameId, items) => {
+  const room = gameRoom(gameId);
+  io.to(room).emit('news', gameManager.getNews(gameId));
+
+  // New values change everyone's projected score; deliveries only the recipients'
+  if (items.some(item => item.changes.length > 0)) {
+    io.to(room).emit('config', gameManager.getPublicConfig(gameId));
+    for (const playerId of gameManager.getGame(gameId).playerIds) {
+      emitPlayerState(playerId);
+    }
+  } else {
+    for (const playerId of new Set(items.flatMap(item => item.grants.map(g => g.playerId)))) {
+      emitPlayerState(playerId);
+    }
+  }
+  io.to(room).emit('leaderboard', gameManager.getLiveLeaderboard(gameId));
+};
+
+// Game end - broadcast final results to the game's room
+gameManager.onGameEnd = (gameId, leaderboard) => {
+  // Cancel all orders
+  gameManager.getEngine(gameId).cancelAllOrders(gameId);
+  publishBookDeltas(gameId);
+
+  const room = gameRoom(gameId);
+  io.to(room).emit('gameEnded', {
     leaderboard,
-    gameState: gameManager.getGameState()
+    gameState: gameManager.getGameState(gameId)
   });
+  // The inventory seed is only revealed once the game is over
+  io.to(room).emit('config', gameManager.getPublicConfig(gameId));
+  publishFacilitatorState(gameId);
 
   // Send final state to each player
-  for (const [socketId, playerId] of socketToPlayer) {
-    const playerSocket = io.sockets.sockets.get(socketId);
+  for (const playerId of gameManager.getGame(gameId).playerIds) {
+    const socketId = playerToSocket.get(playerId);
+    const playerSocket = socketId && io.sockets.sockets.get(socketId);
     if (playerSocket) {
       const player = dataStore.getPlayer(playerId);
       if (player) {
@@ -412,6 +1302,8 @@ gameManager.onGameEnd = (leaderboard) => {
       }
     }
   }
+
+  broadcastGameList();
 };
 
 // ===== START SERVER =====
@@ -430,3 +1322,13 @@ server.listen(PORT, '0.0.0.0', () => {
   console.log('In production, the built client is served from port ' + PORT);
   console.log('\n========================================\n');
 });
+
+// Write out pending saves and close the database cleanly so the WAL is checkpointed
+for (const signal of ['SIGINT', 'SIGTERM']) {
+  process.on(signal, async () => {
+    console.log('\n[SERVER] Shutting down...');
+    await dataStore.flush();
+    if (adapter) adapter.close();
+    process.exit(0);
+  });
+}